@@ -1,15 +1,27 @@
 /**
  * Blixchain Client Entry Point
  * 
- * Main entry for running the mining client.
+ * Main entry for running the mining client, or a header-only light
+ * client that verifies a wallet's transactions (--light).
  */
 
 const MiningClient = require('./miner');
+const LightClient = require('./light-client');
+const Keystore = require('./keystore');
+const { isValidAddress } = require('../shared/wallet');
+
+const LIGHT_SYNC_INTERVAL_MS = 30000;
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 const poolUrl = args.find(a => a.startsWith('--pool='))?.slice(7) || 'ws://localhost:3030';
 const privateKey = args.find(a => a.startsWith('--key='))?.slice(6);
+const walletName = args.find(a => a.startsWith('--wallet='))?.slice(9);
+const keystorePath = args.find(a => a.startsWith('--keystore='))?.slice(11);
+const threads = parseInt(args.find(a => a.startsWith('--threads='))?.slice(10), 10) || undefined;
+const light = args.includes('--light');
+const nodeUrl = args.find(a => a.startsWith('--node='))?.slice(7) || process.env.BLIX_NODE || 'http://localhost:3030';
+const address = args.find(a => a.startsWith('--address='))?.slice(10);
 const help = args.includes('--help') || args.includes('-h');
 
 if (help) {
@@ -21,68 +33,189 @@ Usage:
   node src/client/index.js [options]
 
 Options:
-  --pool=URL    Pool coordinator URL (default: ws://localhost:3030)
-  --key=KEY     Private key to import existing wallet
-  --help, -h    Show this help
+  --pool=URL        Pool coordinator URL (default: ws://localhost:3030)
+  --wallet=NAME     Mine with a keystore wallet (name or address)
+  --keystore=PATH   Keystore file (default: ~/.blixchain/keystore.json)
+  --key=KEY         Private key to import existing wallet
+  --threads=N       Mining threads (default: all CPU cores)
+  --help, -h        Show this help
+
+Light client (no mining):
+  --light           Sync and validate block headers only, and verify the
+                    wallet's transactions with merkle inclusion proofs
+  --node=URL        Coordinator API (default: $BLIX_NODE or http://localhost:3030)
+  --address=ADDR    Address to verify (or --wallet=NAME, no password needed)
 
 Examples:
   node src/client/index.js
   node src/client/index.js --pool=ws://pool.blixchain.io:3030
+  node src/client/index.js --wallet=wallet1
   node src/client/index.js --key=abc123...
+  node src/client/index.js --threads=4
+  node src/client/index.js --light --wallet=wallet1
 `);
     process.exit(0);
 }
 
-console.log(`
+/**
+ * Print verification results for a wallet's confirmed transactions
+ */
+function printVerified(results) {
+    for (const { entry, verified, reason, confirmations } of results) {
+        const sign = entry.direction === 'out' ? '-' : '+';
+        const label = `#${String(entry.blockHeight).padEnd(8)} ${entry.id.slice(0, 16)}...  ${sign}${entry.amount} BLIX`;
+
+        if (verified) {
+            console.log(`   ✅ ${label}  (${confirmations} confirmations)`);
+        } else {
+            console.log(`   ❌ ${label}  ${reason}`);
+        }
+    }
+}
+
+/**
+ * Light client mode: follow headers and verify the wallet's transactions
+ */
+async function runLightClient() {
+    let watched = address;
+    if (!watched && walletName) {
+        const entry = isValidAddress(walletName) ? null : new Keystore(keystorePath).load().find(walletName);
+        watched = entry ? entry.address : walletName;
+    }
+    if (!watched || !isValidAddress(watched)) {
+        throw new Error('Light client needs --address=ADDR or --wallet=NAME');
+    }
+
+    console.log(`
 ╔═══════════════════════════════════════╗
-║       BLIXCHAIN MINING CLIENT         ║
+║        BLIXCHAIN LIGHT CLIENT         ║
 ╚═══════════════════════════════════════╝
 `);
+    console.log(`🔗 Node:   ${nodeUrl}`);
+    console.log(`💼 Wallet: ${watched}\n`);
 
-const client = new MiningClient({
-    poolUrl,
-    onBlockFound: (data) => {
-        console.log('📦 Block reward will be credited to your wallet');
-    },
-    onPoolUpdate: (data) => {
-        console.log(`👥 Pool size: ${data.connectedWallets} wallets`);
-    }
-});
+    const lightClient = new LightClient({ nodeUrl });
+    const verifiedIds = new Set();
 
-// Initialize wallet
-if (privateKey) {
-    client.initWallet(privateKey);
-} else {
-    console.log('🔐 Generating new wallet...');
-    const wallet = client.initWallet();
-    console.log(`\n⚠️  IMPORTANT: Save your private key securely!`);
-    console.log(`   Private Key: ${wallet.privateKey}\n`);
+    const update = async () => {
+        const previousTip = lightClient.getTip();
+        const added = await lightClient.sync();
+        const tip = lightClient.getTip();
+        if (added > 0) {
+            console.log(`📥 Validated ${added} header(s), tip #${tip.index} ${tip.hash.slice(0, 16)}...`);
+        }
+
+        // A reorg can drop transactions verified earlier
+        if (lightClient.getHeader(previousTip.index)?.hash !== previousTip.hash) {
+            verifiedIds.clear();
+        }
+
+        const results = await lightClient.verifyAddress(watched, { skip: verifiedIds });
+        printVerified(results);
+        results.filter(result => result.verified).forEach(result => verifiedIds.add(result.entry.id));
+
+        if (results.length > 0) {
+            const failed = results.filter(result => !result.verified).length;
+            console.log(`🔍 ${verifiedIds.size} confirmed transaction(s) verified against headers` +
+                (failed > 0 ? `, ${failed} failed` : '') + '\n');
+        }
+    };
+
+    await update();
+
+    setInterval(() => {
+        update().catch(err => console.error(`❌ Sync failed: ${err.message}`));
+    }, LIGHT_SYNC_INTERVAL_MS);
 }
 
-// Connect and start
-client.connect()
-    .then(() => {
-        console.log(`\n⏳ Waiting for mining challenges...`);
-        console.log(`   (Minimum ${require('../shared/protocol').MIN_POOL_SIZE} wallets needed)\n`);
-
-        // Status updates
-        setInterval(() => {
-            const stats = client.getStats();
-            if (stats.mining && stats.hashRate > 0) {
-                console.log(`⛏️  Mining | ${stats.hashRate} H/s | Blocks found: ${stats.blocksFound}`);
-            }
-        }, 15000);
-    })
-    .catch(err => {
-        console.error(`\n❌ Connection failed: ${err.message}`);
-        console.log(`   Make sure the pool coordinator is running.`);
+if (light) {
+    runLightClient().catch(err => {
+        console.error(`\n❌ Light client failed: ${err.message}`);
         process.exit(1);
     });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n\n👋 Disconnecting from pool...');
-    client.disconnect();
-    console.log('✅ Goodbye!\n');
-    process.exit(0);
-});
+    process.on('SIGINT', () => {
+        console.log('\n👋 Goodbye!\n');
+        process.exit(0);
+    });
+} else {
+    startMining();
+}
+
+/**
+ * Mining mode: join the pool and mine
+ */
+function startMining() {
+    console.log(`
+╔═══════════════════════════════════════╗
+║       BLIXCHAIN MINING CLIENT         ║
+╚═══════════════════════════════════════╝
+`);
+
+    const client = new MiningClient({
+        poolUrl,
+        threads,
+        onBlockFound: (data) => {
+            console.log('📦 Block reward will be credited to your wallet');
+        },
+        onPoolUpdate: (data) => {
+            console.log(`👥 Pool size: ${data.connectedWallets} wallets`);
+        }
+    });
+
+    /**
+     * Load the mining wallet: keystore entry, raw key, or a fresh wallet
+     */
+    async function initWallet() {
+        if (walletName) {
+            const keystore = new Keystore(keystorePath).load();
+            const password = await Keystore.promptPassword(`Password for ${walletName}: `);
+            const wallet = await keystore.unlock(walletName, password);
+            return client.initWallet(wallet.privateKey);
+        }
+
+        if (privateKey) {
+            return client.initWallet(privateKey);
+        }
+
+        console.log('🔐 Generating new wallet...');
+        const wallet = client.initWallet();
+        console.log(`\n⚠️  IMPORTANT: Save your private key securely!`);
+        console.log(`   Private Key: ${wallet.privateKey}`);
+        console.log(`   (or create a keystore wallet with: npm run wallet create)\n`);
+        return wallet;
+    }
+
+    // Load wallet, connect and start
+    initWallet()
+        .catch(err => {
+            console.error(`\n❌ Could not load wallet: ${err.message}`);
+            process.exit(1);
+        })
+        .then(() => client.connect())
+        .then(() => {
+            console.log(`\n⏳ Waiting for mining challenges...`);
+            console.log(`   (Minimum ${require('../shared/protocol').MIN_POOL_SIZE} wallets needed)\n`);
+
+            // Status updates
+            setInterval(() => {
+                const stats = client.getStats();
+                if (stats.mining && stats.hashRate > 0) {
+                    console.log(`⛏️  Mining | ${stats.hashRate} H/s on ${stats.threads} thread(s) | Blocks found: ${stats.blocksFound}`);
+                }
+            }, 15000);
+        })
+        .catch(err => {
+            console.error(`\n❌ Connection failed: ${err.message}`);
+            console.log(`   Make sure the pool coordinator is running.`);
+            process.exit(1);
+        });
+
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('\n\n👋 Disconnecting from pool...');
+        client.disconnect();
+        console.log('✅ Goodbye!\n');
+        process.exit(0);
+    });
+}
@@ -0,0 +1,281 @@
+/**
+ * Blixchain Encrypted Keystore
+ *
+ * Stores wallets in a JSON file with each private key encrypted under its
+ * own password: scrypt derives a 256-bit key, AES-256-GCM encrypts the
+ * private key and authenticates it, so a wrong password fails to decrypt
+ * instead of yielding a bad key.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { promisify } = require('util');
+const {
+    importWallet,
+    isValidAddress,
+    isLegacyAddress,
+    normalizeAddress,
+    createAddress,
+    createLegacyAddress
+} = require('../shared/wallet');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEYSTORE_VERSION = 1;
+const DEFAULT_KEYSTORE_PATH = path.join(os.homedir(), '.blixchain', 'keystore.json');
+
+// scrypt cost parameters for new entries; stored per entry so they can change
+const SCRYPT_PARAMS = { N: 1 << 15, r: 8, p: 1, dklen: 32 };
+
+/**
+ * Derive the AES key for an entry
+ */
+function deriveKey(password, salt, { N, r, p, dklen }) {
+    return scrypt(password, salt, dklen, { N, r, p, maxmem: 256 * N * r });
+}
+
+/**
+ * Encrypt a private key with a password
+ *
+ * @returns {object} Crypto section of a keystore entry
+ */
+async function encryptPrivateKey(privateKeyHex, password) {
+    const salt = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const key = await deriveKey(password, salt, SCRYPT_PARAMS);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([
+        cipher.update(Buffer.from(privateKeyHex, 'hex')),
+        cipher.final()
+    ]);
+
+    return {
+        kdf: 'scrypt',
+        kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString('hex') },
+        cipher: 'aes-256-gcm',
+        iv: iv.toString('hex'),
+        tag: cipher.getAuthTag().toString('hex'),
+        ciphertext: ciphertext.toString('hex')
+    };
+}
+
+/**
+ * Decrypt a private key. Throws on a wrong password or tampered entry.
+ */
+async function decryptPrivateKey(encrypted, password) {
+    if (encrypted.kdf !== 'scrypt' || encrypted.cipher !== 'aes-256-gcm') {
+        throw new Error('Unsupported keystore encryption');
+    }
+
+    const { salt, ...params } = encrypted.kdfparams;
+    const key = await deriveKey(password, Buffer.from(salt, 'hex'), params);
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(encrypted.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'hex'));
+
+    try {
+        return Buffer.concat([
+            decipher.update(Buffer.from(encrypted.ciphertext, 'hex')),
+            decipher.final()
+        ]).toString('hex');
+    } catch (err) {
+        throw new Error('Wrong password');
+    }
+}
+
+/**
+ * Prompt for a password without echoing it.
+ * BLIX_WALLET_PASSWORD is used instead when set, for scripted use.
+ *
+ * @param {string} question - Prompt text
+ * @param {object} streams - { input, output }, the process's own by default
+ */
+function promptPassword(question = 'Password: ', { input = process.stdin, output = process.stdout } = {}) {
+    if (process.env.BLIX_WALLET_PASSWORD !== undefined) {
+        return Promise.resolve(process.env.BLIX_WALLET_PASSWORD);
+    }
+
+    // readline writes the prompt and echoes keystrokes here; once the
+    // prompt is out, nothing else reaches the real output
+    let muted = false;
+    const echo = new Writable({
+        write(chunk, encoding, callback) {
+            if (!muted) output.write(chunk, encoding);
+            callback();
+        }
+    });
+
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({
+            input,
+            output: echo,
+            terminal: !!input.isTTY
+        });
+
+        rl.question(question, (answer) => {
+            rl.close();
+            if (input.isTTY) output.write('\n');
+            resolve(answer);
+        });
+        muted = true;
+    });
+}
+
+class Keystore {
+    constructor(filePath = process.env.BLIX_KEYSTORE || DEFAULT_KEYSTORE_PATH) {
+        this.filePath = filePath;
+        this.wallets = [];
+    }
+
+    /**
+     * Load the keystore file (a missing file is an empty keystore)
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            this.wallets = [];
+            return this;
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (data.version !== KEYSTORE_VERSION || !Array.isArray(data.wallets)) {
+            throw new Error(`Unsupported keystore format: ${this.filePath}`);
+        }
+
+        this.wallets = data.wallets;
+        if (this.migrateLegacyAddresses()) {
+            this.save();
+        }
+        return this;
+    }
+
+    /**
+     * Move entries saved with a legacy 'BLX' + hex address to the
+     * Base58Check address of the same key. The old address is kept as
+     * `legacyAddress` so funds still held there can be found and swept.
+     *
+     * @returns {boolean} Whether any entry changed
+     */
+    migrateLegacyAddresses() {
+        let changed = false;
+
+        for (const entry of this.wallets) {
+            if (!isLegacyAddress(entry.address)) continue;
+
+            const publicKey = Buffer.from(entry.publicKey, 'hex');
+            if (createLegacyAddress(publicKey) !== normalizeAddress(entry.address)) {
+                throw new Error(`Keystore entry ${entry.name} is corrupted`);
+            }
+
+            entry.legacyAddress = normalizeAddress(entry.address);
+            entry.address = createAddress(publicKey);
+            changed = true;
+        }
+
+        return changed;
+    }
+
+    /**
+     * Write the keystore, readable by the owner only
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+
+        const data = JSON.stringify({ version: KEYSTORE_VERSION, wallets: this.wallets }, null, 2);
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, data, { mode: 0o600 });
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * Public details of stored wallets
+     */
+    list() {
+        return this.wallets.map(({ name, address, legacyAddress, publicKey, path, createdAt }) => ({
+            name,
+            address,
+            legacyAddress: legacyAddress || null,
+            publicKey,
+            path: path || null,
+            createdAt
+        }));
+    }
+
+    /**
+     * Find a wallet by name, address or legacy address
+     */
+    find(nameOrAddress) {
+        return this.wallets.find(entry =>
+            entry.name === nameOrAddress ||
+            entry.address === nameOrAddress ||
+            (entry.legacyAddress && entry.legacyAddress === normalizeAddress(nameOrAddress))
+        ) || null;
+    }
+
+    /**
+     * Encrypt and store a private key
+     *
+     * @param {string} privateKeyHex - Key to store
+     * @param {string} password - Encryption password
+     * @param {object} options - { name, path } where path records the HD
+     *                           derivation path for keys from a mnemonic
+     * @returns {object} The stored entry's public details
+     */
+    async add(privateKeyHex, password, { name = null, path = null } = {}) {
+        const wallet = importWallet(privateKeyHex);
+
+        if (this.find(wallet.address)) {
+            throw new Error(`Wallet ${wallet.address} is already in the keystore`);
+        }
+
+        const walletName = name || `wallet${this.wallets.length + 1}`;
+        if (isValidAddress(walletName) || this.find(walletName)) {
+            throw new Error(`Wallet name "${walletName}" is not available`);
+        }
+
+        const entry = {
+            name: walletName,
+            address: wallet.address,
+            publicKey: wallet.publicKey,
+            path,
+            createdAt: Date.now(),
+            crypto: await encryptPrivateKey(wallet.privateKey, password)
+        };
+
+        this.wallets.push(entry);
+        this.save();
+
+        return this.list().find(stored => stored.address === entry.address);
+    }
+
+    /**
+     * Decrypt a stored wallet
+     *
+     * @returns {object} Wallet with privateKey, publicKey and address
+     */
+    async unlock(nameOrAddress, password) {
+        const entry = this.find(nameOrAddress);
+        if (!entry) {
+            throw new Error(`No wallet "${nameOrAddress}" in ${this.filePath}`);
+        }
+
+        const privateKey = await decryptPrivateKey(entry.crypto, password);
+        const wallet = importWallet(privateKey);
+
+        if (wallet.address !== entry.address) {
+            throw new Error('Keystore entry is corrupted');
+        }
+
+        return { ...wallet, name: entry.name, legacyAddress: entry.legacyAddress || null };
+    }
+}
+
+module.exports = Keystore;
+module.exports.DEFAULT_KEYSTORE_PATH = DEFAULT_KEYSTORE_PATH;
+module.exports.encryptPrivateKey = encryptPrivateKey;
+module.exports.decryptPrivateKey = decryptPrivateKey;
+module.exports.promptPassword = promptPassword;
@@ -0,0 +1,262 @@
+/**
+ * Blixchain Light Client (SPV)
+ *
+ * Follows the chain through block headers only: every header is checked
+ * for proof-of-work, difficulty and linkage to its parent, without
+ * downloading transactions. A wallet's transactions are then confirmed
+ * with merkle inclusion proofs against those headers, so the coordinator
+ * can't invent payments or place them in blocks that were never mined.
+ */
+
+const PROTOCOL = require('../shared/protocol');
+const { verifyMerkleProof } = require('../shared/crypto');
+const { hashMerkleLeaf } = require('../shared/encoding');
+const { calculateCoinbaseId, isCoinbase } = require('../shared/coinbase');
+const { calculateTransactionId, validateTransaction } = require('../shared/transaction');
+const { createGenesisBlock, validateHeader, calculateChainWork } = require('../shared/validator');
+
+const HEADERS_PER_REQUEST = 2000;
+const HISTORY_PAGE_SIZE = 200;
+
+class LightClient {
+    /**
+     * @param {object} options - { nodeUrl }
+     */
+    constructor({ nodeUrl = 'http://localhost:3030' } = {}) {
+        this.nodeUrl = nodeUrl.replace(/\/+$/, '');
+
+        const { transactions, ...genesis } = createGenesisBlock();
+        this.headers = [genesis];
+        this.checkedGenesis = false;
+    }
+
+    /**
+     * Latest validated header
+     */
+    getTip() {
+        return this.headers[this.headers.length - 1];
+    }
+
+    /**
+     * Validated header at a height, or null
+     */
+    getHeader(height) {
+        return this.headers[height] || null;
+    }
+
+    /**
+     * Call the coordinator API, unwrapping { success, data }
+     */
+    async request(path) {
+        const response = await fetch(`${this.nodeUrl}${path}`);
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok || !body.success) {
+            const error = new Error(body.message || `Request failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return body.data;
+    }
+
+    /**
+     * Download and validate headers up to the node's tip
+     *
+     * @returns {number} Headers added (after any reorg)
+     * @throws {Error} If the node serves an invalid header or a chain with less work
+     */
+    async sync() {
+        if (!this.checkedGenesis) {
+            const [genesis] = await this.request('/headers?from=0&limit=1');
+            if (!genesis || genesis.hash !== this.headers[0].hash) {
+                throw new Error('Node is on a different network (genesis mismatch)');
+            }
+            this.checkedGenesis = true;
+        }
+
+        let added = 0;
+
+        for (;;) {
+            const tip = this.getTip();
+            const batch = await this.request(`/headers?from=${tip.index + 1}&limit=${HEADERS_PER_REQUEST}`);
+            if (batch.length === 0) break;
+
+            if (batch[0].previousHash !== tip.hash) {
+                added += await this.reorganize();
+                continue;
+            }
+
+            this.appendHeaders(batch);
+            added += batch.length;
+
+            if (batch.length < HEADERS_PER_REQUEST) break;
+        }
+
+        return added;
+    }
+
+    /**
+     * Validate headers that extend the tip and append them
+     */
+    appendHeaders(headers) {
+        const getAncestor = height => this.headers[height];
+
+        for (const header of headers) {
+            const result = validateHeader(header, this.getTip(), getAncestor);
+            if (!result.valid) {
+                throw new Error(`Invalid header at ${header.index}: ${result.reason}`);
+            }
+            this.headers.push(header);
+        }
+    }
+
+    /**
+     * Switch to the node's chain after it reorganized: find the last
+     * header we share, then adopt its branch if it has more work
+     *
+     * @returns {number} Headers on the adopted branch
+     */
+    async reorganize() {
+        let forkHeight = this.getTip().index;
+
+        for (let step = 1; ; step *= 2) {
+            const [header] = await this.request(`/headers?from=${forkHeight}&limit=1`);
+            if (header && header.hash === this.headers[forkHeight].hash) break;
+            if (forkHeight === 0) {
+                throw new Error('Node chain does not share our genesis');
+            }
+            forkHeight = Math.max(0, forkHeight - step);
+        }
+
+        const branch = [];
+        for (;;) {
+            const batch = await this.request(`/headers?from=${forkHeight + 1 + branch.length}&limit=${HEADERS_PER_REQUEST}`);
+            branch.push(...batch);
+            if (batch.length < HEADERS_PER_REQUEST) break;
+        }
+
+        const replaced = this.headers.slice(forkHeight + 1);
+        if (calculateChainWork(branch) <= calculateChainWork(replaced)) {
+            throw new Error('Node switched to a chain with less work');
+        }
+
+        const kept = this.headers.slice(0, forkHeight + 1);
+        const previous = this.headers;
+        this.headers = kept;
+        try {
+            this.appendHeaders(branch);
+        } catch (err) {
+            this.headers = previous;
+            throw err;
+        }
+
+        console.log(`🔀 Reorganized at height ${forkHeight}: ${replaced.length} header(s) replaced by ${branch.length}`);
+        return branch.length;
+    }
+
+    /**
+     * Check a transaction's inclusion proof against the validated headers
+     *
+     * @returns {object} { verified: true, transaction, blockHeight, blockHash, confirmations }
+     *                   or { verified: false, reason }
+     */
+    async verifyTransaction(id) {
+        let result;
+        try {
+            result = await this.request(`/transaction/${id}/proof`);
+        } catch (err) {
+            return { verified: false, reason: err.message };
+        }
+
+        const { transaction, blockHeight, blockHash, proof } = result;
+
+        // The block may be newer than our tip
+        if (!this.getHeader(blockHeight) || this.getHeader(blockHeight).hash !== blockHash) {
+            await this.sync();
+        }
+
+        const header = this.getHeader(blockHeight);
+        if (!header || header.hash !== blockHash) {
+            return { verified: false, reason: 'Block is not in the validated header chain' };
+        }
+
+        const check = LightClient.checkTransaction(transaction, id);
+        if (!check.valid) {
+            return { verified: false, reason: check.reason };
+        }
+
+        if (!verifyMerkleProof(check.leaf, proof, header.merkleRoot)) {
+            return { verified: false, reason: 'Merkle proof does not match the block header' };
+        }
+
+        return {
+            verified: true,
+            transaction,
+            blockHeight,
+            blockHash,
+            confirmations: this.getTip().index - blockHeight + 1
+        };
+    }
+
+    /**
+     * Verify the confirmed transactions in an address's history
+     *
+     * @param {string} address - Wallet address
+     * @param {object} options - { skip } set of transaction ids already verified
+     * @returns {object[]} [{ entry, verified, reason, confirmations, final }]
+     */
+    async verifyAddress(address, { skip = new Set() } = {}) {
+        const confirmed = [];
+        let cursor = null;
+        do {
+            const page = await this.request(`/address/${address}/transactions?limit=${HISTORY_PAGE_SIZE}` +
+                (cursor ? `&cursor=${cursor}` : ''));
+            confirmed.push(...page.transactions);
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        const results = [];
+        for (const entry of confirmed.filter(item => !skip.has(item.id))) {
+            const result = await this.verifyTransaction(entry.id);
+            results.push({
+                entry,
+                verified: result.verified,
+                reason: result.reason || null,
+                confirmations: result.confirmations || 0,
+                final: (result.confirmations || 0) >= PROTOCOL.CONFIRMATIONS_REQUIRED
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Check that a served transaction has the requested id (and, for a
+     * transfer, a valid signature), and compute its merkle leaf locally
+     *
+     * @returns {object} { valid: true, leaf } or { valid: false, reason }
+     */
+    static checkTransaction(tx, id) {
+        try {
+            if (isCoinbase(tx)) {
+                if (calculateCoinbaseId(tx) !== id) {
+                    return { valid: false, reason: 'Coinbase does not match its id' };
+                }
+            } else {
+                const result = validateTransaction(tx);
+                if (!result.valid) {
+                    return { valid: false, reason: result.reason };
+                }
+                if (calculateTransactionId(tx) !== id) {
+                    return { valid: false, reason: 'Transaction does not match its id' };
+                }
+            }
+
+            return { valid: true, leaf: hashMerkleLeaf(tx) };
+        } catch (err) {
+            return { valid: false, reason: `Malformed transaction: ${err.message}` };
+        }
+    }
+}
+
+module.exports = LightClient;
@@ -5,11 +5,21 @@
  * All heavy computation is done on the client.
  */
 
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
 const WebSocket = require('ws');
-const { calculateBlockHash, hashMeetsTarget } = require('../shared/crypto');
-const { generateWallet, importWallet, isValidAddress } = require('../shared/wallet');
+const {
+    generateWallet,
+    importWallet,
+    isValidAddress,
+    sign,
+    createPoolJoinMessage
+} = require('../shared/wallet');
 const PROTOCOL = require('../shared/protocol');
 
+const WORKER_SCRIPT = path.join(__dirname, 'mining-worker.js');
+
 class MiningClient {
     constructor(options = {}) {
         this.poolUrl = options.poolUrl || 'ws://localhost:3030';
@@ -20,10 +30,23 @@ class MiningClient {
         this.hashRate = 0;
         this.totalHashes = 0;
         this.blocksFound = 0;
+        this.sharesAccepted = 0;
+        this.sharesRejected = 0;
+        this.sharesStale = 0;
+
+        // Worker pool
+        this.threads = Math.max(1, options.threads || os.cpus().length);
+        this.workers = [];
+        this.workerHashes = [];             // hashes per worker in the current job
+        this.control = new Int32Array(new SharedArrayBuffer(4));  // [0] = job generation
+        this.generation = 0;
+        this.jobIds = new Map();            // job generation -> pool job id, for recent jobs
+        this.jobStartedAt = 0;
 
         // Callbacks
         this.onBlockFound = options.onBlockFound || (() => { });
         this.onChallengeReceived = options.onChallengeReceived || (() => { });
+        this.onChallengePending = options.onChallengePending || (() => { });
         this.onPoolUpdate = options.onPoolUpdate || (() => { });
     }
 
@@ -56,12 +79,6 @@ class MiningClient {
 
             this.ws.on('open', () => {
                 console.log('✅ Connected to pool');
-
-                // Join pool
-                this.send('pool:join', {
-                    walletAddress: this.wallet.address
-                });
-
                 resolve();
             });
 
@@ -76,7 +93,7 @@ class MiningClient {
 
             this.ws.on('close', () => {
                 console.log('❌ Disconnected from pool');
-                this.mining = false;
+                this.stopMining();
             });
 
             this.ws.on('error', (err) => {
@@ -91,6 +108,10 @@ class MiningClient {
      */
     handleMessage(message) {
         switch (message.type) {
+            case 'pool:auth':
+                this.joinPool(message.data.nonce);
+                break;
+
             case 'pool:joined':
                 console.log(`✅ Joined pool. Size: ${message.data.poolSize}`);
                 console.log(`   Can mine: ${message.data.canMine}`);
@@ -101,17 +122,29 @@ class MiningClient {
                 break;
 
             case 'challenge:new':
-                console.log(`\n🎯 New challenge! Difficulty: ${message.data.difficulty}`);
+                if (message.data.cleanJobs) {
+                    console.log(`\n🎯 New challenge! Difficulty: ${message.data.difficulty}`);
+                    this.jobIds.clear();
+                } else {
+                    console.log(`🔄 Template refreshed (job ${message.data.jobId})`);
+                }
                 this.currentChallenge = message.data;
                 this.onChallengeReceived(message.data);
                 this.startMining();
                 break;
 
+            case 'challenge:pending': {
+                const seconds = Math.max(0, Math.ceil((message.data.validFrom - Date.now()) / 1000));
+                console.log(`⏳ Block ${message.data.height} becomes valid in ${seconds}s, waiting for the challenge...`);
+                this.onChallengePending(message.data);
+                break;
+            }
+
             case 'block:mined':
                 const isMine = message.data.miner === this.wallet.address;
                 if (isMine) {
                     console.log(`\n🎉 YOU MINED A BLOCK! Height: ${message.data.block.index}`);
-                    console.log(`   Reward: ${message.data.block.reward} BLIX`);
+                    console.log(`   Reward: ${message.data.amounts[0].minerReward} BLIX`);
                     this.blocksFound++;
                     this.onBlockFound(message.data);
                 } else {
@@ -124,12 +157,42 @@ class MiningClient {
                 console.log(`❌ Solution rejected: ${message.reason}`);
                 break;
 
+            case 'solution:stale':
+                console.log(`⌛ Solution arrived too late: ${message.reason}`);
+                break;
+
+            case 'share:accepted':
+                this.sharesAccepted++;
+                break;
+
+            case 'share:rejected':
+                this.sharesRejected++;
+                console.log(`⚠️ Share rejected: ${message.reason}`);
+                break;
+
+            case 'share:stale':
+                this.sharesStale++;
+                break;
+
             case 'error':
                 console.error(`⚠️ Error: ${message.message}`);
                 break;
         }
     }
 
+    /**
+     * Join the pool by signing the connection's auth nonce
+     */
+    joinPool(nonce) {
+        const joinMessage = createPoolJoinMessage(nonce, this.wallet.address);
+
+        this.send('pool:join', {
+            walletAddress: this.wallet.address,
+            publicKey: this.wallet.publicKey,
+            signature: sign(joinMessage, this.wallet.privateKey)
+        });
+    }
+
     /**
      * Send message to pool
      */
@@ -140,72 +203,134 @@ class MiningClient {
     }
 
     /**
-     * Start mining
+     * Spawn worker threads on first use
+     */
+    ensureWorkers() {
+        if (this.workers.length > 0) return;
+
+        for (let i = 0; i < this.threads; i++) {
+            const worker = new Worker(WORKER_SCRIPT, {
+                workerData: { control: this.control.buffer }
+            });
+
+            worker.on('message', (message) => this.handleWorkerMessage(i, message));
+            worker.on('error', (err) => console.error(`Worker ${i} error:`, err.message));
+
+            this.workers.push(worker);
+        }
+    }
+
+    /**
+     * Handle progress and solutions from a worker
+     */
+    handleWorkerMessage(index, message) {
+        if (message.type === 'progress') {
+            this.workerHashes[index] += message.hashes;
+            this.totalHashes += message.hashes;
+            this.updateHashRate();
+            return;
+        }
+
+        // Results for a refreshed job on the same tip are still accepted;
+        // those from an earlier tip are dropped
+        const jobId = this.jobIds.get(message.generation);
+        if (!jobId) return;
+
+        if (message.type === 'share') {
+            this.send('share:submit', {
+                walletAddress: this.wallet.address,
+                jobId,
+                nonce: message.nonce,
+                hash: message.hash
+            });
+            return;
+        }
+
+        if (message.type !== 'found') return;
+
+        console.log(`\n✨ Solution found! Nonce: ${message.nonce}`);
+        console.log(`   Hash: ${message.hash.slice(0, 20)}...`);
+
+        this.send('solution:submit', {
+            walletAddress: this.wallet.address,
+            jobId,
+            nonce: message.nonce,
+            hash: message.hash
+        });
+
+        // One solution per job; the pool answers with the next challenge
+        this.jobIds.delete(message.generation);
+        if (message.generation === this.generation) {
+            this.haltWorkers();
+        }
+    }
+
+    /**
+     * Aggregate hash rate across workers for the current job
+     */
+    updateHashRate() {
+        const elapsed = (Date.now() - this.jobStartedAt) / 1000;
+        if (elapsed > 0) {
+            const hashes = this.workerHashes.reduce((sum, h) => sum + h, 0);
+            this.hashRate = Math.floor(hashes / elapsed);
+        }
+    }
+
+    /**
+     * Start mining the current challenge on all workers.
+     * Each worker takes every Nth nonce, offset by its index.
      */
     startMining() {
-        if (!this.currentChallenge || this.mining) return;
+        if (!this.currentChallenge) return;
 
-        this.mining = true;
-        console.log('⛏️ Mining started...');
-
-        const startTime = Date.now();
-        let nonce = 0;
-        let hashCount = 0;
-
-        const mine = () => {
-            if (!this.mining) return;
-
-            // Do batch of hashes
-            const batchSize = 1000;
-            for (let i = 0; i < batchSize && this.mining; i++) {
-                const block = {
-                    ...this.currentChallenge.blockTemplate,
-                    nonce,
-                    miner: this.wallet.address
-                };
-
-                const hash = calculateBlockHash(block);
-                hashCount++;
-                this.totalHashes++;
-
-                if (hashMeetsTarget(hash, this.currentChallenge.difficulty)) {
-                    // Found solution!
-                    console.log(`\n✨ Solution found! Nonce: ${nonce}`);
-                    console.log(`   Hash: ${hash.slice(0, 20)}...`);
-
-                    this.send('solution:submit', {
-                        walletAddress: this.wallet.address,
-                        nonce,
-                        hash
-                    });
-
-                    this.mining = false;
-                    return;
-                }
+        this.ensureWorkers();
+        this.haltWorkers();
 
-                nonce++;
-            }
+        this.jobIds.set(this.generation, this.currentChallenge.jobId);
+        if (this.jobIds.size > PROTOCOL.MAX_RECENT_JOBS) {
+            this.jobIds.delete(this.jobIds.keys().next().value);
+        }
 
-            // Update hash rate every second
-            const elapsed = (Date.now() - startTime) / 1000;
-            if (elapsed > 0) {
-                this.hashRate = Math.floor(hashCount / elapsed);
-            }
+        this.mining = true;
+        this.jobStartedAt = Date.now();
+        this.workerHashes = this.workers.map(() => 0);
+        console.log(`⛏️ Mining started on ${this.workers.length} thread(s)...`);
 
-            // Continue mining
-            if (this.mining) {
-                setImmediate(mine);
-            }
+        const block = {
+            ...this.currentChallenge.blockTemplate,
+            miner: this.wallet.address
         };
 
-        mine();
+        // Our address is part of the hashed header, so starting at 0 does
+        // not overlap with other miners' work
+        this.workers.forEach((worker, i) => {
+            worker.postMessage({
+                type: 'job',
+                generation: this.generation,
+                block,
+                difficulty: this.currentChallenge.difficulty,
+                shareDifficulty: this.currentChallenge.shareDifficulty,
+                startNonce: i,
+                stride: this.workers.length
+            });
+        });
+    }
+
+    /**
+     * Bump the job generation; workers stop on their next hash
+     */
+    haltWorkers() {
+        this.generation++;
+        Atomics.store(this.control, 0, this.generation);
+        this.mining = false;
     }
 
     /**
      * Stop mining
      */
     stopMining() {
-        this.mining = false;
+        this.haltWorkers();
+        this.jobIds.clear();
         this.currentChallenge = null;
     }
 
@@ -218,6 +343,10 @@ class MiningClient {
             hashRate: this.hashRate,
             totalHashes: this.totalHashes,
             blocksFound: this.blocksFound,
+            sharesAccepted: this.sharesAccepted,
+            sharesRejected: this.sharesRejected,
+            sharesStale: this.sharesStale,
+            threads: this.threads,
             mining: this.mining
         };
     }
@@ -227,6 +356,8 @@ class MiningClient {
      */
     disconnect() {
         this.stopMining();
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
         if (this.ws) {
             this.ws.close();
         }
@@ -238,8 +369,9 @@ if (require.main === module) {
     const args = process.argv.slice(2);
     const poolUrl = args.find(a => a.startsWith('--pool='))?.slice(7) || 'ws://localhost:3030';
     const privateKey = args.find(a => a.startsWith('--key='))?.slice(6);
+    const threads = parseInt(args.find(a => a.startsWith('--threads='))?.slice(10), 10) || undefined;
 
-    const client = new MiningClient({ poolUrl });
+    const client = new MiningClient({ poolUrl, threads });
 
     if (privateKey) {
         client.initWallet(privateKey);
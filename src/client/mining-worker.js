@@ -0,0 +1,66 @@
+/**
+ * Blixchain Mining Worker
+ *
+ * Runs in a worker thread. Hashes nonces startNonce, startNonce + stride, ...
+ * for the current job until it finds a solution or the job generation in
+ * the shared control buffer changes (checked on every hash, so a stop
+ * takes effect immediately). Hashes meeting the easier share target are
+ * reported along the way.
+ *
+ * Messages in:  { type: 'job', generation, block, difficulty, shareDifficulty, startNonce, stride }
+ * Messages out: { type: 'progress', hashes }
+ *               { type: 'share', generation, nonce, hash }
+ *               { type: 'found', generation, nonce, hash }
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { hashMeetsTarget } = require('../shared/crypto');
+const { createBlockHasher } = require('../shared/encoding');
+
+const BATCH_SIZE = 1000;
+const control = new Int32Array(workerData.control);
+
+/**
+ * Mine one job, yielding between batches so new messages are received
+ */
+function runJob({ generation, block, difficulty, shareDifficulty, startNonce, stride }) {
+    const hashBlock = createBlockHasher(block);
+    let nonce = startNonce;
+
+    const mine = () => {
+        let hashes = 0;
+
+        for (let i = 0; i < BATCH_SIZE; i++) {
+            if (Atomics.load(control, 0) !== generation) {
+                parentPort.postMessage({ type: 'progress', hashes });
+                return;
+            }
+
+            const hash = hashBlock(nonce);
+            hashes++;
+
+            if (hashMeetsTarget(hash, difficulty)) {
+                parentPort.postMessage({ type: 'progress', hashes });
+                parentPort.postMessage({ type: 'found', generation, nonce, hash });
+                return;
+            }
+
+            if (shareDifficulty && hashMeetsTarget(hash, shareDifficulty)) {
+                parentPort.postMessage({ type: 'share', generation, nonce, hash });
+            }
+
+            nonce += stride;
+        }
+
+        parentPort.postMessage({ type: 'progress', hashes });
+        setImmediate(mine);
+    };
+
+    mine();
+}
+
+parentPort.on('message', (message) => {
+    if (message.type === 'job') {
+        runJob(message);
+    }
+});
@@ -0,0 +1,469 @@
+/**
+ * Blixchain Wallet CLI
+ *
+ * Manages wallets in an encrypted keystore and talks to a coordinator's
+ * REST API for balances, history and sending transfers.
+ */
+
+const PROTOCOL = require('../shared/protocol');
+const { generateMnemonicWallet, importWallet, isValidAddress } = require('../shared/wallet');
+const { DEFAULT_PATH, getDerivationPath, validateMnemonic } = require('../shared/hdwallet');
+const { signTransaction, getTransactionSize } = require('../shared/transaction');
+const { parseAmount, formatAmount } = require('../shared/amount');
+const Keystore = require('./keystore');
+const { promptPassword } = Keystore;
+
+const DEFAULT_NODE_URL = 'http://localhost:3030';
+const FEE_TARGETS = ['fast', 'normal', 'slow'];
+
+/**
+ * Read a --name=value option
+ */
+function getOption(args, name) {
+    const prefix = `--${name}=`;
+    return args.find(a => a.startsWith(prefix))?.slice(prefix.length);
+}
+
+/**
+ * Derivation path from --path=PATH or --index=N (default: first address)
+ */
+function getPathOption(args) {
+    const path = getOption(args, 'path');
+    const index = getOption(args, 'index');
+
+    if (path && index !== undefined) {
+        throw new Error('Use either --path or --index, not both');
+    }
+    if (index !== undefined) {
+        if (!/^\d+$/.test(index)) {
+            throw new Error('--index must be a non-negative integer');
+        }
+        return getDerivationPath(Number(index));
+    }
+    return path || DEFAULT_PATH;
+}
+
+/**
+ * Ask for a new password twice
+ */
+async function promptNewPassword() {
+    const password = await promptPassword('New password: ');
+    if (process.env.BLIX_WALLET_PASSWORD === undefined) {
+        const confirm = await promptPassword('Repeat password: ');
+        if (confirm !== password) {
+            throw new Error('Passwords do not match');
+        }
+    }
+    if (!password) {
+        throw new Error('Password must not be empty');
+    }
+    return password;
+}
+
+/**
+ * Resolve a keystore name or address (or a bare address) to an address
+ */
+function resolveAddress(keystore, nameOrAddress) {
+    if (!nameOrAddress) {
+        throw new Error('Wallet name or address required');
+    }
+
+    if (isValidAddress(nameOrAddress)) return nameOrAddress;
+
+    const entry = keystore.find(nameOrAddress);
+    if (entry) return entry.address;
+
+    throw new Error(`No wallet "${nameOrAddress}" in ${keystore.filePath}`);
+}
+
+/**
+ * Call the coordinator API, unwrapping { success, data }
+ */
+async function api(nodeUrl, path, options = {}) {
+    const response = await fetch(`${nodeUrl}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || !body.success) {
+        throw new Error(body.message || `Request failed with status ${response.status}`);
+    }
+    return body;
+}
+
+/**
+ * Sign a transfer from `sender` with the sender's next nonce and submit it
+ */
+async function submitTransfer(nodeUrl, wallet, { sender, recipient, amount, fee, nonce }) {
+    const tx = signTransaction({
+        sender,
+        recipient,
+        amount,
+        fee,
+        nonce,
+        timestamp: Date.now()
+    }, wallet.privateKey);
+
+    // The API takes amounts as decimal strings; they parse back to the signed base units
+    const result = await api(nodeUrl, '/transaction/submit', {
+        method: 'POST',
+        body: JSON.stringify({ ...tx, amount: formatAmount(tx.amount), fee: formatAmount(tx.fee) })
+    });
+
+    return { tx, transactionId: result.transactionId, replaced: result.replaced || null };
+}
+
+/**
+ * Read --amount=N as base units
+ */
+function getAmountOption(args) {
+    const option = getOption(args, 'amount');
+    const amount = option === undefined ? 0 : parseAmount(option);
+
+    if (amount <= 0) {
+        throw new Error('--amount must be a positive number of BLIX');
+    }
+    return amount;
+}
+
+/**
+ * Read --fee=N (BLIX) or --fee=fast|normal|slow (default: normal)
+ *
+ * @returns {number|string} Fixed fee in base units or a confirmation target to estimate
+ */
+function getFeeOption(args) {
+    const option = getOption(args, 'fee') ?? 'normal';
+    if (FEE_TARGETS.includes(option)) return option;
+
+    const fee = parseAmount(option);
+    if (fee < PROTOCOL.MIN_TRANSACTION_FEE) {
+        throw new Error(`--fee must be ${FEE_TARGETS.join(', ')} or at least ${formatAmount(PROTOCOL.MIN_TRANSACTION_FEE)} BLIX`);
+    }
+    return fee;
+}
+
+/**
+ * Turn a fee option into an amount. Targets are priced by the node's
+ * /fee/estimate for the size of the signed transfer.
+ */
+async function resolveFee(nodeUrl, wallet, feeOption, transfer) {
+    if (typeof feeOption === 'number') return feeOption;
+
+    const draft = signTransaction({
+        ...transfer,
+        fee: PROTOCOL.MIN_TRANSACTION_FEE,
+        timestamp: Date.now()
+    }, wallet.privateKey);
+    const size = getTransactionSize(draft);
+
+    const { data } = await api(nodeUrl, `/fee/estimate?size=${size}`);
+    return parseAmount(data.estimates[feeOption].fee);
+}
+
+const commands = {
+    async create(args, keystore) {
+        const words = getOption(args, 'words') || '12';
+        if (words !== '12' && words !== '24') {
+            throw new Error('--words must be 12 or 24');
+        }
+
+        const wallet = generateMnemonicWallet({
+            strength: words === '24' ? 256 : 128,
+            path: getPathOption(args)
+        });
+        const password = await promptNewPassword();
+        const entry = await keystore.add(wallet.privateKey, password, {
+            name: getOption(args, 'name'),
+            path: wallet.path
+        });
+
+        console.log('\n✅ Wallet created');
+        console.log(`   Name:    ${entry.name}`);
+        console.log(`   Address: ${entry.address}`);
+        console.log(`   Path:    ${entry.path}`);
+        console.log(`   Stored:  ${keystore.filePath}\n`);
+        console.log('📝 Recovery phrase (write it down, in order, and keep it offline):\n');
+        console.log(`   ${wallet.mnemonic}\n`);
+        console.log('⚠️  This phrase is shown only once. Anyone who has it controls the wallet;');
+        console.log('   with it you can restore this and further addresses using "import --mnemonic".\n');
+    },
+
+    async import(args, keystore) {
+        let wallet;
+
+        if (args.some(a => a === '--mnemonic' || a.startsWith('--mnemonic='))) {
+            const mnemonic = getOption(args, 'mnemonic') || await promptPassword('Recovery phrase: ');
+            if (!validateMnemonic(mnemonic)) {
+                throw new Error('Invalid recovery phrase');
+            }
+            wallet = importWallet(mnemonic, { path: getPathOption(args) });
+        } else {
+            const privateKey = getOption(args, 'key') || await promptPassword('Private key: ');
+            wallet = importWallet(privateKey.trim());
+        }
+
+        const password = await promptNewPassword();
+        const entry = await keystore.add(wallet.privateKey, password, {
+            name: getOption(args, 'name'),
+            path: wallet.path
+        });
+
+        console.log(`\n✅ Imported ${entry.name}: ${entry.address}`);
+        if (entry.path) console.log(`   Path: ${entry.path}`);
+        console.log();
+    },
+
+    async export(args, keystore) {
+        const [nameOrAddress] = args.filter(a => !a.startsWith('--'));
+        const wallet = await keystore.unlock(nameOrAddress, await promptPassword());
+
+        const { path } = keystore.find(wallet.address);
+
+        console.log(`\n   Address:     ${wallet.address}`);
+        if (path) console.log(`   Path:        ${path}`);
+        console.log(`   Public Key:  ${wallet.publicKey}`);
+        console.log(`   Private Key: ${wallet.privateKey}\n`);
+        console.log('⚠️  Anyone with this private key controls the wallet!\n');
+    },
+
+    async list(args, keystore) {
+        const wallets = keystore.list();
+        if (wallets.length === 0) {
+            console.log(`No wallets in ${keystore.filePath}. Run "create" to make one.`);
+            return;
+        }
+
+        console.log(`\n🔐 Wallets in ${keystore.filePath}\n`);
+        for (const wallet of wallets) {
+            console.log(`   ${wallet.name.padEnd(16)} ${wallet.address}${wallet.path ? `  ${wallet.path}` : ''}`);
+        }
+        console.log();
+    },
+
+    async balance(args, keystore, nodeUrl) {
+        const [nameOrAddress] = args.filter(a => !a.startsWith('--'));
+        const address = resolveAddress(keystore, nameOrAddress);
+        const { data } = await api(nodeUrl, `/address/${address}/balance`);
+
+        console.log(`\n💰 ${data.address}`);
+        console.log(`   Balance:    ${data.balance} BLIX`);
+        console.log(`   Nonce:      ${data.nonce}`);
+        console.log(`   Next nonce: ${data.nextNonce}\n`);
+
+        const entry = keystore.find(nameOrAddress);
+        if (entry && entry.legacyAddress && entry.address === address) {
+            const { data: legacy } = await api(nodeUrl, `/address/${entry.legacyAddress}/balance`);
+            if (parseAmount(legacy.balance) > 0) {
+                console.log(`⚠️  ${legacy.balance} BLIX is held at legacy address ${entry.legacyAddress}`);
+                console.log(`   Move it with: migrate ${entry.name}\n`);
+            }
+        }
+    },
+
+    async send(args, keystore, nodeUrl) {
+        const [nameOrAddress] = args.filter(a => !a.startsWith('--'));
+        const recipient = getOption(args, 'to');
+        const amount = getAmountOption(args);
+        const feeOption = getFeeOption(args);
+
+        if (!isValidAddress(recipient)) {
+            throw new Error('--to must be a valid address');
+        }
+
+        // --nonce reuses a pending transaction's nonce to replace it with a higher fee
+        const nonceOption = getOption(args, 'nonce');
+        if (nonceOption !== undefined && !/^\d+$/.test(nonceOption)) {
+            throw new Error('--nonce must be a non-negative integer');
+        }
+
+        const wallet = await keystore.unlock(resolveAddress(keystore, nameOrAddress), await promptPassword());
+
+        // Next nonce counts the sender's transactions still in the mempool
+        const { data: account } = await api(nodeUrl, `/address/${wallet.address}/balance`);
+
+        const transfer = {
+            sender: wallet.address,
+            recipient,
+            amount,
+            nonce: nonceOption === undefined ? account.nextNonce : Number(nonceOption)
+        };
+        const fee = await resolveFee(nodeUrl, wallet, feeOption, transfer);
+
+        const { tx, transactionId, replaced } = await submitTransfer(nodeUrl, wallet, { ...transfer, fee });
+
+        console.log(`\n✅ Sent ${formatAmount(amount)} BLIX to ${recipient}`);
+        console.log(`   Fee:            ${formatAmount(fee)} BLIX`);
+        console.log(`   Nonce:          ${tx.nonce}`);
+        console.log(`   Transaction ID: ${transactionId}`);
+        if (replaced) console.log(`   Replaces:       ${replaced}`);
+        console.log('');
+    },
+
+    async migrate(args, keystore, nodeUrl) {
+        const [nameOrAddress] = args.filter(a => !a.startsWith('--'));
+        const feeOption = getFeeOption(args);
+
+        const entry = keystore.find(nameOrAddress || '');
+        if (!entry) {
+            throw new Error(`No wallet "${nameOrAddress}" in ${keystore.filePath}`);
+        }
+        if (!entry.legacyAddress) {
+            console.log(`${entry.name} has no legacy address; nothing to migrate.`);
+            return;
+        }
+
+        const { data: legacy } = await api(nodeUrl, `/address/${entry.legacyAddress}/balance`);
+        if (legacy.nextNonce !== legacy.nonce) {
+            throw new Error('Legacy address has pending transactions; try again once they confirm');
+        }
+
+        const balance = parseAmount(legacy.balance);
+        if (balance <= 0) {
+            console.log(`Legacy address ${entry.legacyAddress} has nothing to move.`);
+            return;
+        }
+
+        const wallet = await keystore.unlock(entry.address, await promptPassword());
+        const transfer = {
+            sender: entry.legacyAddress,
+            recipient: wallet.address,
+            amount: balance,
+            nonce: legacy.nextNonce
+        };
+        const fee = await resolveFee(nodeUrl, wallet, feeOption, transfer);
+
+        // Sweep everything but the fee
+        const amount = balance - fee;
+        if (amount <= 0) {
+            console.log(`Legacy address ${entry.legacyAddress} can't cover the ${formatAmount(fee)} BLIX fee.`);
+            return;
+        }
+
+        const { transactionId } = await submitTransfer(nodeUrl, wallet, { ...transfer, amount, fee });
+
+        console.log(`\n✅ Moving ${formatAmount(amount)} BLIX`);
+        console.log(`   From: ${entry.legacyAddress} (legacy)`);
+        console.log(`   To:   ${wallet.address}`);
+        console.log(`   Transaction ID: ${transactionId}\n`);
+    },
+
+    async fees(args, keystore, nodeUrl) {
+        const { data } = await api(nodeUrl, '/fee/estimate');
+
+        console.log(`\n💸 Fee estimates for a ${data.size} byte transfer\n`);
+        for (const [name, estimate] of Object.entries(data.estimates)) {
+            const blocks = estimate.targetBlocks === 1 ? 'next block' : `${estimate.targetBlocks} blocks`;
+            console.log(`   ${name.padEnd(7)} ${estimate.fee} BLIX  (within ${blocks})`);
+        }
+        console.log(`\n   Minimum: ${data.minimumFee} BLIX, congestion ${data.congestionLevel}/${PROTOCOL.CONGESTION_LEVELS}\n`);
+    },
+
+    async history(args, keystore, nodeUrl) {
+        const [nameOrAddress] = args.filter(a => !a.startsWith('--'));
+        const address = resolveAddress(keystore, nameOrAddress);
+
+        const query = new URLSearchParams();
+        for (const name of ['direction', 'limit', 'cursor']) {
+            const value = getOption(args, name);
+            if (value !== undefined) query.set(name, value);
+        }
+        const { data } = await api(nodeUrl, `/address/${address}/transactions?${query}`);
+
+        if (data.pending.length === 0 && data.transactions.length === 0) {
+            console.log(`No ${data.direction ? `${data.direction} ` : ''}transactions for ${address}`);
+            return;
+        }
+
+        const printEntry = entry => {
+            const where = entry.status === 'pending' ? 'PENDING' : `#${entry.blockHeight}`;
+            const prefix = entry.direction === 'in' ? '+' : '-';
+            const label = entry.type === 'coinbase'
+                ? 'mining reward'
+                : `${entry.direction === 'in' ? 'from' : 'to'} ${entry.counterparty}`;
+            const fee = entry.direction === 'out' ? ` (fee ${entry.fee})` : '';
+
+            console.log(`   ${where.padEnd(9)} ${new Date(entry.timestamp).toISOString()}  ${prefix}${entry.amount} BLIX  ${label}${fee}`);
+        };
+
+        console.log(`\n📜 History for ${address}${data.direction ? ` (${data.direction})` : ''}\n`);
+        if (data.pending.length > 0) {
+            console.log('   Pending (not yet in a block):');
+            data.pending.forEach(printEntry);
+            if (data.pendingTotal > data.pending.length) {
+                console.log(`   ${data.pending.length} of ${data.pendingTotal} pending shown`);
+            }
+            console.log();
+        }
+        data.transactions.forEach(printEntry);
+
+        console.log(`\n   ${data.transactions.length} of ${data.total} confirmed shown`);
+        if (data.nextCursor) {
+            console.log(`   Older: --cursor=${data.nextCursor}`);
+        }
+        console.log();
+    }
+};
+
+const USAGE = `
+Blixchain Wallet
+================
+
+Usage:
+  node src/client/wallet-cli.js <command> [options]
+
+Commands:
+  create [--name=NAME] [--words=12|24] [--index=N | --path=PATH]
+                                              Create a wallet from a new recovery phrase
+  import [--key=HEX] [--name=NAME]            Import a private key (prompts if --key is omitted)
+  import --mnemonic[="WORDS"] [--index=N | --path=PATH] [--name=NAME]
+                                              Restore a key from a recovery phrase
+  export <wallet>                             Print a wallet's private key
+  list                                        List keystore wallets
+  balance <wallet|address>                    Show confirmed balance and next nonce
+  send <wallet> --to=ADDRESS --amount=N [--fee=N|fast|normal|slow] [--nonce=N]
+                                              Sign and submit a transfer; --nonce of a
+                                              pending transfer replaces it (needs 10% more fee)
+  fees                                        Show suggested fees from the node
+  history <wallet|address> [--direction=in|out|mining] [--limit=N] [--cursor=C]
+                                              Show pending and confirmed transfers and mining
+                                              rewards, newest first; --cursor pages back
+  migrate <wallet> [--fee=N|fast|normal|slow]
+                                              Sweep funds from a wallet's legacy BLX+hex address
+
+Options:
+  --keystore=PATH   Keystore file (default: $BLIX_KEYSTORE or ~/.blixchain/keystore.json)
+  --node=URL        Coordinator API (default: $BLIX_NODE or ${DEFAULT_NODE_URL})
+
+Amounts and fees are BLIX with up to ${PROTOCOL.DECIMALS} decimals. Without --fee,
+transfers pay the node's "normal" estimate (see fees).
+
+Keys from a recovery phrase use the path ${getDerivationPath('N')}; --index=N picks
+address N, so one phrase can restore any number of addresses.
+
+Set BLIX_WALLET_PASSWORD to skip password prompts in scripts.
+`;
+
+// CLI support
+if (require.main === module) {
+    const [command, ...args] = process.argv.slice(2);
+
+    if (!commands[command]) {
+        console.log(USAGE);
+        process.exit(command && command !== '--help' && command !== '-h' ? 1 : 0);
+    }
+
+    const nodeUrl = (getOption(args, 'node') || process.env.BLIX_NODE || DEFAULT_NODE_URL).replace(/\/+$/, '');
+
+    Promise.resolve()
+        .then(() => {
+            const keystore = new Keystore(getOption(args, 'keystore')).load();
+            return commands[command](args, keystore, nodeUrl);
+        })
+        .catch(err => {
+            console.error(`❌ ${err.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = commands;
@@ -0,0 +1,140 @@
+/**
+ * Blixchain Address Index
+ *
+ * Where each address appears on the main chain, so history lookups don't
+ * scan every block. An entry points at a transaction by block height and
+ * position, and is filed under one direction:
+ *   in      transfers received
+ *   out     transfers sent (including to the sender itself)
+ *   mining  coinbase credits: pool payouts, miner remainder, treasury share
+ *
+ * Like AccountState, the index is derived from the chain: rebuilt on
+ * startup and after a reorganization, extended by each new block.
+ *
+ * Pages are newest first. A cursor is the position of the last entry of
+ * the previous page ("height:position"); the next page starts below it.
+ */
+
+const { isCoinbase } = require('../shared/coinbase');
+const { normalizeAddress } = require('../shared/wallet');
+
+const DIRECTIONS = ['in', 'out', 'mining'];
+
+class AddressIndex {
+    constructor() {
+        this.addresses = new Map();     // normalized address -> { all, in, out, mining } lists of { height, position }
+    }
+
+    /**
+     * Parse a "height:position" cursor
+     *
+     * @returns {object} { height, position } or null if malformed
+     */
+    static parseCursor(cursor) {
+        const match = /^(\d+):(\d+)$/.exec(cursor);
+        if (!match) return null;
+
+        const height = Number(match[1]);
+        const position = Number(match[2]);
+        if (!Number.isSafeInteger(height) || !Number.isSafeInteger(position)) return null;
+
+        return { height, position };
+    }
+
+    /**
+     * Cursor for the page after `ref`
+     */
+    static formatCursor(ref) {
+        return `${ref.height}:${ref.position}`;
+    }
+
+    /**
+     * File a transaction reference under an address and direction
+     */
+    insert(address, direction, ref) {
+        const key = normalizeAddress(address);
+        if (!this.addresses.has(key)) {
+            this.addresses.set(key, { all: [], in: [], out: [], mining: [] });
+        }
+        const lists = this.addresses.get(key);
+        lists.all.push(ref);
+        lists[direction].push(ref);
+    }
+
+    /**
+     * Index the transactions of a block appended to the main chain
+     */
+    add(block) {
+        block.transactions.forEach((tx, position) => {
+            const ref = { height: block.index, position };
+
+            if (isCoinbase(tx)) {
+                const credited = new Set(tx.payouts.filter(p => p.amount > 0).map(p => normalizeAddress(p.address)));
+                if (tx.minerReward > 0) credited.add(normalizeAddress(block.miner));
+                if (tx.treasuryReward > 0) credited.add(normalizeAddress(tx.treasury));
+
+                credited.forEach(address => this.insert(address, 'mining', ref));
+                return;
+            }
+
+            this.insert(tx.sender, 'out', ref);
+            if (normalizeAddress(tx.recipient) !== normalizeAddress(tx.sender)) {
+                this.insert(tx.recipient, 'in', ref);
+            }
+        });
+    }
+
+    /**
+     * Rebuild the index from a full chain
+     */
+    rebuild(chain) {
+        this.addresses.clear();
+        chain.forEach(block => this.add(block));
+    }
+
+    /**
+     * Number of indexed transactions for an address
+     *
+     * @param {string} direction - in, out, mining, or null for all
+     */
+    count(address, direction = null) {
+        const lists = this.addresses.get(normalizeAddress(address));
+        return lists ? lists[direction || 'all'].length : 0;
+    }
+
+    /**
+     * One page of an address's references, newest first
+     *
+     * @param {object} options - { direction, before, limit } where `before`
+     *                           is a parsed cursor (null for the newest)
+     * @returns {object} { refs, hasMore }
+     */
+    getPage(address, { direction = null, before = null, limit }) {
+        const lists = this.addresses.get(normalizeAddress(address));
+        const list = lists ? lists[direction || 'all'] : [];
+
+        // First reference at or after the cursor; the page starts just below it
+        let end = list.length;
+        if (before) {
+            let low = 0;
+            while (low < end) {
+                const mid = (low + end) >> 1;
+                const ref = list[mid];
+                if (ref.height < before.height || (ref.height === before.height && ref.position < before.position)) {
+                    low = mid + 1;
+                } else {
+                    end = mid;
+                }
+            }
+        }
+
+        const start = Math.max(0, end - limit);
+        return {
+            refs: list.slice(start, end).reverse(),
+            hasMore: start > 0
+        };
+    }
+}
+
+module.exports = AddressIndex;
+module.exports.DIRECTIONS = DIRECTIONS;
@@ -0,0 +1,112 @@
+/**
+ * Blixchain Fee Estimation
+ *
+ * Suggests fee rates for confirmation within a number of blocks. Each
+ * target takes the highest of:
+ *   - the dynamic minimum fee rate at current mempool congestion
+ *   - the rate needed to outbid the pending backlog that fills the blocks
+ *     before the target
+ *   - the lowest rate recent full blocks still included, at the target's
+ *     percentile (blocks with spare room included every valid fee)
+ *
+ * Fee rates are in base units per 1000 bytes, like the mempool's; the
+ * result renders fees and rates as BLIX strings.
+ */
+
+const PROTOCOL = require('../shared/protocol');
+const { calculateMinimumFee, getTransactionSize } = require('../shared/transaction');
+const { isCoinbase } = require('../shared/coinbase');
+const { getBlockSize } = require('../shared/encoding');
+const { formatAmount } = require('../shared/amount');
+
+const FEE_ESTIMATE_BLOCKS = 20;         // recent blocks considered
+const DEFAULT_ESTIMATE_SIZE = 210;      // bytes, about one signed transfer
+const FULL_BLOCK_RATIO = 0.9;           // blocks this close to a limit count as full
+
+const FEE_TARGETS = {
+    fast: { blocks: 1, percentile: 0.9 },
+    normal: { blocks: 3, percentile: 0.5 },
+    slow: { blocks: 6, percentile: 0.1 }
+};
+
+/**
+ * Value at a percentile (0..1) of an ascending list
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+/**
+ * Lowest fee rate included by each recent block: 0 when the block had room
+ * to spare, since any fee above the minimum got in
+ */
+function getInclusionRates(chain, count = FEE_ESTIMATE_BLOCKS) {
+    const maxTransfers = PROTOCOL.MAX_TRANSACTIONS_PER_BLOCK - 1;
+
+    return chain.slice(1).slice(-count).map(block => {
+        const transfers = block.transactions.filter(tx => !isCoinbase(tx));
+        const full = transfers.length >= maxTransfers * FULL_BLOCK_RATIO ||
+            getBlockSize(block) >= PROTOCOL.MAX_BLOCK_SIZE * FULL_BLOCK_RATIO;
+
+        if (!full || transfers.length === 0) return 0;
+        return Math.min(...transfers.map(tx => tx.fee * 1000 / getTransactionSize(tx)));
+    }).sort((a, b) => a - b);
+}
+
+/**
+ * Fee rate that beats every pending transaction except the ones that fit
+ * in `blocks` blocks ahead of it
+ */
+function getBacklogRate(feeRates, blocks) {
+    const capacity = blocks * (PROTOCOL.MAX_TRANSACTIONS_PER_BLOCK - 1);
+    return feeRates.length >= capacity ? feeRates[capacity - 1] : 0;
+}
+
+/**
+ * Suggest fees for each confirmation target
+ *
+ * @param {object[]} chain - Main chain
+ * @param {Mempool} mempool - Pending transactions
+ * @param {number} size - Transaction size in bytes to price
+ * @returns {object} { size, congestionLevel, minimumFee, minimumFeeRate, basedOnBlocks, estimates }
+ */
+function estimateFees(chain, mempool, size = DEFAULT_ESTIMATE_SIZE) {
+    const congestionLevel = mempool.getCongestionLevel();
+    const minimumFee = calculateMinimumFee(size, congestionLevel);
+    const minimumFeeRate = minimumFee * 1000 / size;
+
+    const inclusionRates = getInclusionRates(chain);
+    const pendingRates = mempool.getFeeRates();
+
+    const estimates = {};
+    for (const [name, target] of Object.entries(FEE_TARGETS)) {
+        const marketRate = Math.max(
+            getBacklogRate(pendingRates, target.blocks),
+            percentile(inclusionRates, target.percentile)
+        );
+        const fee = Math.max(minimumFee, Math.ceil(marketRate * size / 1000));
+
+        estimates[name] = {
+            targetBlocks: target.blocks,
+            feeRate: formatAmount(Math.ceil(Math.max(minimumFeeRate, marketRate))),
+            fee: formatAmount(fee)
+        };
+    }
+
+    return {
+        size,
+        congestionLevel,
+        minimumFee: formatAmount(minimumFee),
+        minimumFeeRate: formatAmount(Math.ceil(minimumFeeRate)),
+        basedOnBlocks: inclusionRates.length,
+        estimates
+    };
+}
+
+module.exports = {
+    FEE_TARGETS,
+    DEFAULT_ESTIMATE_SIZE,
+    getInclusionRates,
+    estimateFees
+};
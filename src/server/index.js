@@ -7,42 +7,178 @@
 
 const express = require('express');
 const http = require('http');
+const path = require('path');
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const rateLimit = require('express-rate-limit');
 
 const PROTOCOL = require('../shared/protocol');
+const { hashMeetsTarget, randomHex, createMerkleProof } = require('../shared/crypto');
+const { calculateMerkleRoot, calculateBlockHash, hashMerkleLeaf, getBlockSize } = require('../shared/encoding');
 const {
-    sha256,
-    doubleSha256,
-    calculateMerkleRoot,
-    calculateBlockHash,
-    hashMeetsTarget
-} = require('../shared/crypto');
-const { isValidAddress, verify } = require('../shared/wallet');
+    isValidAddress,
+    verify,
+    publicKeyMatchesAddress,
+    normalizeAddress,
+    createPoolJoinMessage
+} = require('../shared/wallet');
+const {
+    calculateBlockReward,
+    calculateCoinbaseAmounts,
+    createCoinbase,
+    getCoinbase,
+    isCoinbase
+} = require('../shared/coinbase');
+const {
+    normalizeTransaction,
+    parseTransactionAmounts,
+    validateTransaction
+} = require('../shared/transaction');
+const { formatAmount } = require('../shared/amount');
+const {
+    createGenesisBlock,
+    calculateChainWork,
+    validateBlock,
+    validateChain
+} = require('../shared/validator');
+const { calculateNextDifficulty, simulateDifficulty } = require('../shared/difficulty');
+const AccountState = require('../shared/state');
+const ChainStorage = require('./storage');
+const PeerNetwork = require('./p2p');
+const SharePool = require('./pool');
+const Mempool = require('./mempool');
+const ObserverChannel = require('./observers');
+const AddressIndex = require('./address-index');
+const { estimateFees, DEFAULT_ESTIMATE_SIZE } = require('./fees');
 
 // Security Constants
 const MAX_WS_MESSAGE_SIZE = 100 * 1024; // 100KB max WebSocket message
-const MAX_PENDING_TRANSACTIONS = 10000; // Limit pending tx pool size
+const MEMPOOL_EXPIRY_INTERVAL_MS = 60 * 1000;  // How often stale pending txs are swept
+const BLOCK_SIZE_SLACK = 1024;          // Room for coinbase amounts to grow after selection
+const MAX_DROPPED_TRANSACTIONS = 10000; // Dropped txs remembered for status lookups
+const MAX_TX_SUBSCRIPTIONS = 100;       // Watched transaction ids per connection
+const MAX_HEADERS_PER_REQUEST = 2000;   // Headers served per /headers call
+const MAX_BLOCKS_PER_REQUEST = 100;     // Block summaries served per /blocks call
+const DEFAULT_HISTORY_PAGE_SIZE = 50;   // Address history entries per page
+const MAX_HISTORY_PAGE_SIZE = 200;
+const TEMPLATE_REFRESH_TX_COUNT = 10;   // New pending txs that trigger an immediate template refresh
+const TEMPLATE_MAX_DRIFT_MS = 60 * 1000;    // Template timestamp age that triggers a refresh
+const TEMPLATE_CHECK_INTERVAL_MS = 15 * 1000;   // How often the template is checked for drift
+
+/**
+ * Address history entry for a transfer, pending if `block` is null.
+ * `address` is normalized, like the keys of the address index.
+ */
+function transferEntry(tx, block, address) {
+    const sent = normalizeAddress(tx.sender) === address;
+
+    return {
+        id: tx.id,
+        type: 'transfer',
+        status: block ? 'confirmed' : 'pending',
+        blockHeight: block ? block.index : null,
+        blockHash: block ? block.hash : null,
+        timestamp: tx.timestamp,
+        direction: sent ? 'out' : 'in',
+        counterparty: sent ? tx.recipient : tx.sender,
+        amount: formatAmount(tx.amount),
+        fee: formatAmount(tx.fee)
+    };
+}
+
+/**
+ * Address history entry for what a coinbase credits to the normalized
+ * `address`, or null if it credits nothing
+ */
+function coinbaseEntry(tx, block, address) {
+    const payout = tx.payouts.find(p => normalizeAddress(p.address) === address);
+    let amount = payout ? payout.amount : 0;
+    if (normalizeAddress(block.miner) === address) amount += tx.minerReward;
+    if (normalizeAddress(tx.treasury) === address) amount += tx.treasuryReward;
+
+    if (amount === 0) return null;
+
+    return {
+        id: tx.id,
+        type: 'coinbase',
+        status: 'confirmed',
+        blockHeight: block.index,
+        blockHash: block.hash,
+        timestamp: block.timestamp,
+        direction: 'in',
+        counterparty: null,
+        amount: formatAmount(amount),
+        fee: formatAmount(0)
+    };
+}
+
+/**
+ * Decimal BLIX strings for a transaction's amounts. Transactions keep
+ * their base units, which the signature and id cover; API responses
+ * serve these next to them.
+ */
+function formatTransactionAmounts(tx) {
+    if (isCoinbase(tx)) {
+        return {
+            reward: formatAmount(tx.reward),
+            fees: formatAmount(tx.fees),
+            payouts: tx.payouts.map(payout => ({ address: payout.address, amount: formatAmount(payout.amount) })),
+            minerReward: formatAmount(tx.minerReward),
+            treasuryReward: formatAmount(tx.treasuryReward),
+            burned: formatAmount(tx.burned)
+        };
+    }
+
+    return { amount: formatAmount(tx.amount), fee: formatAmount(tx.fee) };
+}
+
+/**
+ * A block as the API serves it: hashed as is, in base units, with each
+ * transaction's amounts as decimal strings in block order
+ */
+function formatBlock(block) {
+    return { block, amounts: block.transactions.map(formatTransactionAmounts) };
+}
 
 class BlixnodeServer {
-    constructor(port = 3030) {
+    constructor(port = 3030, options = {}) {
         this.port = port;
+        this.storage = new ChainStorage(options.dataDir || './data');
+        this.treasuryAddress = options.treasuryAddress || PROTOCOL.TREASURY_ADDRESS;
         this.app = express();
         this.server = http.createServer(this.app);
-        this.wss = new WebSocket.Server({ server: this.server });
+        this.wss = new WebSocket.Server({ noServer: true });
+        this.p2p = new PeerNetwork(this, options.peers || []);
 
         // State
-        this.connectedWallets = new Map();  // walletAddress -> { ws, joinedAt }
-        this.pendingTransactions = [];
-        this.processedTxIds = new Set();    // Track processed txIds to prevent replay
+        this.connectedWallets = new Map();  // normalized walletAddress -> { ws, joinedAt }
+        this.mempool = new Mempool({
+            maxSize: options.mempoolSize,
+            maxAgeMs: options.mempoolExpiryMs
+        });
+        this.mempoolTimer = null;
+        this.templateTimer = null;
+        this.roundTimer = null;             // pending start of a time-locked round
+        this.txIndex = new Map();           // tx id -> block height (main chain); also blocks replays
+        this.droppedTransactions = new Map();   // tx id -> { transaction, reason, droppedAt }
+        this.txSubscriptions = new Map();   // ws -> Map(tx id -> last notified block hash)
+        this.observers = new ObserverChannel();
         this.chain = [];
-        this.currentChallenge = null;
+        this.chainQueue = Promise.resolve();    // tail of queued tip changes (withChainLock)
+        this.hashIndex = new Map();         // block hash -> height (main chain)
+        this.addressIndex = new AddressIndex();     // address -> transaction positions (main chain)
+        this.accountState = new AccountState();
+        this.sharePool = new SharePool();
+        this.currentChallenge = null;       // latest job
+        this.recentJobs = new Map();        // job id -> challenge, on the current tip only
+        this.pendingSinceJob = 0;           // txs added to the mempool since the latest job
         this.miningInProgress = false;
 
         // Chain state
-        this.genesisTime = Date.now();
+        this.genesisTime = PROTOCOL.GENESIS_TIMESTAMP;
         this.totalSupply = 0;
+        this.totalBurned = 0;
+        this.totalWork = 0;
         this.difficulty = 1;
 
         // Rate limiting for API
@@ -55,35 +191,239 @@ class BlixnodeServer {
         // Initialize
         this.setupRoutes();
         this.setupWebSocket();
-        this.createGenesisBlock();
     }
 
     /**
-     * Create genesis block
+     * Load persisted chain state, creating genesis on first run
+     */
+    async init() {
+        await this.storage.open();
+
+        this.chain = await this.storage.loadChain();
+
+        if (this.chain.length === 0) {
+            const genesis = createGenesisBlock();
+            this.chain.push(genesis);
+            await this.storage.saveBlock(genesis, this.getChainMeta());
+            console.log(`📦 Genesis block created: ${genesis.hash.slice(0, 16)}...`);
+        } else {
+            const expected = createGenesisBlock();
+            if (this.chain[0].hash !== expected.hash) {
+                throw new Error(`Stored genesis ${this.chain[0].hash} does not match this network`);
+            }
+
+            this.totalSupply = (await this.storage.getMeta('totalSupply')) || 0;
+            this.totalBurned = (await this.storage.getMeta('totalBurned')) || 0;
+            console.log(`📦 Loaded ${this.chain.length} blocks from ${this.storage.dataDir}`);
+        }
+
+        for (const block of this.chain) {
+            block.transactions.forEach(tx => this.txIndex.set(tx.id, block.index));
+            this.hashIndex.set(block.hash, block.index);
+        }
+        this.accountState.rebuild(this.chain);
+        this.addressIndex.rebuild(this.chain);
+        this.totalWork = calculateChainWork(this.chain);
+        this.adjustDifficulty();
+
+        // In nonce order: a replacement is stored with a later receivedAt than
+        // the sender's higher nonces, which would otherwise arrive with a gap
+        const stored = (await this.storage.loadMempool())
+            .filter(({ tx }) => !this.txIndex.has(tx.id))
+            .sort((a, b) => a.tx.nonce - b.tx.nonce);
+
+        for (const { tx, receivedAt } of stored) {
+            const result = this.mempool.add(tx, this.accountState, receivedAt);
+            if (!result.accepted) {
+                this.markDropped(tx, `Invalid on restart: ${result.reason}`);
+            }
+            result.evicted?.forEach(evicted => this.markDropped(evicted, 'Evicted by higher fee transactions'));
+        }
+        await this.storage.replaceMempool(this.mempool.getEntries());
+        await this.expireMempool();
+    }
+
+    /**
+     * Current chain tip
+     */
+    getTip() {
+        return this.chain[this.chain.length - 1];
+    }
+
+    /**
+     * Height of a main-chain block (-1 if unknown or orphaned)
+     */
+    getHeightByHash(hash) {
+        return this.hashIndex.has(hash) ? this.hashIndex.get(hash) : -1;
+    }
+
+    /**
+     * Get a main-chain block by hash
+     */
+    async getBlockByHash(hash) {
+        const height = this.getHeightByHash(hash);
+        return height === -1 ? null : this.chain[height];
+    }
+
+    /**
+     * Chain metadata persisted alongside each block
      */
-    createGenesisBlock() {
-        const genesis = {
-            index: 0,
-            timestamp: this.genesisTime,
-            previousHash: '0'.repeat(64),
-            merkleRoot: sha256('genesis'),
-            nonce: 0,
-            difficulty: 1,
-            miner: 'BLIX_GENESIS',
-            transactions: [],
-            hash: ''
+    getChainMeta() {
+        return {
+            totalSupply: this.totalSupply,
+            totalBurned: this.totalBurned
+        };
+    }
+
+    /**
+     * Look up a transaction and its status
+     *
+     * @returns {object|null} { status: 'confirmed' | 'pending' | 'dropped', transaction, amounts, ... }
+     */
+    getTransactionStatus(id) {
+        const height = this.txIndex.get(id);
+        if (height !== undefined) {
+            const block = this.chain[height];
+            const confirmations = this.getTip().index - height + 1;
+
+            const transaction = block.transactions.find(tx => tx.id === id);
+
+            return {
+                status: 'confirmed',
+                transaction,
+                amounts: formatTransactionAmounts(transaction),
+                blockHeight: height,
+                blockHash: block.hash,
+                confirmations,
+                confirmationsRequired: PROTOCOL.CONFIRMATIONS_REQUIRED,
+                final: confirmations >= PROTOCOL.CONFIRMATIONS_REQUIRED
+            };
+        }
+
+        const pending = this.mempool.get(id);
+        if (pending) {
+            return { status: 'pending', transaction: pending, amounts: formatTransactionAmounts(pending) };
+        }
+
+        const dropped = this.droppedTransactions.get(id);
+        if (dropped) {
+            return { status: 'dropped', ...dropped, amounts: formatTransactionAmounts(dropped.transaction) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Merkle inclusion proof of a confirmed transaction against its block header
+     *
+     * @returns {object|null} Null unless the transaction is in a main chain block
+     */
+    getTransactionProof(id) {
+        const height = this.txIndex.get(id);
+        if (height === undefined) return null;
+
+        const block = this.chain[height];
+        const index = block.transactions.findIndex(tx => tx.id === id);
+        const leaves = block.transactions.map(hashMerkleLeaf);
+
+        return {
+            transactionId: id,
+            transaction: block.transactions[index],
+            blockHeight: height,
+            blockHash: block.hash,
+            merkleRoot: block.merkleRoot,
+            index,
+            leaf: leaves[index],
+            proof: createMerkleProof(leaves, index)
+        };
+    }
+
+    /**
+     * Remember a transaction that left the mempool without being mined
+     */
+    markDropped(tx, reason) {
+        this.droppedTransactions.delete(tx.id);
+        this.droppedTransactions.set(tx.id, {
+            transaction: tx,
+            reason,
+            droppedAt: Date.now()
+        });
+        this.publishActivity(tx, null, reason);
+
+        // Forget the oldest entries beyond the limit (Map keeps insertion order)
+        while (this.droppedTransactions.size > MAX_DROPPED_TRANSACTIONS) {
+            this.droppedTransactions.delete(this.droppedTransactions.keys().next().value);
+        }
+    }
+
+    /**
+     * Record transactions removed from the mempool and delete them from storage
+     *
+     * @param {object[]} removed - [{ tx, reason }]
+     */
+    async dropPendingTransactions(removed) {
+        if (removed.length === 0) return;
+
+        removed.forEach(({ tx, reason }) => this.markDropped(tx, reason));
+
+        try {
+            await this.storage.removePendingTransactions(removed.map(({ tx }) => tx.id));
+        } catch (err) {
+            console.error('Failed to remove pending transactions:', err.message);
+        }
+    }
+
+    /**
+     * Drop pending transactions older than the mempool expiry
+     */
+    async expireMempool() {
+        const expired = this.mempool.expire();
+        if (expired.length > 0) {
+            console.log(`⌛ Expired ${expired.length} pending transaction(s)`);
+        }
+        await this.dropPendingTransactions(expired);
+    }
+
+    /**
+     * One page of an address's history, newest first, from the address index
+     *
+     * Pending transfers are listed separately and only with the first page,
+     * since they have no place in the chain yet; the newest `limit` of them.
+     *
+     * @param {object} options - { direction, cursor, limit } with direction
+     *                           in, out, mining or null for all, and a parsed cursor
+     * @returns {object} { address, direction, pending, pendingTotal, transactions, total, nextCursor }
+     */
+    getAddressTransactions(requested, { direction = null, cursor = null, limit = DEFAULT_HISTORY_PAGE_SIZE } = {}) {
+        const address = normalizeAddress(requested);
+        const { refs, hasMore } = this.addressIndex.getPage(address, { direction, before: cursor, limit });
+
+        const transactions = refs.map(({ height, position }) => {
+            const block = this.chain[height];
+            const tx = block.transactions[position];
+            return isCoinbase(tx) ? coinbaseEntry(tx, block, address) : transferEntry(tx, block, address);
+        });
+
+        const matching = cursor || direction === 'mining' ? [] : this.mempool.getTransactions()
+            .filter(tx => normalizeAddress(tx.sender) === address || normalizeAddress(tx.recipient) === address)
+            .map(tx => transferEntry(tx, null, address))
+            .filter(entry => !direction || entry.direction === direction);
+
+        return {
+            address,
+            direction,
+            pending: matching.slice(-limit).reverse(),
+            pendingTotal: matching.length,
+            transactions,
+            total: this.addressIndex.count(address, direction),
+            nextCursor: hasMore ? AddressIndex.formatCursor(refs[refs.length - 1]) : null
         };
-        genesis.hash = calculateBlockHash(genesis);
-        this.chain.push(genesis);
-        console.log(`📦 Genesis block created: ${genesis.hash.slice(0, 16)}...`);
     }
 
     /**
      * Setup REST API routes
      */
     setupRoutes() {
-        const path = require('path');
-
         // Serve static files (dashboard)
         this.app.use(express.static(path.join(__dirname, '../../public')));
 
@@ -92,33 +432,56 @@ class BlixnodeServer {
 
         // Apply rate limiting to block sync endpoints
         this.app.use('/block', this.blockSyncLimiter);
+        this.app.use('/blocks', this.blockSyncLimiter);
         this.app.use('/chain', this.blockSyncLimiter);
 
         // Pool status
         this.app.get('/pool/status', (req, res) => {
-            res.json({
-                success: true,
-                data: {
-                    connectedWallets: this.connectedWallets.size,
-                    minPoolSize: PROTOCOL.MIN_POOL_SIZE,
-                    canMine: this.canStartMining(),
-                    miningInProgress: this.miningInProgress,
-                    currentDifficulty: this.difficulty,
-                    chainHeight: this.chain.length,
-                    totalSupply: this.totalSupply,
-                    pendingTransactions: this.pendingTransactions.length
-                }
-            });
+            res.json({ success: true, data: this.getPoolStatus() });
+        });
+
+        // Per-wallet share and earnings stats
+        this.app.get('/pool/miner/:address', (req, res) => {
+            const { address } = req.params;
+
+            if (!isValidAddress(address)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid address format'
+                });
+            }
+
+            const stats = this.sharePool.getWalletStats(address);
+            res.json({ success: true, data: { ...stats, earnings: formatAmount(stats.earnings) } });
         });
 
         // Get latest block
         this.app.get('/block/latest', (req, res) => {
             res.json({
                 success: true,
-                data: this.chain[this.chain.length - 1]
+                data: formatBlock(this.chain[this.chain.length - 1])
             });
         });
 
+        // Get main-chain block by hash
+        this.app.get('/block/hash/:hash', async (req, res) => {
+            const { hash } = req.params;
+
+            if (!/^[0-9a-f]{64}$/.test(hash)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid block hash: must be 64 lowercase hex characters'
+                });
+            }
+
+            const block = await this.getBlockByHash(hash);
+            if (!block) {
+                return res.status(404).json({ success: false, message: 'Block not found' });
+            }
+
+            res.json({ success: true, data: formatBlock(block) });
+        });
+
         // Get block by height (with input validation)
         this.app.get('/block/:height', (req, res) => {
             const height = parseInt(req.params.height, 10);
@@ -132,7 +495,49 @@ class BlixnodeServer {
                 return res.status(404).json({ success: false, message: 'Block not found' });
             }
 
-            res.json({ success: true, data: this.chain[height] });
+            res.json({ success: true, data: formatBlock(this.chain[height]) });
+        });
+
+        // Block headers from a height, for light clients
+        this.app.get('/headers', (req, res) => {
+            const from = req.query.from === undefined ? 0 : Number(req.query.from);
+            const limit = req.query.limit === undefined ? MAX_HEADERS_PER_REQUEST : Number(req.query.limit);
+
+            if (!Number.isInteger(from) || from < 0) {
+                return res.status(400).json({ success: false, message: 'Invalid from: must be a non-negative integer' });
+            }
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HEADERS_PER_REQUEST) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid limit: must be an integer from 1 to ${MAX_HEADERS_PER_REQUEST}`
+                });
+            }
+
+            res.json({
+                success: true,
+                data: this.chain.slice(from, from + limit).map(PeerNetwork.toHeader)
+            });
+        });
+
+        // Block summaries for a height range, ascending; the latest blocks without `from`
+        this.app.get('/blocks', (req, res) => {
+            const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_BLOCKS_PER_REQUEST) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid limit: must be an integer from 1 to ${MAX_BLOCKS_PER_REQUEST}`
+                });
+            }
+
+            const from = req.query.from === undefined ? Math.max(0, this.chain.length - limit) : Number(req.query.from);
+            if (!Number.isInteger(from) || from < 0) {
+                return res.status(400).json({ success: false, message: 'Invalid from: must be a non-negative integer' });
+            }
+
+            res.json({
+                success: true,
+                data: this.chain.slice(from, from + limit).map(BlixnodeServer.summarizeBlock)
+            });
         });
 
         // Chain status
@@ -142,7 +547,10 @@ class BlixnodeServer {
                 data: {
                     height: this.chain.length,
                     difficulty: this.difficulty,
-                    totalSupply: this.totalSupply,
+                    totalSupply: formatAmount(this.totalSupply),
+                    totalBurned: formatAmount(this.totalBurned),
+                    treasuryAddress: this.treasuryAddress,
+                    totalWork: this.totalWork,
                     genesisTime: this.genesisTime,
                     latestBlock: this.chain[this.chain.length - 1]?.hash
                 }
@@ -150,65 +558,130 @@ class BlixnodeServer {
         });
 
         // Submit transaction (with replay protection and signature verification)
-        this.app.post('/transaction/submit', (req, res) => {
-            const tx = req.body;
-
-            // Input type validation
-            if (!tx || typeof tx !== 'object') {
-                return res.status(400).json({ success: false, message: 'Invalid request body' });
-            }
-
-            // Validate transaction structure and signature
-            const validation = this.validateTransaction(tx);
-            if (!validation.valid) {
+        this.app.post('/transaction/submit', async (req, res) => {
+            // Decimal BLIX strings become base units; more than 8 decimals is rejected
+            const parsed = parseTransactionAmounts(req.body);
+            if (!parsed.valid) {
                 return res.status(400).json({
                     success: false,
-                    message: validation.reason || 'Invalid transaction'
+                    message: parsed.reason
                 });
             }
 
-            // Generate unique transaction ID using nonce to prevent replay
-            tx.id = sha256(JSON.stringify({
-                sender: tx.sender,
-                recipient: tx.recipient,
-                amount: tx.amount,
-                fee: tx.fee,
-                nonce: tx.nonce,
-                timestamp: tx.timestamp
-            }));
-
-            // Check for replay attack
-            if (this.processedTxIds.has(tx.id)) {
-                return res.status(400).json({
+            const result = await this.submitTransaction(parsed.tx);
+            if (!result.success) {
+                return res.status(result.status).json({
                     success: false,
-                    message: 'Transaction already processed (possible replay attack)'
+                    message: result.message
                 });
             }
 
-            // Check pending pool size limit
-            if (this.pendingTransactions.length >= MAX_PENDING_TRANSACTIONS) {
-                return res.status(503).json({
+            res.json({ success: true, transactionId: result.transactionId, replaced: result.replaced });
+        });
+
+        // Suggested fees for fast / normal / slow confirmation
+        this.app.get('/fee/estimate', (req, res) => {
+            const size = req.query.size === undefined ? DEFAULT_ESTIMATE_SIZE : Number(req.query.size);
+
+            if (!Number.isInteger(size) || size <= 0 || size > PROTOCOL.MAX_TRANSACTION_SIZE) {
+                return res.status(400).json({
                     success: false,
-                    message: 'Transaction pool is full, please try again later'
+                    message: `Invalid size: must be an integer from 1 to ${PROTOCOL.MAX_TRANSACTION_SIZE} bytes`
                 });
             }
 
-            this.pendingTransactions.push(tx);
-
-            // Broadcast to miners
-            this.broadcast('transaction:new', tx);
+            res.json({ success: true, data: estimateFees(this.chain, this.mempool, size) });
+        });
 
-            res.json({ success: true, transactionId: tx.id });
+        // Connected peers
+        this.app.get('/peers', (req, res) => {
+            res.json({ success: true, data: this.p2p.getPeers() });
         });
 
         // Get pending transactions
         this.app.get('/transaction/pending', (req, res) => {
             res.json({
                 success: true,
-                data: this.pendingTransactions
+                data: this.mempool.getTransactions().map(transaction => ({
+                    transaction,
+                    amounts: formatTransactionAmounts(transaction)
+                }))
             });
         });
 
+        // Get transaction by id with its confirmation status
+        this.app.get('/transaction/:id', (req, res) => {
+            const { id } = req.params;
+
+            if (!/^[0-9a-f]{64}$/.test(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid transaction id: must be 64 lowercase hex characters'
+                });
+            }
+
+            const result = this.getTransactionStatus(id);
+            if (!result) {
+                return res.status(404).json({ success: false, message: 'Transaction not found' });
+            }
+
+            res.json({ success: true, data: result });
+        });
+
+        // Merkle inclusion proof of a confirmed transaction
+        this.app.get('/transaction/:id/proof', (req, res) => {
+            const { id } = req.params;
+
+            if (!/^[0-9a-f]{64}$/.test(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid transaction id: must be 64 lowercase hex characters'
+                });
+            }
+
+            const proof = this.getTransactionProof(id);
+            if (!proof) {
+                return res.status(404).json({ success: false, message: 'Transaction is not in a block' });
+            }
+
+            res.json({ success: true, data: proof });
+        });
+
+        // Get address transaction history
+        this.app.get('/address/:address/transactions', (req, res) => {
+            const { address } = req.params;
+
+            if (!isValidAddress(address)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid address format'
+                });
+            }
+
+            const limit = req.query.limit === undefined ? DEFAULT_HISTORY_PAGE_SIZE : Number(req.query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_PAGE_SIZE) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid limit: must be an integer from 1 to ${MAX_HISTORY_PAGE_SIZE}`
+                });
+            }
+
+            const direction = req.query.direction === undefined ? null : req.query.direction;
+            if (direction !== null && !AddressIndex.DIRECTIONS.includes(direction)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid direction: must be one of ${AddressIndex.DIRECTIONS.join(', ')}`
+                });
+            }
+
+            const cursor = req.query.cursor === undefined ? null : AddressIndex.parseCursor(req.query.cursor);
+            if (req.query.cursor !== undefined && !cursor) {
+                return res.status(400).json({ success: false, message: 'Invalid cursor' });
+            }
+
+            res.json({ success: true, data: this.getAddressTransactions(address, { direction, cursor, limit }) });
+        });
+
         // Get address balance (with input validation)
         this.app.get('/address/:address/balance', (req, res) => {
             const { address } = req.params;
@@ -221,34 +694,86 @@ class BlixnodeServer {
                 });
             }
 
-            let balance = 0;
+            const account = this.accountState.getAccount(address);
+            const pending = this.mempool.getSenderTransactions(address);
 
-            // Scan chain (inefficient but works for prototype)
-            for (const block of this.chain) {
-                for (const tx of block.transactions) {
-                    if (tx.recipient === address) {
-                        balance += tx.amount;
-                    }
-                    if (tx.sender === address) {
-                        balance -= (tx.amount + tx.fee);
-                    }
-                }
-                // Check block reward
-                if (block.miner === address) {
-                    balance += block.reward;
+            res.json({
+                success: true,
+                data: {
+                    address,
+                    balance: formatAmount(account.balance),
+                    nonce: account.nonce,
+                    nextNonce: account.nonce + pending.length
                 }
-            }
-
-            res.json({ success: true, data: { address, balance } });
+            });
         });
     }
 
     /**
-     * Setup WebSocket for mining coordination
+     * Header, transaction count, size and coinbase totals of a block, for listings
+     */
+    static summarizeBlock(block) {
+        const coinbase = getCoinbase(block);
+
+        return {
+            ...PeerNetwork.toHeader(block),
+            transactionCount: block.transactions.length,
+            size: getBlockSize(block),
+            reward: formatAmount(coinbase ? coinbase.reward : 0),
+            fees: formatAmount(coinbase ? coinbase.fees : 0)
+        };
+    }
+
+    /**
+     * Pool status for /pool/status and pool:status observer events
+     */
+    getPoolStatus() {
+        return {
+            connectedWallets: this.connectedWallets.size,
+            minPoolSize: PROTOCOL.MIN_POOL_SIZE,
+            canMine: this.canStartMining(),
+            miningInProgress: this.miningInProgress,
+            nextBlockValidFrom: this.getNextBlockTime(),
+            jobId: this.currentChallenge?.jobId || null,
+            currentDifficulty: this.difficulty,
+            chainHeight: this.chain.length,
+            totalSupply: formatAmount(this.totalSupply),
+            blockReward: formatAmount(calculateBlockReward(this.chain.length)),
+            pendingTransactions: this.mempool.size,
+            mempool: this.mempool.getStats(),
+            shareDifficulty: this.currentChallenge?.shareDifficulty || null,
+            shares: this.sharePool.getSummary()
+        };
+    }
+
+    /**
+     * Setup WebSocket for mining coordination and observers
      */
     setupWebSocket() {
+        // Peers connect on /p2p, everything else is a miner or observer connection
+        this.server.on('upgrade', (req, socket, head) => {
+            const { pathname } = new URL(req.url, 'http://localhost');
+
+            if (pathname === PeerNetwork.PEER_PATH) {
+                this.p2p.handleUpgrade(req, socket, head);
+            } else {
+                this.wss.handleUpgrade(req, socket, head, (ws) => {
+                    this.wss.emit('connection', ws, req);
+                });
+            }
+        });
+
         this.wss.on('connection', (ws) => {
-            let walletAddress = null;
+            // Miners prove address ownership by signing this nonce in pool:join
+            const session = {
+                authNonce: randomHex(32),
+                walletAddress: null
+            };
+
+            ws.send(JSON.stringify({
+                type: 'pool:auth',
+                data: { nonce: session.authNonce }
+            }));
 
             ws.on('message', (data) => {
                 // Security: Check message size limit
@@ -272,9 +797,7 @@ class BlixnodeServer {
                         return;
                     }
 
-                    this.handleMessage(ws, message, (addr) => {
-                        walletAddress = addr;
-                    });
+                    this.handleMessage(ws, message, session);
                 } catch (err) {
                     ws.send(JSON.stringify({
                         type: 'error',
@@ -284,6 +807,10 @@ class BlixnodeServer {
             });
 
             ws.on('close', () => {
+                this.txSubscriptions.delete(ws);
+                this.observers.remove(ws);
+
+                const { walletAddress } = session;
                 if (walletAddress) {
                     this.connectedWallets.delete(walletAddress);
                     console.log(`👋 Wallet disconnected: ${walletAddress.slice(0, 12)}...`);
@@ -298,14 +825,32 @@ class BlixnodeServer {
     /**
      * Handle WebSocket messages
      */
-    handleMessage(ws, message, setWalletAddress) {
+    handleMessage(ws, message, session) {
         switch (message.type) {
             case 'pool:join':
-                this.handlePoolJoin(ws, message, setWalletAddress);
+                this.handlePoolJoin(ws, message, session);
+                break;
+
+            case 'share:submit':
+                this.handleShareSubmit(ws, message);
                 break;
 
             case 'solution:submit':
-                this.handleSolutionSubmit(ws, message);
+                this.handleSolutionSubmit(ws, message).catch(err => {
+                    console.error('Failed to process solution:', err.message);
+                });
+                break;
+
+            case 'transaction:subscribe':
+                this.handleTransactionSubscribe(ws, message);
+                break;
+
+            case 'observe:subscribe':
+                this.observers.subscribe(ws, message);
+                break;
+
+            case 'observe:unsubscribe':
+                this.observers.unsubscribe(ws, message);
                 break;
 
             default:
@@ -318,9 +863,13 @@ class BlixnodeServer {
 
     /**
      * Handle pool join request
+     *
+     * The miner signs the connection's auth nonce; the wallet is only
+     * registered once the signature verifies against a public key that
+     * derives the claimed address.
      */
-    handlePoolJoin(ws, message, setWalletAddress) {
-        const { walletAddress } = message;
+    handlePoolJoin(ws, message, session) {
+        const { walletAddress, publicKey, signature } = message;
 
         if (!isValidAddress(walletAddress)) {
             ws.send(JSON.stringify({
@@ -330,7 +879,34 @@ class BlixnodeServer {
             return;
         }
 
-        if (this.connectedWallets.has(walletAddress)) {
+        if (session.walletAddress || !session.authNonce) {
+            ws.send(JSON.stringify({
+                type: 'error',
+                message: 'Connection already joined'
+            }));
+            return;
+        }
+
+        if (!publicKeyMatchesAddress(publicKey, walletAddress)) {
+            ws.send(JSON.stringify({
+                type: 'error',
+                message: 'Public key does not match wallet address'
+            }));
+            return;
+        }
+
+        const joinMessage = createPoolJoinMessage(session.authNonce, walletAddress);
+        if (!verify(joinMessage, signature, publicKey)) {
+            ws.send(JSON.stringify({
+                type: 'error',
+                message: 'Invalid join signature'
+            }));
+            return;
+        }
+
+        // A legacy address may be claimed in either case; both are one wallet
+        const memberAddress = normalizeAddress(walletAddress);
+        if (this.connectedWallets.has(memberAddress)) {
             ws.send(JSON.stringify({
                 type: 'error',
                 message: 'Wallet already connected'
@@ -338,12 +914,14 @@ class BlixnodeServer {
             return;
         }
 
-        this.connectedWallets.set(walletAddress, {
+        this.connectedWallets.set(memberAddress, {
             ws,
             joinedAt: Date.now()
         });
 
-        setWalletAddress(walletAddress);
+        // Each nonce authorizes a single join
+        session.authNonce = null;
+        session.walletAddress = memberAddress;
 
         console.log(`✅ Wallet joined pool: ${walletAddress.slice(0, 12)}...`);
 
@@ -366,66 +944,407 @@ class BlixnodeServer {
         if (this.canStartMining() && !this.miningInProgress) {
             this.startMiningRound();
         }
+
+        // Tell the new member when the time-locked round starts
+        if (this.roundTimer) {
+            ws.send(JSON.stringify({ type: 'challenge:pending', data: this.getPendingChallenge() }));
+        }
     }
 
     /**
-     * Handle solution submission from miner
+     * Watch transaction ids for transaction:confirmed events. Any connection
+     * may subscribe; joining the pool is not required.
      */
-    handleSolutionSubmit(ws, message) {
-        const { walletAddress, nonce, hash } = message;
+    handleTransactionSubscribe(ws, message) {
+        const ids = message.transactionIds;
 
-        if (!this.currentChallenge) {
+        if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => /^[0-9a-f]{64}$/.test(id))) {
             ws.send(JSON.stringify({
                 type: 'error',
-                message: 'No active challenge'
+                message: 'transactionIds must be an array of transaction ids'
             }));
             return;
         }
 
-        // Verify the solution
-        const block = {
-            ...this.currentChallenge.blockTemplate,
-            nonce,
-            miner: walletAddress
+        const watched = this.txSubscriptions.get(ws) || new Map();
+        const added = ids.filter(id => !watched.has(id));
+
+        if (watched.size + added.length > MAX_TX_SUBSCRIPTIONS) {
+            ws.send(JSON.stringify({
+                type: 'error',
+                message: `At most ${MAX_TX_SUBSCRIPTIONS} transactions can be watched per connection`
+            }));
+            return;
+        }
+
+        added.forEach(id => watched.set(id, null));
+        this.txSubscriptions.set(ws, watched);
+
+        ws.send(JSON.stringify({
+            type: 'transaction:subscribed',
+            data: { transactionIds: ids }
+        }));
+
+        // Report transactions that are already in a block
+        this.notifyTransactionSubscribers(ws);
+    }
+
+    /**
+     * Send transaction:confirmed when a watched transaction is included in
+     * a block, and again when it reaches CONFIRMATIONS_REQUIRED. Watches
+     * end at finality. A reorg that moves the transaction to another block
+     * produces a new inclusion event.
+     *
+     * @param {WebSocket} only - Check a single connection instead of all
+     */
+    notifyTransactionSubscribers(only = null) {
+        const targets = only ? [[only, this.txSubscriptions.get(only)]] : this.txSubscriptions;
+
+        for (const [ws, watched] of targets) {
+            if (!watched || ws.readyState !== WebSocket.OPEN) continue;
+
+            for (const [id, notifiedHash] of watched) {
+                const status = this.getTransactionStatus(id);
+                if (!status || status.status !== 'confirmed') continue;
+                if (status.blockHash === notifiedHash && !status.final) continue;
+
+                ws.send(JSON.stringify({
+                    type: 'transaction:confirmed',
+                    data: {
+                        transactionId: id,
+                        blockHeight: status.blockHeight,
+                        blockHash: status.blockHash,
+                        confirmations: status.confirmations,
+                        confirmationsRequired: status.confirmationsRequired,
+                        final: status.final
+                    }
+                }));
+
+                if (status.final) {
+                    watched.delete(id);
+                } else {
+                    watched.set(id, status.blockHash);
+                }
+            }
+        }
+    }
+
+    /**
+     * Rebuild the block a miner claims to have hashed and check it against
+     * the template of the job it names. The miner address is committed in
+     * the hash. Work for a job that is no longer recent is stale.
+     *
+     * @returns {object} { block, challenge } or { reason, stale }
+     */
+    checkSubmission(ws, message) {
+        const { walletAddress, jobId, nonce, hash } = message;
+
+        // Work is only accepted for the wallet joined on this connection
+        const member = this.connectedWallets.get(normalizeAddress(walletAddress));
+        if (!member || member.ws !== ws) {
+            return { reason: 'Wallet not joined on this connection' };
+        }
+
+        if (typeof jobId !== 'string' || !Number.isSafeInteger(nonce) || nonce < 0 || typeof hash !== 'string') {
+            return { reason: 'Malformed solution' };
+        }
+
+        const challenge = this.recentJobs.get(jobId);
+        if (!challenge) {
+            return { reason: `Stale job ${jobId}`, stale: true };
+        }
+
+        const block = { ...challenge.blockTemplate, nonce, miner: walletAddress };
+        if (calculateBlockHash(block) !== hash) {
+            return { reason: 'Hash mismatch' };
+        }
+
+        block.hash = hash;
+        return { block, challenge };
+    }
+
+    /**
+     * Handle share submission from miner
+     */
+    handleShareSubmit(ws, message) {
+        const { walletAddress, jobId } = message;
+        const reject = (reason) => {
+            if (this.connectedWallets.get(normalizeAddress(walletAddress))?.ws === ws) {
+                this.sharePool.rejectShare(walletAddress);
+            }
+            ws.send(JSON.stringify({ type: 'share:rejected', jobId, reason }));
         };
 
-        const calculatedHash = calculateBlockHash(block);
+        const { block, challenge, reason, stale } = this.checkSubmission(ws, message);
+        if (stale) {
+            this.sharePool.staleShare(walletAddress);
+            ws.send(JSON.stringify({ type: 'share:stale', jobId, reason }));
+            return;
+        }
+        if (!block) return reject(reason);
+
+        if (this.sharePool.isDuplicate(block.hash)) {
+            return reject('Duplicate share');
+        }
+
+        const shareDifficulty = challenge.shareDifficulty;
+        if (!hashMeetsTarget(block.hash, shareDifficulty)) {
+            return reject('Does not meet share target');
+        }
+
+        this.sharePool.addShare(walletAddress, block.hash, shareDifficulty);
+
+        ws.send(JSON.stringify({
+            type: 'share:accepted',
+            jobId,
+            data: { validShares: this.sharePool.getStats(walletAddress).validShares }
+        }));
+    }
+
+    /**
+     * Handle solution submission from miner
+     */
+    async handleSolutionSubmit(ws, message) {
+        const { walletAddress, jobId } = message;
 
-        if (calculatedHash !== hash) {
+        const { block, challenge, reason, stale } = this.checkSubmission(ws, message);
+        if (!block) {
             ws.send(JSON.stringify({
-                type: 'solution:rejected',
-                reason: 'Hash mismatch'
+                type: stale ? 'solution:stale' : 'solution:rejected',
+                jobId,
+                reason
             }));
             return;
         }
 
-        if (!hashMeetsTarget(hash, this.difficulty)) {
+        if (!hashMeetsTarget(block.hash, challenge.difficulty)) {
             ws.send(JSON.stringify({
                 type: 'solution:rejected',
+                jobId,
                 reason: 'Does not meet difficulty target'
             }));
             return;
         }
 
-        // Valid solution! Add block
-        block.hash = calculatedHash;
-        this.addBlock(block);
+        // A block solution also counts as a share
+        if (!this.sharePool.isDuplicate(block.hash)) {
+            this.sharePool.addShare(walletAddress, block.hash, challenge.shareDifficulty);
+        }
+
+        // Valid solution! Close every job before persisting so a
+        // concurrent submission can't be accepted for the same height
+        const current = this.currentChallenge;
+        const jobs = this.recentJobs;
+        this.currentChallenge = null;
+        this.recentJobs = new Map();
+
+        const result = await this.acceptBlock(block);
+        if (!result.valid) {
+            // Reopen the jobs unless a peer block moved the tip meanwhile
+            if (!this.currentChallenge && this.getTip().hash === current.blockTemplate.previousHash) {
+                this.currentChallenge = current;
+                this.recentJobs = jobs;
+            }
+            ws.send(JSON.stringify({
+                type: 'solution:rejected',
+                jobId,
+                reason: result.reason
+            }));
+            return;
+        }
 
+        this.sharePool.recordBlock(block, getCoinbase(block));
         console.log(`⛏️ Block mined by ${walletAddress.slice(0, 12)}... Height: ${block.index}`);
+    }
+
+    /**
+     * Run a tip change after the ones already queued. Adding blocks and
+     * reorganizing await storage between steps, so a peer block, a sync
+     * and a local solution must never interleave.
+     *
+     * @param {function} task - Async function that changes the chain
+     * @returns {Promise} The task's result
+     */
+    withChainLock(task) {
+        const result = this.chainQueue.then(task);
+        this.chainQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Add a new tip block, notify miners and peers, and restart mining
+     *
+     * @param {object} block - Block extending the current tip
+     * @param {WebSocket} source - Peer the block came from, if any
+     */
+    acceptBlock(block, source = null) {
+        return this.withChainLock(async () => {
+            const result = await this.addBlock(block);
+            if (!result.valid) return result;
+
+            if (source) {
+                console.log(`📥 Block ${block.index} received from peer`);
+            }
+
+            this.onTipChanged(source);
+            return result;
+        });
+    }
+
+    /**
+     * Switch to a peer's chain that forks off at `forkHeight`.
+     * The new branch must validate and carry more work than ours.
+     * Transactions from orphaned blocks go back to the mempool.
+     */
+    switchToFork(forkHeight, blocks, source = null) {
+        return this.withChainLock(() => this.applyFork(forkHeight, blocks, source));
+    }
+
+    /**
+     * Body of switchToFork, run under the chain lock
+     */
+    async applyFork(forkHeight, blocks, source) {
+        const tip = this.getTip();
+
+        // The branch was fetched before the lock; our chain may have moved since
+        if (blocks.length === 0 || forkHeight > tip.index ||
+            this.chain[forkHeight].hash !== blocks[0].previousHash) {
+            return { valid: false, reason: 'Chain changed while the branch was downloaded' };
+        }
+
+        // Plain extension of our chain. Blocks before an invalid one are
+        // kept: each was fully validated and adds work.
+        if (forkHeight === tip.index) {
+            for (const block of blocks) {
+                const result = await this.addBlock(block);
+                if (!result.valid) {
+                    if (this.getTip() !== tip) this.onTipChanged(source);
+                    return { valid: false, reason: `Block ${block.index}: ${result.reason}` };
+                }
+            }
+            console.log(`📥 Synced to height ${this.getTip().index}`);
+            this.onTipChanged(source);
+            return { valid: true };
+        }
+
+        // Replay state up to the fork point, then validate the new branch
+        const state = new AccountState();
+        state.rebuild(this.chain.slice(0, forkHeight + 1));
+
+        const getAncestor = height => (height <= forkHeight ? this.chain[height] : blocks[height - forkHeight - 1]);
+
+        let parent = this.chain[forkHeight];
+        for (const block of blocks) {
+            const result = validateBlock(block, parent, state, {
+                treasuryAddress: this.treasuryAddress,
+                getAncestor
+            });
+            if (!result.valid) {
+                return { valid: false, reason: `Block ${block.index}: ${result.reason}` };
+            }
+            state.applyBlock(block);
+            parent = block;
+        }
+
+        const newChain = this.chain.slice(0, forkHeight + 1).concat(blocks);
+        const newWork = calculateChainWork(newChain);
+        if (newWork <= this.totalWork) {
+            return { valid: false, reason: 'Fork does not have more work' };
+        }
+
+        const orphaned = this.chain.slice(forkHeight + 1);
+
+        this.chain = newChain;
+        this.accountState = state;
+        this.totalWork = newWork;
+        this.recomputeChainIndexes();
+
+        // Orphaned transfers and current pending go back through the state check,
+        // in nonce order so each sender's chain is rebuilt without gaps
+        const now = Date.now();
+        const candidates = orphaned
+            .flatMap(block => block.transactions.slice(1))
+            .map(tx => ({ tx, receivedAt: now }))
+            .concat(this.mempool.getEntries())
+            .filter(({ tx }) => !this.txIndex.has(tx.id))
+            .sort((a, b) => a.tx.nonce - b.tx.nonce);
+
+        const previous = this.mempool;
+        this.mempool = new Mempool({ maxSize: previous.maxSize, maxAgeMs: previous.maxAgeMs });
+        this.mempool.counters = previous.counters;
+
+        for (const { tx, receivedAt } of candidates) {
+            if (this.mempool.has(tx.id)) continue;
+
+            const result = this.mempool.add(tx, state, receivedAt);
+            if (!result.accepted) {
+                this.markDropped(tx, `Invalid after chain reorganization: ${result.reason}`);
+            } else if (!previous.has(tx.id)) {
+                this.publishActivity(tx);
+            }
+            result.evicted?.forEach(evicted => this.markDropped(evicted, 'Evicted by higher fee transactions'));
+        }
+
+        await this.storage.saveReorg(forkHeight, tip.index, blocks, this.getChainMeta());
+        await this.storage.replaceMempool(this.mempool.getEntries());
+
+        console.log(`🔀 Reorganized: dropped ${orphaned.length} blocks, new height ${this.getTip().index}`);
+
+        blocks.forEach(block => block.transactions.forEach(tx => this.publishActivity(tx, block)));
+
+        this.broadcast('chain:reorganized', {
+            forkHeight,
+            height: this.getTip().index,
+            hash: this.getTip().hash
+        });
+        this.onTipChanged(source);
+        return { valid: true };
+    }
+
+    /**
+     * Rebuild hash, transaction and address indexes and supply totals from the chain
+     */
+    recomputeChainIndexes() {
+        this.hashIndex.clear();
+        this.txIndex.clear();
+        this.totalSupply = 0;
+        this.totalBurned = 0;
+
+        for (const block of this.chain) {
+            this.hashIndex.set(block.hash, block.index);
+            block.transactions.forEach(tx => this.txIndex.set(tx.id, block.index));
+
+            const coinbase = getCoinbase(block);
+            if (coinbase) {
+                this.totalSupply += coinbase.reward - coinbase.burned;
+                this.totalBurned += coinbase.burned;
+            }
+        }
+
+        this.addressIndex.rebuild(this.chain);
+    }
+
+    /**
+     * Tell miners and peers about a new tip and restart the mining round
+     */
+    onTipChanged(source = null) {
+        const tip = this.getTip();
 
-        // Notify all
         this.broadcast('block:mined', {
-            block,
-            miner: walletAddress
+            ...formatBlock(tip),
+            miner: tip.miner
         });
+        this.p2p.broadcastBlock(tip, source);
+        this.notifyTransactionSubscribers();
 
-        // Reset and start new round
-        this.miningInProgress = false;
+        // Work on the old tip is stale from here on
+        clearTimeout(this.roundTimer);
+        this.roundTimer = null;
         this.currentChallenge = null;
+        this.recentJobs.clear();
+        this.miningInProgress = false;
 
-        if (this.canStartMining()) {
-            setTimeout(() => this.startMiningRound(), 1000);
-        }
+        this.startMiningRound();
     }
 
     /**
@@ -436,172 +1355,257 @@ class BlixnodeServer {
     }
 
     /**
-     * Start a new mining round
+     * Earliest timestamp the next block may have
+     */
+    getNextBlockTime() {
+        return this.getTip().timestamp + PROTOCOL.MIN_BLOCK_TIME_MS;
+    }
+
+    /**
+     * Round announced to miners while the next block is time-locked
+     */
+    getPendingChallenge() {
+        return {
+            height: this.chain.length,
+            previousHash: this.getTip().hash,
+            validFrom: this.getNextBlockTime()
+        };
+    }
+
+    /**
+     * Start a new mining round on the current tip. Until the minimum block
+     * time has passed since the tip, the round is time-locked: miners are
+     * told when it opens and no template is issued.
      */
     startMiningRound() {
-        if (!this.canStartMining() || this.miningInProgress) return;
+        if (!this.canStartMining() || this.miningInProgress || this.roundTimer) return;
+
+        const wait = this.getNextBlockTime() - Date.now();
+        if (wait > 0) {
+            this.roundTimer = setTimeout(() => {
+                this.roundTimer = null;
+                this.startMiningRound();
+            }, wait);
+
+            console.log(`⏳ Next block valid in ${Math.ceil(wait / 1000)}s`);
+            this.broadcast('challenge:pending', this.getPendingChallenge());
+            return;
+        }
 
         this.miningInProgress = true;
         this.adjustDifficulty();
+        this.sharePool.newRound();
+        this.recentJobs.clear();
 
+        this.issueJob(true);
+    }
+
+    /**
+     * Build a template from the mempool and broadcast it as a new job.
+     * Work for the last PROTOCOL.MAX_RECENT_JOBS jobs on the same tip is accepted.
+     *
+     * @param {boolean} cleanJobs - Whether earlier jobs are now stale (new tip)
+     */
+    issueJob(cleanJobs) {
         const lastBlock = this.chain[this.chain.length - 1];
-        const blockReward = this.calculateBlockReward();
 
-        // Select transactions for block
-        const transactions = this.pendingTransactions.slice(0, PROTOCOL.MAX_TRANSACTIONS_PER_BLOCK);
+        // Miner share of reward and fees is split over recent pool shares
+        const buildCoinbase = (transactions) => createCoinbase({
+            height: this.chain.length,
+            transactions,
+            treasuryAddress: this.treasuryAddress,
+            payouts: this.sharePool.calculatePayouts(
+                calculateCoinbaseAmounts(this.chain.length, transactions).toMiners
+            )
+        });
+
+        // Fill the block by fee rate, leaving room for the coinbase and header
+        const reserved = getBlockSize({ ...lastBlock, transactions: [buildCoinbase([])] });
+        const selected = this.mempool.selectTransactions({
+            maxCount: PROTOCOL.MAX_TRANSACTIONS_PER_BLOCK - 1,
+            maxBytes: PROTOCOL.MAX_BLOCK_SIZE - reserved - BLOCK_SIZE_SLACK
+        });
+        const coinbase = buildCoinbase(selected);
+        const transactions = [coinbase, ...selected];
 
-        // Create block template
+        // Create block template (at the current time, never before the time lock)
         const blockTemplate = {
             index: this.chain.length,
-            timestamp: Date.now(),
+            timestamp: Math.max(Date.now(), lastBlock.timestamp + PROTOCOL.MIN_BLOCK_TIME_MS),
             previousHash: lastBlock.hash,
             merkleRoot: calculateMerkleRoot(transactions),
             difficulty: this.difficulty,
-            transactions,
-            reward: blockReward
+            transactions
         };
 
+        const shareDifficulty = SharePool.shareDifficulty(this.difficulty);
+        const jobId = randomHex(8);
+
         this.currentChallenge = {
+            jobId,
             blockTemplate,
             startedAt: Date.now(),
-            difficulty: this.difficulty
+            difficulty: this.difficulty,
+            shareDifficulty
         };
+        this.recentJobs.set(jobId, this.currentChallenge);
+        if (this.recentJobs.size > PROTOCOL.MAX_RECENT_JOBS) {
+            this.recentJobs.delete(this.recentJobs.keys().next().value);
+        }
+        this.pendingSinceJob = 0;
 
-        console.log(`🎯 New challenge issued. Difficulty: ${this.difficulty}`);
+        if (cleanJobs) {
+            console.log(`🎯 New challenge issued. Job: ${jobId}, difficulty: ${this.difficulty}`);
+        }
 
         // Broadcast challenge to all miners
         this.broadcast('challenge:new', {
+            jobId,
+            cleanJobs,
             blockTemplate,
             difficulty: this.difficulty,
+            shareDifficulty,
             target: (BigInt('0x' + 'f'.repeat(64)) / BigInt(this.difficulty)).toString(16)
         });
     }
 
     /**
-     * Adjust difficulty based on network state
+     * Replace the current job with a fresh template on the same tip, so
+     * new transactions get mined and the timestamp stays current
      */
-    adjustDifficulty() {
-        if (this.chain.length < PROTOCOL.DIFFICULTY_ADJUSTMENT_BLOCKS + 1) {
-            return;
-        }
-
-        const recentBlocks = this.chain.slice(-PROTOCOL.DIFFICULTY_ADJUSTMENT_BLOCKS);
-        const firstBlock = recentBlocks[0];
-        const lastBlock = recentBlocks[recentBlocks.length - 1];
+    refreshTemplate(reason) {
+        if (!this.currentChallenge) return;
 
-        const actualTime = lastBlock.timestamp - firstBlock.timestamp;
-        const expectedTime = PROTOCOL.TARGET_BLOCK_TIME_MS * PROTOCOL.DIFFICULTY_ADJUSTMENT_BLOCKS;
-
-        // Exponential growth factors
-        const supplyFactor = Math.pow(1.0001, this.totalSupply / 1000000);
-        const timeFactor = Math.pow(1.00005, (Date.now() - this.genesisTime) / 86400000);
+        this.issueJob(false);
+        console.log(`🔄 Template refreshed (${reason}). Job: ${this.currentChallenge.jobId}, ${this.currentChallenge.blockTemplate.transactions.length - 1} txs`);
+    }
 
-        // Adjust based on actual vs expected time
-        let adjustment = expectedTime / actualTime;
-        adjustment = Math.max(0.5, Math.min(2, adjustment)); // Clamp to prevent extreme changes
+    /**
+     * Refresh the template once its timestamp drifts too far behind the clock
+     */
+    checkTemplate() {
+        if (!this.currentChallenge) return;
 
-        this.difficulty = Math.max(1, Math.floor(this.difficulty * adjustment * supplyFactor * timeFactor));
+        const drift = Date.now() - this.currentChallenge.blockTemplate.timestamp;
+        if (drift >= TEMPLATE_MAX_DRIFT_MS) {
+            this.refreshTemplate(`timestamp ${Math.round(drift / 1000)}s old`);
+        }
     }
 
     /**
-     * Calculate block reward
+     * Set the difficulty required of the next block on the main chain
      */
-    calculateBlockReward() {
-        const halvings = Math.floor(this.chain.length / PROTOCOL.HALVING_INTERVAL);
-        return PROTOCOL.INITIAL_BLOCK_REWARD / Math.pow(2, halvings);
+    adjustDifficulty() {
+        this.difficulty = calculateNextDifficulty(this.getTip(), height => this.chain[height]);
     }
 
     /**
-     * Add block to chain
+     * Validate a block against the current tip, then add and persist it
+     *
+     * @returns {object} Validation result; the block is only added if valid
      */
-    addBlock(block) {
+    async addBlock(block) {
+        const tip = this.chain[this.chain.length - 1];
+        const validation = validateBlock(block, tip, this.accountState, {
+            treasuryAddress: this.treasuryAddress,
+            getAncestor: height => this.chain[height]
+        });
+        if (!validation.valid) return validation;
+
         this.chain.push(block);
-        this.totalSupply += block.reward || 0;
+        this.hashIndex.set(block.hash, block.index);
+        this.totalWork += block.difficulty;
+        this.accountState.applyBlock(block);
+        this.addressIndex.add(block);
+
+        // Reward is minted, the burned share of fees leaves circulation
+        const coinbase = getCoinbase(block);
+        if (coinbase) {
+            this.totalSupply += coinbase.reward - coinbase.burned;
+            this.totalBurned += coinbase.burned;
+        }
 
-        // Clear mined transactions from pending and mark as processed
-        const minedTxIds = block.transactions.map(tx => tx.id);
-        minedTxIds.forEach(id => this.processedTxIds.add(id));
+        // Index mined transactions and clear them from pending
+        block.transactions.forEach(tx => {
+            this.txIndex.set(tx.id, block.index);
+            this.mempool.remove(tx.id);
+            this.publishActivity(tx, block);
+        });
 
-        this.pendingTransactions = this.pendingTransactions.filter(
-            tx => !minedTxIds.includes(tx.id)
-        );
+        await this.storage.saveBlock(block, this.getChainMeta());
 
-        // Cleanup old processed txIds to prevent memory bloat (keep last 100k)
-        if (this.processedTxIds.size > 100000) {
-            const idsToKeep = Array.from(this.processedTxIds).slice(-50000);
-            this.processedTxIds = new Set(idsToKeep);
-        }
+        // Pending transactions that conflict with the block (same nonce or
+        // spent balance) can no longer be mined
+        const conflicts = this.mempool.revalidate(this.accountState)
+            .map(({ tx, reason }) => ({ tx, reason: `Conflicts with block ${block.index}: ${reason}` }));
+        await this.dropPendingTransactions(conflicts);
+
+        return validation;
     }
 
     /**
-     * Validate transaction
+     * Validate and queue a transaction from the API or a peer, then relay it.
+     * Amounts are base units, as signed; the API route parses decimal strings first.
+     *
+     * @returns {object} { success, transactionId } or { success: false, status, message }
      */
-    validateTransaction(tx) {
-        // Type validation
-        if (!tx || typeof tx !== 'object') {
-            return { valid: false, reason: 'Transaction must be an object' };
+    async submitTransaction(rawTx, source = null) {
+        // Input type validation
+        if (!rawTx || typeof rawTx !== 'object') {
+            return { success: false, status: 400, message: 'Invalid request body' };
         }
 
-        // Required fields check
-        if (!tx.sender || !tx.recipient || tx.amount === undefined) {
-            return { valid: false, reason: 'Missing required fields: sender, recipient, amount' };
-        }
-
-        // Address validation
-        if (!isValidAddress(tx.sender)) {
-            return { valid: false, reason: 'Invalid sender address format' };
-        }
-        if (!isValidAddress(tx.recipient)) {
-            return { valid: false, reason: 'Invalid recipient address format' };
+        // Validate transaction structure and signature
+        const validation = validateTransaction(rawTx, {
+            congestionLevel: this.mempool.getCongestionLevel()
+        });
+        if (!validation.valid) {
+            return { success: false, status: 400, message: validation.reason || 'Invalid transaction' };
         }
 
-        // Amount validation
-        if (typeof tx.amount !== 'number' || tx.amount <= 0 || !Number.isFinite(tx.amount)) {
-            return { valid: false, reason: 'Amount must be a positive number' };
-        }
+        // Keep only protocol fields; the id hashes the signed fields and nonce
+        const tx = normalizeTransaction(rawTx);
 
-        // Fee validation
-        if (typeof tx.fee !== 'number' || tx.fee < PROTOCOL.MIN_TRANSACTION_FEE) {
-            return { valid: false, reason: `Fee must be at least ${PROTOCOL.MIN_TRANSACTION_FEE}` };
+        // Check for replay attack
+        if (this.txIndex.has(tx.id)) {
+            return { success: false, status: 400, message: 'Transaction already processed (possible replay attack)' };
         }
 
-        // Nonce validation (required for replay protection)
-        if (typeof tx.nonce !== 'number' || !Number.isInteger(tx.nonce) || tx.nonce < 0) {
-            return { valid: false, reason: 'Nonce must be a non-negative integer' };
+        // Balance and nonce against pending spends; may replace a pending
+        // transaction with the same nonce or evict lower fee rate ones
+        const receivedAt = Date.now();
+        const result = this.mempool.add(tx, this.accountState, receivedAt);
+        if (!result.accepted) {
+            return { success: false, status: result.status, message: result.reason };
         }
 
-        // Timestamp validation
-        if (typeof tx.timestamp !== 'number' || tx.timestamp <= 0) {
-            return { valid: false, reason: 'Timestamp must be a positive number' };
+        const removed = result.evicted.map(evicted => ({ tx: evicted, reason: 'Evicted by higher fee transactions' }));
+        if (result.replaced) {
+            removed.push({ tx: result.replaced, reason: `Replaced by ${tx.id}` });
         }
+        await this.dropPendingTransactions(removed);
 
-        // Signature validation
-        if (!tx.signature || typeof tx.signature !== 'object') {
-            return { valid: false, reason: 'Transaction signature is required' };
-        }
-        if (!tx.senderPublicKey || typeof tx.senderPublicKey !== 'string') {
-            return { valid: false, reason: 'Sender public key is required' };
+        try {
+            await this.storage.addPendingTransaction(tx, receivedAt);
+        } catch (err) {
+            console.error('Failed to persist transaction:', err.message);
         }
 
-        // Verify cryptographic signature
-        const txMessage = JSON.stringify({
-            sender: tx.sender,
-            recipient: tx.recipient,
-            amount: tx.amount,
-            fee: tx.fee,
-            nonce: tx.nonce,
-            timestamp: tx.timestamp
-        });
+        // Broadcast to miners and observers, and relay to peers
+        this.broadcast('transaction:new', { transaction: tx, amounts: formatTransactionAmounts(tx) });
+        this.publishActivity(tx);
+        this.p2p.broadcastTransaction(tx, source);
 
-        if (!verify(txMessage, tx.signature, tx.senderPublicKey)) {
-            return { valid: false, reason: 'Invalid transaction signature' };
+        this.pendingSinceJob++;
+        if (this.pendingSinceJob >= TEMPLATE_REFRESH_TX_COUNT) {
+            this.refreshTemplate(`${this.pendingSinceJob} new transactions`);
         }
 
-        return { valid: true };
+        return { success: true, transactionId: tx.id, replaced: result.replaced ? result.replaced.id : null };
     }
 
     /**
-     * Broadcast message to all connected wallets
+     * Broadcast message to all connected wallets and to observers of its topic
      */
     broadcast(type, data) {
         const message = JSON.stringify({ type, data });
@@ -610,30 +1614,177 @@ class BlixnodeServer {
                 ws.send(message);
             }
         });
+
+        // Everything miners are told about also changes the pool status
+        this.observers.publish(type, data);
+        this.observers.publishDeferred('pool:status', () => this.getPoolStatus());
+    }
+
+    /**
+     * Send address:activity for each watched address a transaction touches
+     *
+     * @param {object} tx - Transfer or coinbase
+     * @param {object} block - Block that includes it, or null while pending
+     * @param {string} droppedReason - Set when the transaction left the mempool unmined
+     */
+    publishActivity(tx, block = null, droppedReason = null) {
+        const addresses = isCoinbase(tx)
+            ? [...tx.payouts.map(payout => payout.address), block.miner, tx.treasury]
+            : [tx.sender, tx.recipient];
+
+        for (const address of new Set(addresses.map(normalizeAddress))) {
+            if (!this.observers.isWatching(address)) continue;
+
+            const entry = isCoinbase(tx) ? coinbaseEntry(tx, block, address) : transferEntry(tx, block, address);
+            if (!entry) continue;
+
+            if (droppedReason) {
+                entry.status = 'dropped';
+                entry.reason = droppedReason;
+            }
+            this.observers.publishAddressActivity(address, entry);
+        }
     }
 
     /**
      * Start the server
      */
-    start() {
+    async start() {
+        await this.init();
+
         this.server.listen(this.port, () => {
             console.log(`\n🚀 Blixchain Pool Coordinator running on port ${this.port}`);
             console.log(`📊 REST API: http://localhost:${this.port}`);
             console.log(`🔌 WebSocket: ws://localhost:${this.port}`);
             console.log(`\n⚙️  Configuration:`);
+            console.log(`   Data Dir: ${this.storage.dataDir}`);
+            console.log(`   Peers: ${this.p2p.peerUrls.join(', ') || 'none'}`);
             console.log(`   Min Pool Size: ${PROTOCOL.MIN_POOL_SIZE} wallets`);
             console.log(`   Min Block Time: ${PROTOCOL.MIN_BLOCK_TIME_MS / 1000}s`);
-            console.log(`   Initial Reward: ${PROTOCOL.INITIAL_BLOCK_REWARD} BLIX\n`);
+            console.log(`   Mempool: ${this.mempool.maxSize} txs, expiry ${this.mempool.maxAgeMs / 1000}s`);
+            console.log(`   Initial Reward: ${formatAmount(PROTOCOL.INITIAL_BLOCK_REWARD)} BLIX`);
+            console.log(`   Treasury: ${this.treasuryAddress}\n`);
         });
+
+        this.p2p.start();
+        this.mempoolTimer = setInterval(() => {
+            this.expireMempool().catch(err => console.error('Mempool expiry failed:', err.message));
+        }, MEMPOOL_EXPIRY_INTERVAL_MS);
+        this.templateTimer = setInterval(() => this.checkTemplate(), TEMPLATE_CHECK_INTERVAL_MS);
+    }
+
+    /**
+     * Stop the server and close storage
+     */
+    async stop() {
+        clearInterval(this.mempoolTimer);
+        clearInterval(this.templateTimer);
+        clearTimeout(this.roundTimer);
+        this.p2p.stop();
+        this.wss.clients.forEach(ws => ws.terminate());
+        await new Promise(resolve => this.server.close(resolve));
+        await this.storage.close();
+    }
+}
+
+/**
+ * Replay the stored chain and report the first invalid block
+ */
+async function verifyStoredChain(dataDir, treasuryAddress) {
+    const storage = new ChainStorage(dataDir);
+    await storage.open();
+
+    try {
+        const chain = await storage.loadChain();
+        console.log(`🔍 Verifying ${chain.length} blocks in ${storage.dataDir}...`);
+
+        const result = validateChain(chain, { treasuryAddress });
+        if (result.valid) {
+            console.log(`✅ Chain valid up to height ${result.height}`);
+        } else {
+            console.log(`❌ Invalid block at height ${result.height}: ${result.reason}`);
+            if (result.hash) console.log(`   Hash: ${result.hash}`);
+        }
+        return result;
+    } finally {
+        await storage.close();
+    }
+}
+
+/**
+ * Print the difficulty trajectory for a hashrate profile such as
+ * "1000:200,50000:300" (hashes per second : blocks)
+ */
+function runDifficultySimulation(profileText) {
+    const profile = profileText.split(',').map(segment => {
+        const [hashrate, blocks] = segment.split(':').map(Number);
+        if (!(hashrate > 0) || !Number.isInteger(blocks) || blocks < 1) {
+            throw new Error(`Invalid profile segment "${segment}": expected HASHRATE:BLOCKS`);
+        }
+        return { hashrate, blocks };
+    });
+
+    const results = simulateDifficulty(profile);
+    const interval = PROTOCOL.DIFFICULTY_ADJUSTMENT_BLOCKS;
+
+    console.log(`📈 Difficulty simulation (${results.length} blocks, target ${PROTOCOL.TARGET_BLOCK_TIME_MS / 1000}s)\n`);
+    console.log('   Height    Hashrate (H/s)   Difficulty        Avg block time   Chain age');
+
+    for (let i = interval - 1; i < results.length; i += interval) {
+        const block = results[i];
+        const window = results.slice(i - interval + 1, i + 1);
+        const avgSeconds = window.reduce((sum, r) => sum + r.blockTimeMs, 0) / window.length / 1000;
+        const days = (block.timestamp - PROTOCOL.GENESIS_TIMESTAMP) / 86400000;
+
+        console.log(
+            `   ${String(block.height).padEnd(9)} ${String(block.hashrate).padEnd(16)} ` +
+            `${String(block.difficulty).padEnd(17)} ${(avgSeconds.toFixed(1) + 's').padEnd(16)} ${days.toFixed(2)} days`
+        );
     }
 }
 
 // Start server if run directly
-if (require.main === module) {
+if (require.main === module && process.argv[2] === 'simulate-difficulty') {
+    const profileArg = process.argv.find(arg => arg.startsWith('--profile='));
+
+    try {
+        runDifficultySimulation(profileArg ? profileArg.slice(10) : '100:600,1000:300,200:300');
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+} else if (require.main === module && process.argv[2] === 'verify-chain') {
+    require('dotenv').config();
+    const dataDir = process.env.BLIX_DATA_DIR || './data';
+    const treasuryAddress = process.env.BLIX_TREASURY_ADDRESS;
+
+    verifyStoredChain(dataDir, treasuryAddress)
+        .then(result => process.exit(result.valid ? 0 : 1))
+        .catch(err => {
+            console.error(`❌ Verification failed: ${err.message}`);
+            process.exit(1);
+        });
+} else if (require.main === module) {
     require('dotenv').config();
     const port = process.env.BLIX_PORT || 3030;
-    const server = new BlixnodeServer(port);
-    server.start();
+    const dataDir = process.env.BLIX_DATA_DIR || './data';
+    const treasuryAddress = process.env.BLIX_TREASURY_ADDRESS;
+    const peers = (process.env.BLIX_PEERS || '').split(',').map(p => p.trim()).filter(Boolean);
+    const mempoolSize = Number(process.env.BLIX_MEMPOOL_SIZE) || undefined;
+    const mempoolExpiryMs = Number(process.env.BLIX_MEMPOOL_EXPIRY_MS) || undefined;
+    const server = new BlixnodeServer(port, { dataDir, treasuryAddress, peers, mempoolSize, mempoolExpiryMs });
+
+    server.start().catch(err => {
+        console.error(`❌ Failed to start: ${err.message}`);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', async () => {
+        console.log('\n👋 Shutting down...');
+        await server.stop();
+        process.exit(0);
+    });
 }
 
 module.exports = BlixnodeServer;
+module.exports.verifyStoredChain = verifyStoredChain;
@@ -0,0 +1,362 @@
+/**
+ * Blixchain Mempool
+ *
+ * Pending transfers waiting for a block. Each sender's transactions form
+ * a chain of consecutive nonces starting at the sender's confirmed nonce;
+ * every operation keeps those chains gap-free:
+ *   - blocks are filled by fee rate, taking each sender's lowest nonce first
+ *   - when full, the lowest fee rate transaction at the end of a chain is
+ *     evicted to make room for a better paying one
+ *   - transactions older than maxAgeMs expire, along with later nonces
+ *     from the same sender
+ *   - a transaction with the same sender and nonce replaces a pending one
+ *     if it pays at least MIN_FEE_BUMP more (replace-by-fee)
+ *
+ * Fee rates are in base units per 1000 bytes of canonical encoding.
+ */
+
+const PROTOCOL = require('../shared/protocol');
+const { getTransactionSize } = require('../shared/transaction');
+const { formatAmount, applyRatio } = require('../shared/amount');
+const { normalizeAddress } = require('../shared/wallet');
+
+const DEFAULT_MAX_SIZE = 10000;                     // transactions
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000;     // 24 hours
+const MIN_FEE_BUMP = 0.10;                          // replacements pay 10% more
+
+class Mempool {
+    constructor({ maxSize = DEFAULT_MAX_SIZE, maxAgeMs = DEFAULT_MAX_AGE_MS } = {}) {
+        this.maxSize = maxSize;
+        this.maxAgeMs = maxAgeMs;
+        this.entries = new Map();       // tx id -> { tx, receivedAt, size, feeRate }
+        this.bySender = new Map();      // normalized sender -> Map(nonce -> entry)
+        this.counters = { replaced: 0, evicted: 0, expired: 0 };
+    }
+
+    /**
+     * Fee rate of a transaction in base units per 1000 bytes
+     */
+    static feeRate(tx) {
+        return tx.fee * 1000 / getTransactionSize(tx);
+    }
+
+    /**
+     * Lowest fee that can replace a pending transaction paying `fee`:
+     * MIN_FEE_BUMP more, rounded up to a whole base unit
+     */
+    static minReplacementFee(fee) {
+        return fee + applyRatio(fee, MIN_FEE_BUMP, true);
+    }
+
+    /**
+     * Number of pending transactions
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Fill level from 0 (empty) to PROTOCOL.CONGESTION_LEVELS (full),
+     * used to raise the minimum fee as the pool fills
+     */
+    getCongestionLevel() {
+        const level = Math.floor(this.entries.size / this.maxSize * PROTOCOL.CONGESTION_LEVELS);
+        return Math.min(PROTOCOL.CONGESTION_LEVELS, level);
+    }
+
+    /**
+     * Pending fee rates, highest first
+     */
+    getFeeRates() {
+        return Array.from(this.entries.values(), entry => entry.feeRate).sort((a, b) => b - a);
+    }
+
+    /**
+     * Check whether a transaction is pending
+     */
+    has(id) {
+        return this.entries.has(id);
+    }
+
+    /**
+     * Get a pending transaction by id
+     */
+    get(id) {
+        const entry = this.entries.get(id);
+        return entry ? entry.tx : null;
+    }
+
+    /**
+     * All pending transactions in arrival order
+     */
+    getTransactions() {
+        return Array.from(this.entries.values(), entry => entry.tx);
+    }
+
+    /**
+     * Pending entries with arrival times, for persistence
+     */
+    getEntries() {
+        return Array.from(this.entries.values(), ({ tx, receivedAt }) => ({ tx, receivedAt }));
+    }
+
+    /**
+     * A sender's pending transactions in nonce order
+     */
+    getSenderTransactions(address) {
+        const chain = this.bySender.get(normalizeAddress(address));
+        if (!chain) return [];
+        return Array.from(chain.values(), entry => entry.tx).sort((a, b) => a.nonce - b.nonce);
+    }
+
+    /**
+     * Add a transaction that passed stateless validation
+     *
+     * @param {object} tx - Normalized transaction
+     * @param {AccountState} state - Confirmed account state
+     * @param {number} receivedAt - Arrival time
+     * @returns {object} { accepted: true, replaced, evicted } or { accepted: false, status, reason }
+     */
+    add(tx, state, receivedAt = Date.now()) {
+        if (this.entries.has(tx.id)) {
+            return { accepted: false, status: 400, reason: 'Transaction already pending' };
+        }
+
+        const pending = this.getSenderTransactions(tx.sender);
+        const existing = this.bySender.get(normalizeAddress(tx.sender))?.get(tx.nonce) || null;
+        const entry = {
+            tx,
+            receivedAt,
+            size: getTransactionSize(tx),
+            feeRate: Mempool.feeRate(tx)
+        };
+
+        // Nonce and balance against confirmed state plus earlier pending nonces
+        const before = pending.filter(p => p.nonce < tx.nonce);
+        const check = state.checkTransaction(tx, before);
+        if (!check.valid) {
+            return { accepted: false, status: 400, reason: check.reason };
+        }
+
+        if (existing) {
+            const minFee = Mempool.minReplacementFee(existing.tx.fee);
+            if (tx.fee < minFee || entry.feeRate < existing.feeRate) {
+                return {
+                    accepted: false,
+                    status: 400,
+                    reason: `Replacement fee must be at least ${formatAmount(minFee)} BLIX (${MIN_FEE_BUMP * 100}% above the pending transaction)`
+                };
+            }
+
+            // A replacement must leave later pending nonces funded
+            const spend = pending
+                .filter(p => p.nonce !== tx.nonce)
+                .reduce((sum, p) => sum + p.amount + p.fee, tx.amount + tx.fee);
+            if (spend > state.getAccount(tx.sender).balance) {
+                return { accepted: false, status: 400, reason: 'Replacement would overdraw later pending transactions' };
+            }
+
+            this.remove(existing.tx.id);
+            this.insert(entry);
+            this.counters.replaced++;
+            return { accepted: true, replaced: existing.tx, evicted: [] };
+        }
+
+        const evicted = [];
+        while (this.entries.size >= this.maxSize) {
+            const victim = this.findEvictionCandidate(normalizeAddress(tx.sender));
+            if (!victim || victim.feeRate >= entry.feeRate) {
+                // Undo evictions; the transaction doesn't pay enough to get in
+                evicted.reverse().forEach(e => this.insert(e));
+                this.counters.evicted -= evicted.length;
+
+                const minFeeRate = victim ? victim.feeRate : null;
+                return {
+                    accepted: false,
+                    status: 503,
+                    reason: minFeeRate === null
+                        ? 'Transaction pool is full, please try again later'
+                        : `Transaction pool is full; fee rate must exceed ${formatAmount(Math.ceil(minFeeRate))} BLIX/kB`
+                };
+            }
+
+            this.remove(victim.tx.id);
+            this.counters.evicted++;
+            evicted.push(victim);
+        }
+
+        this.insert(entry);
+        return { accepted: true, replaced: null, evicted: evicted.map(e => e.tx) };
+    }
+
+    /**
+     * Lowest fee rate transaction that ends its sender's nonce chain.
+     * Removing a chain's last transaction never leaves a nonce gap.
+     */
+    findEvictionCandidate(excludeSender) {
+        let lowest = null;
+
+        for (const [sender, chain] of this.bySender) {
+            if (sender === excludeSender) continue;
+
+            let tail = null;
+            for (const entry of chain.values()) {
+                if (!tail || entry.tx.nonce > tail.tx.nonce) tail = entry;
+            }
+
+            if (!lowest || tail.feeRate < lowest.feeRate) lowest = tail;
+        }
+
+        return lowest;
+    }
+
+    /**
+     * Index an entry
+     */
+    insert(entry) {
+        this.entries.set(entry.tx.id, entry);
+
+        const sender = normalizeAddress(entry.tx.sender);
+        if (!this.bySender.has(sender)) {
+            this.bySender.set(sender, new Map());
+        }
+        this.bySender.get(sender).set(entry.tx.nonce, entry);
+    }
+
+    /**
+     * Remove a transaction by id
+     *
+     * @returns {object|null} The removed transaction
+     */
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return null;
+
+        this.entries.delete(id);
+
+        const sender = normalizeAddress(entry.tx.sender);
+        const chain = this.bySender.get(sender);
+        chain.delete(entry.tx.nonce);
+        if (chain.size === 0) this.bySender.delete(sender);
+
+        return entry.tx;
+    }
+
+    /**
+     * Drop transactions that no longer fit confirmed state, e.g. after a
+     * block spent the same nonce or balance
+     *
+     * @returns {object[]} [{ tx, reason }] for each dropped transaction
+     */
+    revalidate(state) {
+        const dropped = [];
+
+        for (const sender of Array.from(this.bySender.keys())) {
+            const kept = [];
+
+            for (const tx of this.getSenderTransactions(sender)) {
+                const check = state.checkTransaction(tx, kept);
+                if (check.valid) {
+                    kept.push(tx);
+                } else {
+                    this.remove(tx.id);
+                    dropped.push({ tx, reason: check.reason });
+                }
+            }
+        }
+
+        return dropped;
+    }
+
+    /**
+     * Remove transactions older than maxAgeMs, and the later nonces from
+     * the same sender that depend on them
+     *
+     * @returns {object[]} [{ tx, reason }] for each expired transaction
+     */
+    expire(now = Date.now()) {
+        const expired = [];
+
+        for (const sender of Array.from(this.bySender.keys())) {
+            const chain = this.getSenderTransactions(sender);
+            const firstExpired = chain.findIndex(tx =>
+                now - this.entries.get(tx.id).receivedAt > this.maxAgeMs
+            );
+            if (firstExpired === -1) continue;
+
+            chain.slice(firstExpired).forEach((tx, i) => {
+                this.remove(tx.id);
+                expired.push({
+                    tx,
+                    reason: i === 0
+                        ? `Expired after ${this.maxAgeMs}ms in the mempool`
+                        : 'Depends on an expired transaction'
+                });
+            });
+        }
+
+        this.counters.expired += expired.length;
+        return expired;
+    }
+
+    /**
+     * Choose transactions for a block: repeatedly take the best fee rate
+     * among each sender's next nonce, within count and byte limits
+     */
+    selectTransactions({ maxCount, maxBytes = Infinity }) {
+        const queues = Array.from(this.bySender.keys(), sender =>
+            this.getSenderTransactions(sender).map(tx => this.entries.get(tx.id))
+        );
+
+        const selected = [];
+        let bytes = 0;
+
+        while (selected.length < maxCount && queues.length > 0) {
+            let best = 0;
+            for (let i = 1; i < queues.length; i++) {
+                if (queues[i][0].feeRate > queues[best][0].feeRate) best = i;
+            }
+
+            const entry = queues[best].shift();
+            if (bytes + entry.size > maxBytes) {
+                // Later nonces from this sender can't be included without it
+                queues.splice(best, 1);
+                continue;
+            }
+
+            selected.push(entry.tx);
+            bytes += entry.size;
+            if (queues[best].length === 0) queues.splice(best, 1);
+        }
+
+        return selected;
+    }
+
+    /**
+     * Summary for /pool/status, with fees as BLIX strings and fee rates in BLIX/kB
+     */
+    getStats(now = Date.now()) {
+        const entries = Array.from(this.entries.values());
+        const feeRates = entries.map(entry => entry.feeRate).sort((a, b) => a - b);
+        const oldest = entries.reduce((min, entry) => Math.min(min, entry.receivedAt), Infinity);
+        const rate = (value) => formatAmount(Math.ceil(value));
+
+        return {
+            size: entries.length,
+            maxSize: this.maxSize,
+            bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+            totalFees: formatAmount(entries.reduce((sum, entry) => sum + entry.tx.fee, 0)),
+            senders: this.bySender.size,
+            congestionLevel: this.getCongestionLevel(),
+            minFeeRate: feeRates.length ? rate(feeRates[0]) : null,
+            medianFeeRate: feeRates.length ? rate(feeRates[Math.floor(feeRates.length / 2)]) : null,
+            maxFeeRate: feeRates.length ? rate(feeRates[feeRates.length - 1]) : null,
+            oldestAgeMs: entries.length ? now - oldest : null,
+            maxAgeMs: this.maxAgeMs,
+            ...this.counters
+        };
+    }
+}
+
+module.exports = Mempool;
+module.exports.MIN_FEE_BUMP = MIN_FEE_BUMP;
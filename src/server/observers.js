@@ -0,0 +1,201 @@
+/**
+ * Blixchain Observer Channel
+ *
+ * Read-only subscriptions for dashboards and services on the coordinator's
+ * WebSocket. Observers never join the pool, so they don't count toward
+ * MIN_POOL_SIZE and can't start mining.
+ *
+ * Messages (client -> server):
+ *   observe:subscribe    { topics, addresses }   -> observe:subscribed { topics, addresses }
+ *   observe:unsubscribe  { topics, addresses }   -> observe:subscribed (remaining)
+ *
+ * Events (server -> client, `{ type, topic, data }`):
+ *   blocks        block:mined, chain:reorganized
+ *   transactions  transaction:new
+ *   pool          pool:status (same data as GET /pool/status)
+ *   address       address:activity { address, entry } for watched addresses,
+ *                 where entry has the shape of an address history item
+ *                 with status pending, confirmed or dropped
+ */
+
+const WebSocket = require('ws');
+const { isValidAddress, normalizeAddress } = require('../shared/wallet');
+
+const TOPICS = ['blocks', 'transactions', 'pool'];
+const EVENT_TOPICS = {
+    'block:mined': 'blocks',
+    'chain:reorganized': 'blocks',
+    'transaction:new': 'transactions',
+    'pool:status': 'pool'
+};
+const MAX_OBSERVED_ADDRESSES = 100;     // Watched addresses per connection
+
+class ObserverChannel {
+    constructor() {
+        this.subscriptions = new Map();     // ws -> { topics: Set, addresses: Set of normalized addresses }
+        this.deferred = new Set();          // event types queued by publishDeferred
+    }
+
+    /**
+     * Check the topics and addresses of a subscribe or unsubscribe message
+     *
+     * @returns {object} { valid: true, topics, addresses } or { valid: false, reason }
+     */
+    static parseRequest(message) {
+        const topics = message.topics === undefined ? [] : message.topics;
+        const addresses = message.addresses === undefined ? [] : message.addresses;
+
+        if (!Array.isArray(topics) || !topics.every(topic => TOPICS.includes(topic))) {
+            return { valid: false, reason: `topics must be an array of: ${TOPICS.join(', ')}` };
+        }
+
+        if (!Array.isArray(addresses) || !addresses.every(isValidAddress)) {
+            return { valid: false, reason: 'addresses must be an array of wallet addresses' };
+        }
+
+        if (topics.length === 0 && addresses.length === 0) {
+            return { valid: false, reason: 'Subscribe to at least one topic or address' };
+        }
+
+        return { valid: true, topics, addresses: addresses.map(normalizeAddress) };
+    }
+
+    /**
+     * Add topics and addresses to a connection's subscription
+     */
+    subscribe(ws, message) {
+        const request = ObserverChannel.parseRequest(message);
+        if (!request.valid) {
+            ws.send(JSON.stringify({ type: 'error', message: request.reason }));
+            return;
+        }
+
+        const subscription = this.subscriptions.get(ws) || { topics: new Set(), addresses: new Set() };
+        const added = request.addresses.filter(address => !subscription.addresses.has(address));
+
+        if (subscription.addresses.size + added.length > MAX_OBSERVED_ADDRESSES) {
+            ws.send(JSON.stringify({
+                type: 'error',
+                message: `At most ${MAX_OBSERVED_ADDRESSES} addresses can be observed per connection`
+            }));
+            return;
+        }
+
+        request.topics.forEach(topic => subscription.topics.add(topic));
+        added.forEach(address => subscription.addresses.add(address));
+        this.subscriptions.set(ws, subscription);
+
+        this.sendSubscription(ws, subscription);
+    }
+
+    /**
+     * Remove topics and addresses from a connection's subscription
+     */
+    unsubscribe(ws, message) {
+        const request = ObserverChannel.parseRequest(message);
+        if (!request.valid) {
+            ws.send(JSON.stringify({ type: 'error', message: request.reason }));
+            return;
+        }
+
+        const subscription = this.subscriptions.get(ws) || { topics: new Set(), addresses: new Set() };
+        request.topics.forEach(topic => subscription.topics.delete(topic));
+        request.addresses.forEach(address => subscription.addresses.delete(address));
+
+        if (subscription.topics.size === 0 && subscription.addresses.size === 0) {
+            this.subscriptions.delete(ws);
+        }
+
+        this.sendSubscription(ws, subscription);
+    }
+
+    /**
+     * Confirm what a connection is now subscribed to
+     */
+    sendSubscription(ws, subscription) {
+        ws.send(JSON.stringify({
+            type: 'observe:subscribed',
+            data: {
+                topics: [...subscription.topics],
+                addresses: [...subscription.addresses]
+            }
+        }));
+    }
+
+    /**
+     * Forget a closed connection
+     */
+    remove(ws) {
+        this.subscriptions.delete(ws);
+    }
+
+    /**
+     * Whether any connection observes a topic
+     */
+    hasSubscribers(topic) {
+        for (const { topics } of this.subscriptions.values()) {
+            if (topics.has(topic)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Whether any connection observes an address
+     */
+    isWatching(address) {
+        for (const { addresses } of this.subscriptions.values()) {
+            if (addresses.has(address)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Send an event to the connections observing its topic.
+     * Event types without a topic are not published.
+     */
+    publish(type, data) {
+        const topic = EVENT_TOPICS[type];
+        if (!topic) return;
+
+        let message = null;
+        for (const [ws, { topics }] of this.subscriptions) {
+            if (!topics.has(topic) || ws.readyState !== WebSocket.OPEN) continue;
+
+            message = message || JSON.stringify({ type, topic, data });
+            ws.send(message);
+        }
+    }
+
+    /**
+     * Publish an event whose data is computed on the next tick, so several
+     * changes in one tick produce a single message
+     *
+     * @param {function} getData - Called only if the topic has subscribers
+     */
+    publishDeferred(type, getData) {
+        if (this.deferred.has(type)) return;
+        this.deferred.add(type);
+
+        setImmediate(() => {
+            this.deferred.delete(type);
+            if (this.hasSubscribers(EVENT_TOPICS[type])) {
+                this.publish(type, getData());
+            }
+        });
+    }
+
+    /**
+     * Send an address history entry to the connections observing the address
+     */
+    publishAddressActivity(address, entry) {
+        const message = JSON.stringify({ type: 'address:activity', topic: 'address', data: { address, entry } });
+
+        for (const [ws, { addresses }] of this.subscriptions) {
+            if (addresses.has(address) && ws.readyState === WebSocket.OPEN) {
+                ws.send(message);
+            }
+        }
+    }
+}
+
+module.exports = ObserverChannel;
@@ -0,0 +1,557 @@
+/**
+ * Blixchain Peer Network
+ *
+ * Connects coordinators to each other over WebSocket (path /p2p).
+ * Peers exchange headers and blocks, relay transactions and new blocks,
+ * and converge on the chain with the most cumulative work.
+ *
+ * Sync is headers-first in passes of up to MAX_SYNC_HEADERS. Each header is
+ * validated as it arrives; blocks are applied once the branch outweighs our
+ * chain, so a fork must overtake us within one pass to be followed.
+ *
+ * Messages (all JSON, `type` plus payload):
+ *   peer:hello       { networkId, genesisHash, height, tipHash, totalWork }
+ *   peer:getHeaders  { requestId, locator, limit }   -> peer:headers { requestId, headers }
+ *   peer:getBlocks   { requestId, hashes }           -> peer:blocks  { requestId, blocks }
+ *   peer:block       { block }                       (announce)
+ *   peer:transaction { tx }                          (relay)
+ */
+
+const WebSocket = require('ws');
+const PROTOCOL = require('../shared/protocol');
+const { randomHex } = require('../shared/crypto');
+const { createGenesisBlock, validateHeader, calculateChainWork } = require('../shared/validator');
+
+const PEER_PATH = '/p2p';
+const MAX_PEER_MESSAGE_SIZE = 8 * 1024 * 1024;  // Room for several full blocks
+const MAX_HEADERS_PER_REQUEST = 2000;
+const MAX_BLOCKS_PER_REQUEST = 16;
+const MAX_SYNC_HEADERS = 10000;             // Headers held per sync pass
+const REQUEST_TIMEOUT_MS = 30000;
+const RECONNECT_DELAY_MS = 5000;
+const MAX_SEEN_ITEMS = 10000;
+
+class PeerNetwork {
+    /**
+     * @param {BlixnodeServer} node - Local coordinator
+     * @param {string[]} peerUrls - Peers to dial, e.g. ws://host:3031/p2p
+     */
+    constructor(node, peerUrls = []) {
+        this.node = node;
+        this.peerUrls = peerUrls.map(PeerNetwork.normalizeUrl);
+        this.wss = new WebSocket.Server({ noServer: true, maxPayload: MAX_PEER_MESSAGE_SIZE });
+        this.peers = new Map();             // ws -> peer info
+        this.pendingRequests = new Map();   // requestId -> { resolve, reject, timer }
+        this.reconnectTimers = new Set();
+        this.seenBlocks = new Set();
+        this.seenTransactions = new Set();
+        this.syncing = false;
+        this.resyncPeer = null;
+        this.stopped = false;
+
+        this.wss.on('connection', (ws, req) => {
+            this.setupPeer(ws, req.socket.remoteAddress, null);
+        });
+    }
+
+    /**
+     * Accept ws://host:port as shorthand for ws://host:port/p2p
+     */
+    static normalizeUrl(url) {
+        const parsed = new URL(url);
+        if (parsed.pathname === '/') parsed.pathname = PEER_PATH;
+        return parsed.toString();
+    }
+
+    /**
+     * Route an HTTP upgrade on the peer path to this network
+     */
+    handleUpgrade(req, socket, head) {
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            this.wss.emit('connection', ws, req);
+        });
+    }
+
+    /**
+     * Dial all configured peers
+     */
+    start() {
+        this.peerUrls.forEach(url => this.connect(url));
+    }
+
+    /**
+     * Close all peer connections
+     */
+    stop() {
+        this.stopped = true;
+        this.reconnectTimers.forEach(timer => clearTimeout(timer));
+        this.reconnectTimers.clear();
+        this.pendingRequests.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(new Error('Peer network stopped'));
+        });
+        this.pendingRequests.clear();
+        this.peers.forEach((peer, ws) => ws.terminate());
+        this.wss.clients.forEach(ws => ws.terminate());
+    }
+
+    /**
+     * Dial a peer, reconnecting after it drops
+     */
+    connect(url) {
+        if (this.stopped) return;
+
+        const ws = new WebSocket(url, { maxPayload: MAX_PEER_MESSAGE_SIZE });
+
+        ws.on('open', () => {
+            console.log(`🔗 Connected to peer ${url}`);
+        });
+
+        ws.on('error', (err) => {
+            console.error(`Peer ${url} error: ${err.message}`);
+        });
+
+        ws.on('close', () => {
+            if (this.stopped) return;
+            const timer = setTimeout(() => {
+                this.reconnectTimers.delete(timer);
+                this.connect(url);
+            }, RECONNECT_DELAY_MS);
+            this.reconnectTimers.add(timer);
+        });
+
+        this.setupPeer(ws, url, url);
+    }
+
+    /**
+     * Attach handlers to a peer socket (inbound or outbound)
+     */
+    setupPeer(ws, label, url) {
+        const peer = { label, url, ready: false, height: 0, tipHash: null, totalWork: 0 };
+        this.peers.set(ws, peer);
+
+        const sendHello = () => this.send(ws, 'peer:hello', this.getStatus());
+        if (ws.readyState === WebSocket.OPEN) {
+            sendHello();
+        } else {
+            ws.once('open', sendHello);
+        }
+
+        ws.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (err) {
+                return;
+            }
+            if (!message || typeof message !== 'object' || !message.type) return;
+
+            this.handleMessage(ws, peer, message).catch(err => {
+                console.error(`Peer ${peer.label}: ${err.message}`);
+            });
+        });
+
+        ws.on('close', () => {
+            this.peers.delete(ws);
+        });
+    }
+
+    /**
+     * Local chain summary sent in hello messages
+     */
+    getStatus() {
+        const tip = this.node.getTip();
+        return {
+            networkId: PROTOCOL.NETWORK_ID,
+            genesisHash: this.node.chain[0].hash,
+            height: tip.index,
+            tipHash: tip.hash,
+            totalWork: this.node.totalWork
+        };
+    }
+
+    /**
+     * Summary of connected peers
+     */
+    getPeers() {
+        return Array.from(this.peers.values())
+            .filter(peer => peer.ready)
+            .map(({ label, height, tipHash, totalWork }) => ({ peer: label, height, tipHash, totalWork }));
+    }
+
+    /**
+     * Send a message to one peer
+     */
+    send(ws, type, data = {}) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type, ...data }));
+        }
+    }
+
+    /**
+     * Send a message to every ready peer except `except`
+     */
+    broadcast(type, data, except = null) {
+        this.peers.forEach((peer, ws) => {
+            if (peer.ready && ws !== except) {
+                this.send(ws, type, data);
+            }
+        });
+    }
+
+    /**
+     * Send a request and wait for the matching response
+     */
+    request(ws, type, data) {
+        const requestId = randomHex(8);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(requestId);
+                reject(new Error(`${type} timed out`));
+            }, REQUEST_TIMEOUT_MS);
+
+            this.pendingRequests.set(requestId, { resolve, reject, timer });
+            this.send(ws, type, { requestId, ...data });
+        });
+    }
+
+    /**
+     * Resolve a pending request
+     */
+    resolveRequest(message) {
+        const pending = this.pendingRequests.get(message.requestId);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pendingRequests.delete(message.requestId);
+        pending.resolve(message);
+    }
+
+    /**
+     * Remember an item id, bounding memory use
+     */
+    markSeen(set, id) {
+        set.add(id);
+        if (set.size > MAX_SEEN_ITEMS) {
+            set.delete(set.values().next().value);
+        }
+    }
+
+    /**
+     * Handle a message from a peer
+     */
+    async handleMessage(ws, peer, message) {
+        if (message.type === 'peer:hello') {
+            return this.handleHello(ws, peer, message);
+        }
+
+        // Everything else requires a completed handshake
+        if (!peer.ready) return;
+
+        switch (message.type) {
+            case 'peer:getHeaders':
+                return this.handleGetHeaders(ws, message);
+
+            case 'peer:getBlocks':
+                return this.handleGetBlocks(ws, message);
+
+            case 'peer:headers':
+            case 'peer:blocks':
+                return this.resolveRequest(message);
+
+            case 'peer:block':
+                return this.handleBlockAnnouncement(ws, peer, message.block);
+
+            case 'peer:transaction':
+                return this.handleTransaction(ws, message.tx);
+        }
+    }
+
+    /**
+     * Check network and genesis, then sync if the peer has more work
+     */
+    async handleHello(ws, peer, message) {
+        if (message.networkId !== PROTOCOL.NETWORK_ID ||
+            message.genesisHash !== createGenesisBlock().hash) {
+            console.log(`⚠️  Peer ${peer.label} is on a different network`);
+            ws.close();
+            return;
+        }
+
+        const firstHello = !peer.ready;
+        peer.ready = true;
+        this.updatePeerTip(peer, message);
+
+        if (firstHello) {
+            console.log(`🤝 Peer ready: ${peer.label} (height ${peer.height})`);
+        }
+
+        if (peer.totalWork > this.node.totalWork) {
+            await this.sync(ws, peer);
+        }
+    }
+
+    /**
+     * Record the best tip a peer has told us about
+     */
+    updatePeerTip(peer, { height, tipHash, totalWork }) {
+        if (Number.isFinite(totalWork) && totalWork >= peer.totalWork) {
+            peer.height = height;
+            peer.tipHash = tipHash;
+            peer.totalWork = totalWork;
+        }
+    }
+
+    /**
+     * Serve headers following the first locator hash on our main chain
+     */
+    handleGetHeaders(ws, { requestId, locator, limit }) {
+        const chain = this.node.chain;
+        const max = Math.min(Number(limit) || MAX_HEADERS_PER_REQUEST, MAX_HEADERS_PER_REQUEST);
+
+        let start = 0;
+        for (const hash of Array.isArray(locator) ? locator : []) {
+            const height = this.node.getHeightByHash(hash);
+            if (height !== -1) {
+                start = height + 1;
+                break;
+            }
+        }
+
+        const headers = chain.slice(start, start + max).map(PeerNetwork.toHeader);
+        this.send(ws, 'peer:headers', { requestId, headers });
+    }
+
+    /**
+     * Serve full blocks by hash, stopping before the size limit
+     */
+    async handleGetBlocks(ws, { requestId, hashes }) {
+        const blocks = [];
+        let size = 0;
+
+        for (const hash of (Array.isArray(hashes) ? hashes : []).slice(0, MAX_BLOCKS_PER_REQUEST)) {
+            const block = await this.node.getBlockByHash(hash);
+            if (!block) break;
+
+            size += Buffer.byteLength(JSON.stringify(block));
+            if (blocks.length > 0 && size > MAX_PEER_MESSAGE_SIZE / 2) break;
+            blocks.push(block);
+        }
+
+        this.send(ws, 'peer:blocks', { requestId, blocks });
+    }
+
+    /**
+     * Handle a block announced by a peer
+     */
+    async handleBlockAnnouncement(ws, peer, block) {
+        if (!block || typeof block !== 'object' || typeof block.hash !== 'string') return;
+        if (this.seenBlocks.has(block.hash)) return;
+        this.markSeen(this.seenBlocks, block.hash);
+
+        peer.height = Math.max(peer.height, block.index);
+
+        if (this.node.getHeightByHash(block.hash) !== -1) return;
+
+        // Extends our tip: validate and accept directly
+        if (block.previousHash === this.node.getTip().hash) {
+            const result = await this.node.acceptBlock(block, ws);
+            if (!result.valid) {
+                console.log(`⚠️  Rejected block ${block.index} from ${peer.label}: ${result.reason}`);
+            }
+            return;
+        }
+
+        // Otherwise the peer may be on a better fork
+        await this.sync(ws, peer);
+    }
+
+    /**
+     * Handle a relayed transaction
+     */
+    async handleTransaction(ws, tx) {
+        if (!tx || typeof tx !== 'object') return;
+        if (this.seenTransactions.has(tx.id)) return;
+
+        const result = await this.node.submitTransaction(tx, ws);
+        if (result.transactionId) {
+            this.markSeen(this.seenTransactions, result.transactionId);
+        }
+    }
+
+    /**
+     * Announce a block to peers
+     */
+    broadcastBlock(block, except = null) {
+        this.markSeen(this.seenBlocks, block.hash);
+        this.broadcast('peer:block', { block }, except);
+    }
+
+    /**
+     * Relay a transaction to peers
+     */
+    broadcastTransaction(tx, except = null) {
+        this.markSeen(this.seenTransactions, tx.id);
+        this.broadcast('peer:transaction', { tx }, except);
+    }
+
+    /**
+     * Block locator: tip, then exponentially sparser hashes back to genesis
+     */
+    buildLocator() {
+        const chain = this.node.chain;
+        const locator = [];
+        let step = 1;
+
+        for (let height = chain.length - 1; height > 0; height -= step) {
+            locator.push(chain[height].hash);
+            if (locator.length >= 10) step *= 2;
+        }
+        locator.push(chain[0].hash);
+        return locator;
+    }
+
+    /**
+     * Download a peer's chain from the fork point and switch to it if it
+     * carries more cumulative work. Only one sync runs at a time; a request
+     * arriving mid-sync is replayed afterwards.
+     */
+    async sync(ws, peer) {
+        if (this.syncing) {
+            this.resyncPeer = { ws, peer };
+            return;
+        }
+        this.syncing = true;
+
+        try {
+            // Each pass takes at most MAX_SYNC_HEADERS blocks
+            while (await this.syncFrom(ws, peer) && this.peers.has(ws)) {
+                if (peer.totalWork <= this.node.totalWork) break;
+            }
+        } catch (err) {
+            console.error(`Sync with ${peer.label} failed: ${err.message}`);
+        } finally {
+            this.syncing = false;
+        }
+
+        const next = this.resyncPeer;
+        this.resyncPeer = null;
+        if (next && next.peer.totalWork > this.node.totalWork && this.peers.has(next.ws)) {
+            await this.sync(next.ws, next.peer);
+        }
+    }
+
+    /**
+     * Download headers after our best common block, validating each one as
+     * it arrives. Stops at MAX_SYNC_HEADERS or the peer's tip.
+     *
+     * @returns {object} { forkHeight, headers, capped }
+     * @throws {Error} At the first header that is invalid or doesn't connect
+     */
+    async downloadHeaders(ws) {
+        const headers = [];
+        let forkHeight = -1;
+        let parent = null;
+        let locator = this.buildLocator();
+
+        const getAncestor = height => (height <= forkHeight ? this.node.chain[height] : headers[height - forkHeight - 1]);
+
+        while (headers.length < MAX_SYNC_HEADERS) {
+            const limit = Math.min(MAX_HEADERS_PER_REQUEST, MAX_SYNC_HEADERS - headers.length);
+            const { headers: batch } = await this.request(ws, 'peer:getHeaders', { locator, limit });
+            if (!Array.isArray(batch) || batch.length === 0) break;
+            if (batch.length > limit) {
+                throw new Error('Peer sent more headers than requested');
+            }
+
+            if (!parent) {
+                forkHeight = this.node.getHeightByHash(batch[0] && batch[0].previousHash);
+                if (forkHeight === -1) {
+                    throw new Error('Peer headers do not connect to our chain');
+                }
+                parent = this.node.chain[forkHeight];
+            }
+
+            for (const header of batch) {
+                const result = validateHeader(header, parent, getAncestor);
+                if (!result.valid) {
+                    throw new Error(`Invalid header at ${header && header.index}: ${result.reason}`);
+                }
+                headers.push(header);
+                parent = header;
+            }
+
+            if (batch.length < limit) break;
+            locator = [parent.hash];
+        }
+
+        return { forkHeight, headers, capped: headers.length === MAX_SYNC_HEADERS };
+    }
+
+    /**
+     * One sync pass against a single peer
+     *
+     * @returns {boolean} Whether blocks were applied and the pass stopped at
+     *                    MAX_SYNC_HEADERS, so the peer may have more
+     */
+    async syncFrom(ws, peer) {
+        // 1. Header chain must be valid and carry more work than ours
+        const { forkHeight, headers, capped } = await this.downloadHeaders(ws);
+        if (headers.length === 0) return false;
+
+        let baseWork = calculateChainWork(this.node.chain.slice(0, forkHeight + 1));
+        if (baseWork + calculateChainWork(headers) <= this.node.totalWork) return false;
+
+        console.log(`🔄 Syncing ${headers.length} blocks from ${peer.label} (fork at ${forkHeight})`);
+
+        // 2. Full blocks, checked against the headers we validated. They are
+        // applied as soon as the branch outweighs our chain and then batch by
+        // batch, so only a reorganization's worth is held in memory.
+        let base = forkHeight;
+        let pending = [];
+        let next = 0;
+
+        while (next < headers.length) {
+            const remaining = headers.slice(next, next + MAX_BLOCKS_PER_REQUEST).map(h => h.hash);
+            const { blocks: batch } = await this.request(ws, 'peer:getBlocks', { hashes: remaining });
+            if (!Array.isArray(batch) || batch.length === 0 || batch.length > remaining.length) {
+                throw new Error('Peer stopped serving blocks');
+            }
+
+            batch.forEach((block, i) => {
+                if (!block || block.hash !== remaining[i]) {
+                    throw new Error('Peer sent unexpected block');
+                }
+            });
+
+            pending.push(...batch);
+            next += batch.length;
+
+            // 3. Extend or reorganize
+            if (baseWork + calculateChainWork(pending) > this.node.totalWork) {
+                const result = await this.node.switchToFork(base, pending, ws);
+                if (!result.valid) {
+                    throw new Error(result.reason);
+                }
+                base += pending.length;
+                baseWork = this.node.totalWork;
+                pending = [];
+            }
+        }
+
+        return capped && pending.length === 0;
+    }
+
+    /**
+     * Strip transactions from a block
+     */
+    static toHeader(block) {
+        const { transactions, ...header } = block;
+        return header;
+    }
+}
+
+PeerNetwork.PEER_PATH = PEER_PATH;
+
+module.exports = PeerNetwork;
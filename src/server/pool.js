@@ -0,0 +1,176 @@
+/**
+ * Blixchain Pool Share Accounting
+ *
+ * Miners submit shares: solutions to the current template that meet an
+ * easier share target. Block rewards are split PPLNS-style (pay per last
+ * N shares) proportionally to share difficulty over the most recent
+ * PPLNS_WINDOW shares, and paid directly in the coinbase.
+ *
+ * Share history lives in memory; a restarted coordinator starts a fresh
+ * window. Payouts already written to blocks are unaffected.
+ */
+
+const PROTOCOL = require('../shared/protocol');
+const { mulDiv } = require('../shared/amount');
+const { normalizeAddress } = require('../shared/wallet');
+
+class SharePool {
+    constructor(windowSize = PROTOCOL.PPLNS_WINDOW) {
+        this.windowSize = windowSize;
+        this.window = [];                   // [{ address, difficulty, timestamp }], address normalized
+        this.roundShares = new Set();       // share hashes seen on the current tip
+        this.stats = new Map();             // address -> per-wallet counters
+    }
+
+    /**
+     * Share difficulty for a block difficulty
+     */
+    static shareDifficulty(blockDifficulty) {
+        const target = Math.max(
+            PROTOCOL.MIN_SHARE_DIFFICULTY,
+            Math.floor(blockDifficulty / PROTOCOL.SHARE_DIFFICULTY_DIVISOR)
+        );
+        return Math.min(blockDifficulty, target);
+    }
+
+    /**
+     * Counters for a wallet with no activity
+     */
+    static emptyStats() {
+        return {
+            validShares: 0,
+            rejectedShares: 0,
+            staleShares: 0,
+            blocksFound: 0,
+            earnings: 0,
+            lastShareAt: null
+        };
+    }
+
+    /**
+     * Get or create counters for a wallet
+     */
+    getStats(address) {
+        const key = normalizeAddress(address);
+        if (!this.stats.has(key)) {
+            this.stats.set(key, SharePool.emptyStats());
+        }
+        return this.stats.get(key);
+    }
+
+    /**
+     * Forget share hashes from the previous tip
+     */
+    newRound() {
+        this.roundShares.clear();
+    }
+
+    /**
+     * Check whether a share hash was already submitted this round
+     */
+    isDuplicate(hash) {
+        return this.roundShares.has(hash);
+    }
+
+    /**
+     * Record a valid share
+     */
+    addShare(address, hash, difficulty) {
+        this.roundShares.add(hash);
+
+        const timestamp = Date.now();
+        this.window.push({ address: normalizeAddress(address), difficulty, timestamp });
+        if (this.window.length > this.windowSize) {
+            this.window.splice(0, this.window.length - this.windowSize);
+        }
+
+        const stats = this.getStats(address);
+        stats.validShares++;
+        stats.lastShareAt = timestamp;
+    }
+
+    /**
+     * Record a rejected share
+     */
+    rejectShare(address) {
+        this.getStats(address).rejectedShares++;
+    }
+
+    /**
+     * Record a share for a job that was no longer accepted
+     */
+    staleShare(address) {
+        this.getStats(address).staleShares++;
+    }
+
+    /**
+     * Split `amount` base units over the current window, weighted by share
+     * difficulty. Payouts are rounded down; the remainder goes to the block finder.
+     *
+     * @returns {object[]} [{ address, amount }]
+     */
+    calculatePayouts(amount) {
+        const weights = new Map();
+        let totalWeight = 0;
+
+        for (const share of this.window) {
+            weights.set(share.address, (weights.get(share.address) || 0) + share.difficulty);
+            totalWeight += share.difficulty;
+        }
+
+        if (totalWeight === 0) return [];
+
+        const payouts = [];
+        for (const [address, weight] of weights) {
+            const payout = mulDiv(amount, weight, totalWeight);
+            if (payout > 0) {
+                payouts.push({ address, amount: payout });
+            }
+        }
+        return payouts;
+    }
+
+    /**
+     * Credit earnings once a block paying the pool is accepted
+     */
+    recordBlock(block, coinbase) {
+        const finder = this.getStats(block.miner);
+        finder.blocksFound++;
+        finder.earnings += coinbase.minerReward;
+
+        for (const payout of coinbase.payouts) {
+            this.getStats(payout.address).earnings += payout.amount;
+        }
+    }
+
+    /**
+     * Share and earnings summary for one wallet
+     */
+    getWalletStats(address) {
+        const key = normalizeAddress(address);
+        const stats = this.stats.get(key) || SharePool.emptyStats();
+        const inWindow = this.window.filter(share => share.address === key);
+        const windowWeight = this.window.reduce((sum, share) => sum + share.difficulty, 0);
+        const walletWeight = inWindow.reduce((sum, share) => sum + share.difficulty, 0);
+
+        return {
+            address,
+            ...stats,
+            sharesInWindow: inWindow.length,
+            windowShare: windowWeight > 0 ? walletWeight / windowWeight : 0
+        };
+    }
+
+    /**
+     * Pool-wide summary
+     */
+    getSummary() {
+        return {
+            windowSize: this.windowSize,
+            sharesInWindow: this.window.length,
+            activeMiners: new Set(this.window.map(share => share.address)).size
+        };
+    }
+}
+
+module.exports = SharePool;
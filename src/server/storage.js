@@ -0,0 +1,189 @@
+/**
+ * Blixchain Chain Storage
+ *
+ * LevelDB-backed persistence for blocks, chain metadata and the mempool.
+ *
+ * Layout (one sublevel per namespace):
+ *   blocks   - block hash -> block
+ *   heights  - zero-padded height -> block hash
+ *   meta     - chain metadata (tip, supply, burned, ...)
+ *   mempool  - transaction id -> { tx, receivedAt }
+ */
+
+const path = require('path');
+const { Level } = require('level');
+
+// Heights are zero-padded so LevelDB's lexicographic order matches numeric order
+const HEIGHT_KEY_LENGTH = 12;
+
+class ChainStorage {
+    constructor(dataDir) {
+        this.dataDir = path.resolve(dataDir);
+        this.db = new Level(path.join(this.dataDir, 'chain'), { valueEncoding: 'json' });
+
+        this.blocks = this.db.sublevel('blocks', { valueEncoding: 'json' });
+        this.heights = this.db.sublevel('heights', { valueEncoding: 'utf8' });
+        this.meta = this.db.sublevel('meta', { valueEncoding: 'json' });
+        this.mempool = this.db.sublevel('mempool', { valueEncoding: 'json' });
+    }
+
+    /**
+     * Open the database
+     */
+    async open() {
+        await this.db.open();
+    }
+
+    /**
+     * Close the database
+     */
+    async close() {
+        await this.db.close();
+    }
+
+    /**
+     * Format a height as a sortable key
+     */
+    static heightKey(height) {
+        return String(height).padStart(HEIGHT_KEY_LENGTH, '0');
+    }
+
+    /**
+     * Read a metadata value (undefined if missing)
+     */
+    async getMeta(key) {
+        return this.meta.get(key).catch(err => {
+            if (err.code === 'LEVEL_NOT_FOUND') return undefined;
+            throw err;
+        });
+    }
+
+    /**
+     * Get block by hash (null if missing)
+     */
+    async getBlockByHash(hash) {
+        return this.blocks.get(hash).catch(err => {
+            if (err.code === 'LEVEL_NOT_FOUND') return null;
+            throw err;
+        });
+    }
+
+    /**
+     * Get block by height (null if missing)
+     */
+    async getBlockByHeight(height) {
+        const hash = await this.heights.get(ChainStorage.heightKey(height)).catch(err => {
+            if (err.code === 'LEVEL_NOT_FOUND') return null;
+            throw err;
+        });
+        return hash ? this.getBlockByHash(hash) : null;
+    }
+
+    /**
+     * Load the main chain in height order
+     */
+    async loadChain() {
+        const chain = [];
+        for await (const hash of this.heights.values()) {
+            const block = await this.getBlockByHash(hash);
+            if (!block) {
+                throw new Error(`Storage corrupted: missing block ${hash}`);
+            }
+            chain.push(block);
+        }
+        return chain;
+    }
+
+    /**
+     * Persist a block atomically together with chain metadata.
+     * Transactions included in the block are removed from the stored mempool.
+     */
+    async saveBlock(block, meta = {}) {
+        const ops = [
+            { type: 'put', sublevel: this.blocks, key: block.hash, value: block },
+            { type: 'put', sublevel: this.heights, key: ChainStorage.heightKey(block.index), value: block.hash },
+            { type: 'put', sublevel: this.meta, key: 'tip', value: { height: block.index, hash: block.hash } }
+        ];
+
+        for (const [key, value] of Object.entries(meta)) {
+            ops.push({ type: 'put', sublevel: this.meta, key, value });
+        }
+
+        for (const tx of block.transactions || []) {
+            if (tx.id) {
+                ops.push({ type: 'del', sublevel: this.mempool, key: tx.id });
+            }
+        }
+
+        await this.db.batch(ops);
+    }
+
+    /**
+     * Replace the main chain above `forkHeight` with `blocks`.
+     * Orphaned blocks stay addressable by hash; only the height index moves.
+     */
+    async saveReorg(forkHeight, oldTipHeight, blocks, meta = {}) {
+        const ops = [];
+
+        for (let height = forkHeight + 1; height <= oldTipHeight; height++) {
+            ops.push({ type: 'del', sublevel: this.heights, key: ChainStorage.heightKey(height) });
+        }
+
+        for (const block of blocks) {
+            ops.push({ type: 'put', sublevel: this.blocks, key: block.hash, value: block });
+            ops.push({ type: 'put', sublevel: this.heights, key: ChainStorage.heightKey(block.index), value: block.hash });
+        }
+
+        const tip = blocks[blocks.length - 1];
+        ops.push({ type: 'put', sublevel: this.meta, key: 'tip', value: { height: tip.index, hash: tip.hash } });
+
+        for (const [key, value] of Object.entries(meta)) {
+            ops.push({ type: 'put', sublevel: this.meta, key, value });
+        }
+
+        await this.db.batch(ops);
+    }
+
+    /**
+     * Replace the stored mempool
+     *
+     * @param {object[]} entries - [{ tx, receivedAt }]
+     */
+    async replaceMempool(entries) {
+        await this.mempool.clear();
+        await this.mempool.batch(entries.map(({ tx, receivedAt }) => ({
+            type: 'put',
+            key: tx.id,
+            value: { tx, receivedAt }
+        })));
+    }
+
+    /**
+     * Load pending transactions with their arrival times, oldest first
+     *
+     * @returns {object[]} [{ tx, receivedAt }]
+     */
+    async loadMempool() {
+        const entries = [];
+        for await (const entry of this.mempool.values()) {
+            entries.push(entry);
+        }
+        return entries.sort((a, b) => a.receivedAt - b.receivedAt);
+    }
+
+    /**
+     * Add a pending transaction
+     */
+    async addPendingTransaction(tx, receivedAt = Date.now()) {
+        await this.mempool.put(tx.id, { tx, receivedAt });
+    }
+
+    /**
+     * Remove pending transactions by id
+     */
+    async removePendingTransactions(ids) {
+        await this.mempool.batch(ids.map(id => ({ type: 'del', key: id })));
+    }
+}
+
+module.exports = ChainStorage;
@@ -0,0 +1,85 @@
+/**
+ * Blixchain Amounts
+ *
+ * Everything on chain (transfers, fees, rewards, balances, supply) is an
+ * integer number of base units: 1 BLIX = 10^DECIMALS units. The whole
+ * supply stays below 2^53, so safe-integer Numbers are exact; splits that
+ * multiply before dividing go through BigInt. APIs and wallets show and
+ * accept decimal BLIX strings like "1.5".
+ */
+
+const PROTOCOL = require('./protocol');
+
+const UNITS_PER_BLIX = Math.pow(10, PROTOCOL.DECIMALS);
+const RATIO_SCALE = 10000n;     // ratios are applied with 4 decimal places
+
+/**
+ * Check that a value is a non-negative safe integer amount
+ */
+function isValidAmount(value) {
+    return Number.isSafeInteger(value) && value >= 0;
+}
+
+/**
+ * Parse a decimal BLIX string into base units
+ *
+ * @throws {Error} On malformed input, more than DECIMALS decimals or overflow
+ */
+function parseAmount(value) {
+    const text = String(value).trim();
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+    if (!match) {
+        throw new Error(`Invalid amount "${value}": expected a decimal number like 1.5`);
+    }
+
+    const [, whole, fraction = ''] = match;
+    if (fraction.length > PROTOCOL.DECIMALS) {
+        throw new Error(`Invalid amount "${value}": more than ${PROTOCOL.DECIMALS} decimals`);
+    }
+
+    const units = BigInt(whole) * BigInt(UNITS_PER_BLIX) + BigInt(fraction.padEnd(PROTOCOL.DECIMALS, '0'));
+    if (units > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw new Error(`Invalid amount "${value}": too large`);
+    }
+    return Number(units);
+}
+
+/**
+ * Format base units as a decimal BLIX string with DECIMALS places
+ */
+function formatAmount(units) {
+    if (!Number.isSafeInteger(units)) {
+        throw new Error(`Amount must be an integer number of base units: ${units}`);
+    }
+
+    const sign = units < 0 ? '-' : '';
+    const abs = Math.abs(units);
+    const fraction = String(abs % UNITS_PER_BLIX).padStart(PROTOCOL.DECIMALS, '0');
+    return `${sign}${Math.floor(abs / UNITS_PER_BLIX)}.${fraction}`;
+}
+
+/**
+ * floor(amount * numerator / denominator) without losing precision
+ */
+function mulDiv(amount, numerator, denominator) {
+    return Number(BigInt(amount) * BigInt(numerator) / BigInt(denominator));
+}
+
+/**
+ * Apply a fractional ratio such as FEE_TO_BURN (0.20), rounding down,
+ * or up for minimums such as a replacement's fee bump
+ */
+function applyRatio(amount, ratio, roundUp = false) {
+    const product = BigInt(amount) * BigInt(Math.round(ratio * Number(RATIO_SCALE)));
+    const quotient = product / RATIO_SCALE;
+    return Number(roundUp && product % RATIO_SCALE !== 0n ? quotient + 1n : quotient);
+}
+
+module.exports = {
+    UNITS_PER_BLIX,
+    isValidAmount,
+    parseAmount,
+    formatAmount,
+    mulDiv,
+    applyRatio
+};
@@ -0,0 +1,146 @@
+/**
+ * Blixchain Coinbase Transactions
+ *
+ * Every block after genesis starts with a coinbase transaction that mints
+ * the block reward and distributes the block's fees:
+ *   - FEE_TO_MINERS   plus the full reward -> pool payouts, remainder to block miner
+ *   - FEE_TO_TREASURY                      -> treasury address
+ *   - FEE_TO_BURN                          -> destroyed
+ *
+ * `payouts` are chosen by the pool (proportional to recent shares) when the
+ * template is built. Whatever they don't cover goes to `block.miner`, which
+ * is committed in the header, so the coinbase itself is the same for every
+ * miner and can be part of the server-built merkle tree.
+ */
+
+const PROTOCOL = require('./protocol');
+const { sha256 } = require('./crypto');
+const { applyRatio } = require('./amount');
+const { encodeCoinbase } = require('./encoding');
+
+/**
+ * Calculate block reward for a height, in base units.
+ * Each halving rounds down, so the reward reaches exactly 0.
+ */
+function calculateBlockReward(height) {
+    const halvings = Math.floor(height / PROTOCOL.HALVING_INTERVAL);
+    return Math.floor(PROTOCOL.INITIAL_BLOCK_REWARD / Math.pow(2, halvings));
+}
+
+/**
+ * Total block rewards minted by the blocks before `height` (genesis mints nothing)
+ */
+function calculateIssuedSupply(height) {
+    let issued = 0;
+
+    for (let start = 0; start < height; start += PROTOCOL.HALVING_INTERVAL) {
+        const reward = calculateBlockReward(start);
+        if (reward === 0) break;
+
+        const end = Math.min(height, start + PROTOCOL.HALVING_INTERVAL);
+        const blocks = end - Math.max(start, 1);
+        issued += reward * blocks;
+    }
+
+    return issued;
+}
+
+/**
+ * Split total fees between miner, treasury and burn.
+ * The miner share absorbs rounding so the parts always sum to the total.
+ */
+function splitFees(totalFees) {
+    const toTreasury = applyRatio(totalFees, PROTOCOL.FEE_TO_TREASURY);
+    const toBurn = applyRatio(totalFees, PROTOCOL.FEE_TO_BURN);
+
+    return {
+        toMiner: totalFees - toTreasury - toBurn,
+        toTreasury,
+        toBurn
+    };
+}
+
+/**
+ * Amounts a coinbase distributes for a height and set of transactions
+ */
+function calculateCoinbaseAmounts(height, transactions = []) {
+    const reward = calculateBlockReward(height);
+    const fees = transactions.reduce((sum, tx) => sum + tx.fee, 0);
+    const split = splitFees(fees);
+
+    return {
+        reward,
+        fees,
+        toMiners: reward + split.toMiner,
+        toTreasury: split.toTreasury,
+        toBurn: split.toBurn
+    };
+}
+
+/**
+ * Build the coinbase transaction for a block
+ *
+ * @param {object} params
+ * @param {number} params.height - Block height
+ * @param {object[]} params.transactions - Transfers included in the block
+ * @param {string} params.treasuryAddress - Treasury recipient
+ * @param {object[]} params.payouts - [{ address, amount }] from the miners' share
+ */
+function createCoinbase({
+    height,
+    transactions = [],
+    treasuryAddress = PROTOCOL.TREASURY_ADDRESS,
+    payouts = []
+}) {
+    const amounts = calculateCoinbaseAmounts(height, transactions);
+    const outputs = payouts.map(({ address, amount }) => ({ address, amount }));
+    const paidOut = outputs.reduce((sum, payout) => sum + payout.amount, 0);
+
+    const coinbase = {
+        type: 'coinbase',
+        height,
+        reward: amounts.reward,
+        fees: amounts.fees,
+        payouts: outputs,
+        minerReward: amounts.toMiners - paidOut,
+        treasury: treasuryAddress,
+        treasuryReward: amounts.toTreasury,
+        burned: amounts.toBurn
+    };
+
+    coinbase.id = calculateCoinbaseId(coinbase);
+    return coinbase;
+}
+
+/**
+ * Coinbase id (hash of its canonical encoding)
+ */
+function calculateCoinbaseId(coinbase) {
+    return sha256(encodeCoinbase(coinbase));
+}
+
+/**
+ * Check whether a transaction is a coinbase
+ */
+function isCoinbase(tx) {
+    return !!tx && tx.type === 'coinbase';
+}
+
+/**
+ * Get a block's coinbase (null for genesis)
+ */
+function getCoinbase(block) {
+    const first = block.transactions && block.transactions[0];
+    return isCoinbase(first) ? first : null;
+}
+
+module.exports = {
+    calculateBlockReward,
+    calculateIssuedSupply,
+    splitFees,
+    calculateCoinbaseAmounts,
+    createCoinbase,
+    calculateCoinbaseId,
+    isCoinbase,
+    getCoinbase
+};
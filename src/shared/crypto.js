@@ -23,23 +23,92 @@ function doubleSha256(data) {
 }
 
 /**
- * Calculate Merkle Root from transactions
+ * RIPEMD160(SHA256(data)), the 20-byte public key hash in addresses
  */
-function calculateMerkleRoot(transactions) {
-    if (!transactions || transactions.length === 0) {
-        return sha256('empty');
+function hash160(data) {
+    const first = crypto.createHash('sha256').update(data).digest();
+    return crypto.createHash('ripemd160').update(first).digest();
+}
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Base58Check encode: payload followed by the first 4 bytes of its
+ * double SHA-256, in base 58. Leading zero bytes become '1's.
+ */
+function base58CheckEncode(payload) {
+    const checksum = Buffer.from(doubleSha256(payload), 'hex').subarray(0, 4);
+    const bytes = Buffer.concat([payload, checksum]);
+
+    let value = BigInt('0x' + (bytes.toString('hex') || '0'));
+    let encoded = '';
+    while (value > 0n) {
+        encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+        value /= 58n;
+    }
+
+    for (const byte of bytes) {
+        if (byte !== 0) break;
+        encoded = '1' + encoded;
+    }
+    return encoded;
+}
+
+/**
+ * Base58Check decode. Returns the payload, or null if the string has
+ * invalid characters or a bad checksum.
+ */
+function base58CheckDecode(encoded) {
+    if (typeof encoded !== 'string' || encoded.length === 0) return null;
+
+    let value = 0n;
+    for (const char of encoded) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit === -1) return null;
+        value = value * 58n + BigInt(digit);
     }
 
-    let hashes = transactions.map(tx =>
-        sha256(typeof tx === 'string' ? tx : JSON.stringify(tx))
-    );
+    let hex = value > 0n ? value.toString(16) : '';
+    if (hex.length % 2) hex = '0' + hex;
+
+    const leadingZeros = encoded.length - encoded.replace(/^1+/, '').length;
+    const bytes = Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, 'hex')]);
+    if (bytes.length < 4) return null;
+
+    const payload = bytes.subarray(0, bytes.length - 4);
+    const checksum = Buffer.from(doubleSha256(payload), 'hex').subarray(0, 4);
+    return checksum.equals(bytes.subarray(bytes.length - 4)) ? payload : null;
+}
+
+// Domain separation so a leaf can never be passed off as an inner node
+const MERKLE_NODE_PREFIX = Buffer.from([0x01]);
+const EMPTY_MERKLE_ROOT = '0'.repeat(64);
+
+/**
+ * Merkle inner node hash of two child hashes (hex)
+ */
+function hashMerkleNode(left, right) {
+    return sha256(Buffer.concat([
+        MERKLE_NODE_PREFIX,
+        Buffer.from(left, 'hex'),
+        Buffer.from(right, 'hex')
+    ]));
+}
+
+/**
+ * Merkle root of a list of leaf hashes. An odd hash at any level is
+ * paired with itself; no leaves give an all-zero root.
+ */
+function calculateMerkleRootFromLeaves(leaves) {
+    if (leaves.length === 0) {
+        return EMPTY_MERKLE_ROOT;
+    }
 
+    let hashes = leaves;
     while (hashes.length > 1) {
         const nextLevel = [];
         for (let i = 0; i < hashes.length; i += 2) {
-            const left = hashes[i];
-            const right = hashes[i + 1] || left; // Duplicate last if odd
-            nextLevel.push(sha256(left + right));
+            nextLevel.push(hashMerkleNode(hashes[i], hashes[i + 1] || hashes[i]));
         }
         hashes = nextLevel;
     }
@@ -48,18 +117,59 @@ function calculateMerkleRoot(transactions) {
 }
 
 /**
- * Calculate block hash
+ * Inclusion proof for the leaf at `index`: the sibling hash at each level,
+ * bottom up, and which side of the path it is on
+ *
+ * @returns {object[]} [{ hash, position: 'left' | 'right' }]
+ */
+function createMerkleProof(leaves, index) {
+    if (!Number.isInteger(index) || index < 0 || index >= leaves.length) {
+        throw new Error(`Leaf index ${index} out of range`);
+    }
+
+    const proof = [];
+    let hashes = leaves;
+    let position = index;
+
+    while (hashes.length > 1) {
+        const isRight = position % 2 === 1;
+        const sibling = isRight ? hashes[position - 1] : (hashes[position + 1] || hashes[position]);
+        proof.push({ hash: sibling, position: isRight ? 'left' : 'right' });
+
+        const nextLevel = [];
+        for (let i = 0; i < hashes.length; i += 2) {
+            nextLevel.push(hashMerkleNode(hashes[i], hashes[i + 1] || hashes[i]));
+        }
+        hashes = nextLevel;
+        position = Math.floor(position / 2);
+    }
+
+    return proof;
+}
+
+/**
+ * Check that a leaf hash and its proof lead to a merkle root
  */
-function calculateBlockHash(block) {
-    const header = {
-        index: block.index,
-        timestamp: block.timestamp,
-        previousHash: block.previousHash,
-        merkleRoot: block.merkleRoot,
-        nonce: block.nonce,
-        difficulty: block.difficulty
-    };
-    return doubleSha256(JSON.stringify(header));
+function verifyMerkleProof(leaf, proof, root) {
+    const isHash = value => typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+    if (!isHash(leaf) || !isHash(root) || !Array.isArray(proof)) {
+        return false;
+    }
+
+    let hash = leaf;
+    for (const step of proof) {
+        if (!step || !isHash(step.hash)) return false;
+
+        if (step.position === 'left') {
+            hash = hashMerkleNode(step.hash, hash);
+        } else if (step.position === 'right') {
+            hash = hashMerkleNode(hash, step.hash);
+        } else {
+            return false;
+        }
+    }
+
+    return hash === root;
 }
 
 /**
@@ -90,8 +200,14 @@ function randomHex(bytes = 32) {
 module.exports = {
     sha256,
     doubleSha256,
-    calculateMerkleRoot,
-    calculateBlockHash,
+    hash160,
+    base58CheckEncode,
+    base58CheckDecode,
+    EMPTY_MERKLE_ROOT,
+    hashMerkleNode,
+    calculateMerkleRootFromLeaves,
+    createMerkleProof,
+    verifyMerkleProof,
     calculateTarget,
     hashMeetsTarget,
     randomHex
@@ -0,0 +1,163 @@
+/**
+ * Blixchain Difficulty Retargeting
+ *
+ * Difficulty is a pure function of the headers before a block, so every
+ * node, peer and light client derives the same value (whitepaper §5.2):
+ *
+ *   D = B × (1 + α)^(S/S₀) × (1 + β)^(T/T₀)
+ *
+ *   B  base difficulty, multiplied every DIFFICULTY_ADJUSTMENT_BLOCKS by
+ *      γ = expected / actual time of the last window (clamped)
+ *   S  BLIX issued by the block schedule before the block
+ *   T  parent timestamp minus GENESIS_TIMESTAMP
+ *
+ * A retarget carries the previous difficulty forward by γ and by the
+ * growth since the previous retarget only, so the growth factors never
+ * compound. All arithmetic is BigInt fixed point; no floating point or
+ * wall-clock time enters consensus.
+ */
+
+const PROTOCOL = require('./protocol');
+const { UNITS_PER_BLIX } = require('./amount');
+const { calculateIssuedSupply } = require('./coinbase');
+
+const SCALE = 10n ** 18n;
+const PPM = 1000000n;
+
+/**
+ * ln(1 + ppm / 10^6) in fixed point
+ */
+function lnOnePlusPpm(ppm) {
+    const y = BigInt(ppm) * SCALE / PPM;
+    let sum = 0n;
+    let power = y;
+
+    for (let k = 1n; power !== 0n; k++) {
+        sum += (k % 2n === 1n ? power : -power) / k;
+        power = power * y / SCALE;
+    }
+    return sum;
+}
+
+/**
+ * e^x in fixed point, for x >= 0
+ */
+function expFixed(x) {
+    let sum = SCALE;
+    let term = SCALE;
+
+    for (let k = 1n; term !== 0n; k++) {
+        term = term * x / (SCALE * k);
+        sum += term;
+    }
+    return sum;
+}
+
+const LN_SUPPLY_GROWTH = lnOnePlusPpm(PROTOCOL.DIFFICULTY_SUPPLY_GROWTH_PPM);
+const LN_TIME_GROWTH = lnOnePlusPpm(PROTOCOL.DIFFICULTY_TIME_GROWTH_PPM);
+const SUPPLY_UNIT = BigInt(PROTOCOL.DIFFICULTY_SUPPLY_UNIT) * BigInt(UNITS_PER_BLIX);
+
+/**
+ * ln of the growth factors for a block at `height` whose parent has
+ * `parentTimestamp`, in fixed point
+ */
+function growthExponent(height, parentTimestamp) {
+    const supply = BigInt(calculateIssuedSupply(height));
+    const elapsed = BigInt(Math.max(0, parentTimestamp - PROTOCOL.GENESIS_TIMESTAMP));
+
+    return LN_SUPPLY_GROWTH * supply / SUPPLY_UNIT +
+        LN_TIME_GROWTH * elapsed / BigInt(PROTOCOL.DIFFICULTY_TIME_UNIT_MS);
+}
+
+/**
+ * Difficulty one retarget after `difficulty`, given the time the last
+ * window took and the growth exponents at both retargets
+ */
+function retarget(difficulty, actualTime, previousExponent, exponent) {
+    const expected = BigInt(PROTOCOL.TARGET_BLOCK_TIME_MS * PROTOCOL.DIFFICULTY_ADJUSTMENT_BLOCKS);
+    const maxAdjustment = BigInt(PROTOCOL.MAX_DIFFICULTY_ADJUSTMENT);
+
+    let gamma = expected * SCALE / BigInt(Math.max(1, actualTime));
+    if (gamma > SCALE * maxAdjustment) gamma = SCALE * maxAdjustment;
+    if (gamma < SCALE / maxAdjustment) gamma = SCALE / maxAdjustment;
+
+    const growth = expFixed(exponent > previousExponent ? exponent - previousExponent : 0n);
+    const product = BigInt(difficulty) * gamma * growth;
+
+    // Round up after a fast window, so small difficulties can still rise
+    let next = product / (SCALE * SCALE);
+    if (gamma > SCALE && product % (SCALE * SCALE) !== 0n) next += 1n;
+
+    if (next < 1n) return 1;
+    if (next > BigInt(Number.MAX_SAFE_INTEGER)) return Number.MAX_SAFE_INTEGER;
+    return Number(next);
+}
+
+/**
+ * Difficulty required of the block after `parent`
+ *
+ * Blocks keep their parent's difficulty except at multiples of
+ * DIFFICULTY_ADJUSTMENT_BLOCKS. The first window is skipped because it
+ * starts at the fixed genesis timestamp.
+ *
+ * @param {object} parent - Header the block extends
+ * @param {function} getAncestor - height -> header on the parent's branch
+ */
+function calculateNextDifficulty(parent, getAncestor) {
+    const height = parent.index + 1;
+    const interval = PROTOCOL.DIFFICULTY_ADJUSTMENT_BLOCKS;
+
+    if (height % interval !== 0 || height <= interval) {
+        return parent.difficulty;
+    }
+
+    // The window's first header is the parent of the previous retarget block
+    const windowStart = getAncestor(height - interval - 1);
+    if (!windowStart) {
+        throw new Error(`Missing header ${height - interval - 1} for difficulty retarget`);
+    }
+
+    return retarget(
+        parent.difficulty,
+        parent.timestamp - windowStart.timestamp,
+        growthExponent(height - interval, windowStart.timestamp),
+        growthExponent(height, parent.timestamp)
+    );
+}
+
+/**
+ * Simulate the difficulty trajectory for a hashrate profile, starting
+ * from genesis. Each block takes its expected solve time (difficulty
+ * hashes at the given rate), but never less than MIN_BLOCK_TIME_MS.
+ *
+ * @param {object[]} profile - [{ hashrate, blocks }] in hashes per second
+ * @returns {object[]} One entry per block: { height, hashrate, difficulty, blockTimeMs, timestamp }
+ */
+function simulateDifficulty(profile) {
+    let parent = { index: 0, timestamp: PROTOCOL.GENESIS_TIMESTAMP, difficulty: 1 };
+    const headers = [parent];
+    const results = [];
+
+    for (const { hashrate, blocks } of profile) {
+        for (let i = 0; i < blocks; i++) {
+            const difficulty = calculateNextDifficulty(parent, height => headers[height]);
+            const blockTimeMs = Math.max(PROTOCOL.MIN_BLOCK_TIME_MS, Math.ceil(difficulty / hashrate * 1000));
+
+            const header = {
+                index: parent.index + 1,
+                timestamp: parent.timestamp + blockTimeMs,
+                difficulty
+            };
+            headers.push(header);
+            results.push({ height: header.index, hashrate, difficulty, blockTimeMs, timestamp: header.timestamp });
+            parent = header;
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    calculateNextDifficulty,
+    simulateDifficulty
+};
@@ -0,0 +1,402 @@
+/**
+ * Blixchain Canonical Encoding
+ *
+ * Byte layouts that every id, signature, merkle leaf and block hash is
+ * computed over, so they never depend on JSON key order. All integers are
+ * unsigned big-endian; u64 values must be safe integers. Layouts are
+ * documented with test vectors in docs/ENCODING.md.
+ *
+ *   str       u8 length, then ASCII bytes (addresses)
+ *   hash      32 bytes
+ *
+ *   Transfer body (signed; id = SHA256(body)):
+ *     u8 version | u8 type=1 | str sender | str recipient
+ *     u64 amount | u64 fee | u64 nonce | u64 timestamp
+ *
+ *   Transfer (merkle leaf):
+ *     body | u8 length + public key | 64-byte compact signature (r || s)
+ *
+ *   Coinbase (id and merkle leaf):
+ *     u8 version | u8 type=0 | u64 height | u64 reward | u64 fees
+ *     u16 count | count x (str address | u64 amount)
+ *     u64 minerReward | str treasury | u64 treasuryReward | u64 burned
+ *
+ *   Block header (block hash = SHA256(SHA256(header))):
+ *     u8 version | u64 index | u64 timestamp | hash previousHash
+ *     hash merkleRoot | u64 difficulty | str miner | u64 nonce
+ */
+
+const crypto = require('crypto');
+const PROTOCOL = require('./protocol');
+const { calculateMerkleRootFromLeaves } = require('./crypto');
+const { decodeSignature } = require('./wallet');
+
+const TX_TYPE_COINBASE = 0;
+const TX_TYPE_TRANSFER = 1;
+
+// Leaves are prefixed 0x00, inner nodes 0x01 (see crypto.hashMerkleNode)
+const MERKLE_LEAF_PREFIX = Buffer.from([0x00]);
+
+/**
+ * Appends fields to a growing list of buffers
+ */
+class Writer {
+    constructor() {
+        this.parts = [];
+    }
+
+    u8(value) {
+        if (!Number.isInteger(value) || value < 0 || value > 0xff) {
+            throw new Error(`Invalid u8: ${value}`);
+        }
+        this.parts.push(Buffer.from([value]));
+        return this;
+    }
+
+    u16(value) {
+        if (!Number.isInteger(value) || value < 0 || value > 0xffff) {
+            throw new Error(`Invalid u16: ${value}`);
+        }
+        const buf = Buffer.alloc(2);
+        buf.writeUInt16BE(value);
+        this.parts.push(buf);
+        return this;
+    }
+
+    u64(value) {
+        if (!Number.isSafeInteger(value) || value < 0) {
+            throw new Error(`Invalid u64: ${value}`);
+        }
+        const buf = Buffer.alloc(8);
+        buf.writeBigUInt64BE(BigInt(value));
+        this.parts.push(buf);
+        return this;
+    }
+
+    str(value) {
+        if (typeof value !== 'string' || !/^[\x20-\x7e]*$/.test(value) || value.length > 0xff) {
+            throw new Error(`Invalid string field: ${value}`);
+        }
+        this.u8(value.length);
+        this.parts.push(Buffer.from(value, 'ascii'));
+        return this;
+    }
+
+    bytes(buf) {
+        this.parts.push(buf);
+        return this;
+    }
+
+    hash(hex) {
+        if (typeof hex !== 'string' || !/^[0-9a-f]{64}$/.test(hex)) {
+            throw new Error(`Invalid hash: ${hex}`);
+        }
+        return this.bytes(Buffer.from(hex, 'hex'));
+    }
+
+    toBuffer() {
+        return Buffer.concat(this.parts);
+    }
+}
+
+/**
+ * Reads fields in order, failing on truncated or trailing data
+ */
+class Reader {
+    constructor(buf) {
+        this.buf = buf;
+        this.offset = 0;
+    }
+
+    take(length) {
+        if (this.offset + length > this.buf.length) {
+            throw new Error('Unexpected end of data');
+        }
+        const slice = this.buf.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return slice;
+    }
+
+    u8() {
+        return this.take(1).readUInt8();
+    }
+
+    u16() {
+        return this.take(2).readUInt16BE();
+    }
+
+    u64() {
+        const value = this.take(8).readBigUInt64BE();
+        if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+            throw new Error('u64 value exceeds the safe integer range');
+        }
+        return Number(value);
+    }
+
+    str() {
+        return this.take(this.u8()).toString('ascii');
+    }
+
+    hash() {
+        return this.take(32).toString('hex');
+    }
+
+    end() {
+        if (this.offset !== this.buf.length) {
+            throw new Error('Trailing data');
+        }
+    }
+}
+
+/**
+ * Check the version and type bytes at the start of an encoding
+ */
+function readPrefix(reader, expectedType) {
+    const version = reader.u8();
+    if (version !== PROTOCOL.ENCODING_VERSION) {
+        throw new Error(`Unsupported encoding version ${version}`);
+    }
+
+    if (expectedType !== undefined) {
+        const type = reader.u8();
+        if (type !== expectedType) {
+            throw new Error(`Expected transaction type ${expectedType}, got ${type}`);
+        }
+    }
+}
+
+/**
+ * Encode the signed fields of a transfer
+ */
+function encodeTransactionBody(tx) {
+    return new Writer()
+        .u8(PROTOCOL.ENCODING_VERSION)
+        .u8(TX_TYPE_TRANSFER)
+        .str(tx.sender)
+        .str(tx.recipient)
+        .u64(tx.amount)
+        .u64(tx.fee)
+        .u64(tx.nonce)
+        .u64(tx.timestamp)
+        .toBuffer();
+}
+
+/**
+ * Encode a signed transfer: body, public key and compact signature
+ */
+function encodeTransaction(tx) {
+    const publicKey = typeof tx.senderPublicKey === 'string' && /^([0-9a-f]{2})+$/i.test(tx.senderPublicKey)
+        ? Buffer.from(tx.senderPublicKey, 'hex')
+        : null;
+    if (!publicKey || publicKey.length > 0xff) {
+        throw new Error('Invalid sender public key');
+    }
+
+    const signature = decodeSignature(tx.signature);
+    if (!signature) {
+        throw new Error('Invalid signature');
+    }
+
+    return new Writer()
+        .bytes(encodeTransactionBody(tx))
+        .u8(publicKey.length)
+        .bytes(publicKey)
+        .bytes(Buffer.from(signature))
+        .toBuffer();
+}
+
+/**
+ * Decode a signed transfer; the signature comes back as compact hex
+ */
+function decodeTransaction(buf) {
+    const reader = new Reader(buf);
+    readPrefix(reader, TX_TYPE_TRANSFER);
+
+    const tx = {
+        sender: reader.str(),
+        recipient: reader.str(),
+        amount: reader.u64(),
+        fee: reader.u64(),
+        nonce: reader.u64(),
+        timestamp: reader.u64()
+    };
+    tx.senderPublicKey = reader.take(reader.u8()).toString('hex');
+    tx.signature = reader.take(64).toString('hex');
+    reader.end();
+
+    return tx;
+}
+
+/**
+ * Encode a coinbase (its id field is not part of the encoding)
+ */
+function encodeCoinbase(coinbase) {
+    const payouts = Array.isArray(coinbase.payouts) ? coinbase.payouts : null;
+    if (!payouts) {
+        throw new Error('Invalid coinbase payouts');
+    }
+
+    const writer = new Writer()
+        .u8(PROTOCOL.ENCODING_VERSION)
+        .u8(TX_TYPE_COINBASE)
+        .u64(coinbase.height)
+        .u64(coinbase.reward)
+        .u64(coinbase.fees)
+        .u16(payouts.length);
+
+    for (const payout of payouts) {
+        writer.str(payout.address).u64(payout.amount);
+    }
+
+    return writer
+        .u64(coinbase.minerReward)
+        .str(coinbase.treasury)
+        .u64(coinbase.treasuryReward)
+        .u64(coinbase.burned)
+        .toBuffer();
+}
+
+/**
+ * Decode a coinbase (without its id)
+ */
+function decodeCoinbase(buf) {
+    const reader = new Reader(buf);
+    readPrefix(reader, TX_TYPE_COINBASE);
+
+    const coinbase = {
+        type: 'coinbase',
+        height: reader.u64(),
+        reward: reader.u64(),
+        fees: reader.u64(),
+        payouts: []
+    };
+
+    const count = reader.u16();
+    for (let i = 0; i < count; i++) {
+        coinbase.payouts.push({ address: reader.str(), amount: reader.u64() });
+    }
+
+    coinbase.minerReward = reader.u64();
+    coinbase.treasury = reader.str();
+    coinbase.treasuryReward = reader.u64();
+    coinbase.burned = reader.u64();
+    reader.end();
+
+    return coinbase;
+}
+
+/**
+ * Encode a block header
+ */
+function encodeBlockHeader(block) {
+    return new Writer()
+        .u8(PROTOCOL.ENCODING_VERSION)
+        .u64(block.index)
+        .u64(block.timestamp)
+        .hash(block.previousHash)
+        .hash(block.merkleRoot)
+        .u64(block.difficulty)
+        .str(block.miner)
+        .u64(block.nonce)
+        .toBuffer();
+}
+
+/**
+ * Decode a block header
+ */
+function decodeBlockHeader(buf) {
+    const reader = new Reader(buf);
+    readPrefix(reader);
+
+    const header = {
+        index: reader.u64(),
+        timestamp: reader.u64(),
+        previousHash: reader.hash(),
+        merkleRoot: reader.hash(),
+        difficulty: reader.u64(),
+        miner: reader.str(),
+        nonce: reader.u64()
+    };
+    reader.end();
+
+    return header;
+}
+
+/**
+ * Canonical encoding of a transfer or coinbase
+ */
+function encodeBlockTransaction(tx) {
+    return tx && tx.type === 'coinbase' ? encodeCoinbase(tx) : encodeTransaction(tx);
+}
+
+/**
+ * Size of a block in bytes: its encoded header plus the encoding of each
+ * transaction. MAX_BLOCK_SIZE limits this.
+ */
+function getBlockSize(block) {
+    return block.transactions.reduce(
+        (size, tx) => size + encodeBlockTransaction(tx).length,
+        encodeBlockHeader(block).length
+    );
+}
+
+function sha256(buf) {
+    return crypto.createHash('sha256').update(buf).digest();
+}
+
+/**
+ * Merkle leaf hash of a transaction (hex)
+ */
+function hashMerkleLeaf(tx) {
+    return sha256(Buffer.concat([MERKLE_LEAF_PREFIX, encodeBlockTransaction(tx)])).toString('hex');
+}
+
+/**
+ * Calculate the merkle root of a block's transactions
+ *
+ * @throws {Error} If a transaction can't be encoded
+ */
+function calculateMerkleRoot(transactions) {
+    return calculateMerkleRootFromLeaves((transactions || []).map(hashMerkleLeaf));
+}
+
+/**
+ * Calculate block hash
+ *
+ * The miner address is part of the header, so a solution only pays the
+ * wallet that found it and each miner searches its own hash space.
+ */
+function calculateBlockHash(block) {
+    return sha256(sha256(encodeBlockHeader(block))).toString('hex');
+}
+
+/**
+ * Block hash function for mining: the header is encoded once and only
+ * the trailing nonce is rewritten for each attempt
+ */
+function createBlockHasher(block) {
+    const header = encodeBlockHeader({ ...block, nonce: 0 });
+    const nonceOffset = header.length - 8;
+
+    return (nonce) => {
+        header.writeBigUInt64BE(BigInt(nonce), nonceOffset);
+        return sha256(sha256(header)).toString('hex');
+    };
+}
+
+module.exports = {
+    TX_TYPE_COINBASE,
+    TX_TYPE_TRANSFER,
+    encodeTransactionBody,
+    encodeTransaction,
+    decodeTransaction,
+    encodeCoinbase,
+    decodeCoinbase,
+    encodeBlockHeader,
+    decodeBlockHeader,
+    getBlockSize,
+    hashMerkleLeaf,
+    calculateMerkleRoot,
+    calculateBlockHash,
+    createBlockHasher
+};
@@ -0,0 +1,180 @@
+/**
+ * Blixchain Hierarchical Deterministic Keys
+ *
+ * BIP39 mnemonics back up a seed; BIP32 derives any number of secp256k1
+ * keys from it. Blix keys live under the BIP44-style path
+ * m/44'/BLIX_COIN_TYPE'/account'/0/index.
+ */
+
+const crypto = require('crypto');
+const secp256k1 = require('secp256k1');
+const bip39 = require('bip39');
+
+const HARDENED_OFFSET = 0x80000000;
+const MASTER_SECRET = Buffer.from('Bitcoin seed', 'utf8');
+
+// Unregistered SLIP-44 coin type used for Blix keys ("BX")
+const BLIX_COIN_TYPE = 0x4258;
+const DEFAULT_PATH = `m/44'/${BLIX_COIN_TYPE}'/0'/0/0`;
+
+/**
+ * Generate a new mnemonic (12 words by default, 24 with strength 256)
+ */
+function generateMnemonic(strength = 128) {
+    return bip39.generateMnemonic(strength);
+}
+
+/**
+ * Normalize whitespace and case so pasted phrases match the wordlist
+ */
+function normalizeMnemonic(mnemonic) {
+    return String(mnemonic).trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+/**
+ * Check the words and checksum of a mnemonic
+ */
+function validateMnemonic(mnemonic) {
+    return bip39.validateMnemonic(normalizeMnemonic(mnemonic));
+}
+
+/**
+ * Derive the 64-byte BIP39 seed from a mnemonic and optional passphrase
+ */
+function mnemonicToSeed(mnemonic, passphrase = '') {
+    const normalized = normalizeMnemonic(mnemonic);
+    if (!bip39.validateMnemonic(normalized)) {
+        throw new Error('Invalid mnemonic');
+    }
+    return bip39.mnemonicToSeedSync(normalized, passphrase);
+}
+
+/**
+ * Create the BIP32 master node from a seed
+ *
+ * @returns {object} { privateKey, chainCode, depth, index }
+ */
+function createMasterNode(seed) {
+    if (seed.length < 16 || seed.length > 64) {
+        throw new Error('Seed must be 16 to 64 bytes');
+    }
+
+    const I = crypto.createHmac('sha512', MASTER_SECRET).update(seed).digest();
+    const privateKey = I.subarray(0, 32);
+
+    if (!secp256k1.privateKeyVerify(privateKey)) {
+        throw new Error('Seed produces an invalid master key');
+    }
+
+    return {
+        privateKey: Buffer.from(privateKey),
+        chainCode: Buffer.from(I.subarray(32)),
+        depth: 0,
+        index: 0
+    };
+}
+
+/**
+ * Derive a child node (CKDpriv). Indexes >= HARDENED_OFFSET are hardened.
+ * Returns null for the ~2^-127 chance of an invalid child; BIP32 says to
+ * skip to the next index in that case.
+ */
+function deriveChild(node, index) {
+    if (!Number.isInteger(index) || index < 0 || index > 0xffffffff) {
+        throw new Error(`Invalid child index: ${index}`);
+    }
+
+    const data = Buffer.alloc(37);
+    if (index >= HARDENED_OFFSET) {
+        node.privateKey.copy(data, 1);
+    } else {
+        Buffer.from(secp256k1.publicKeyCreate(node.privateKey, true)).copy(data, 0);
+    }
+    data.writeUInt32BE(index, 33);
+
+    const I = crypto.createHmac('sha512', node.chainCode).update(data).digest();
+    const tweak = I.subarray(0, 32);
+
+    if (!secp256k1.privateKeyVerify(tweak)) return null;
+
+    let privateKey;
+    try {
+        privateKey = Buffer.from(secp256k1.privateKeyTweakAdd(Buffer.from(node.privateKey), tweak));
+    } catch (err) {
+        // Child key is zero
+        return null;
+    }
+
+    return {
+        privateKey,
+        chainCode: Buffer.from(I.subarray(32)),
+        depth: node.depth + 1,
+        index
+    };
+}
+
+/**
+ * Parse a derivation path like m/44'/16984'/0'/0/0 into child indexes
+ */
+function parsePath(path) {
+    const parts = String(path).trim().split('/');
+    if (parts[0] !== 'm') {
+        throw new Error(`Derivation path must start with "m": ${path}`);
+    }
+
+    return parts.slice(1).map(part => {
+        const match = /^(\d+)(['hH]?)$/.exec(part);
+        const index = match ? Number(match[1]) : NaN;
+
+        if (!Number.isSafeInteger(index) || index >= HARDENED_OFFSET) {
+            throw new Error(`Invalid derivation path segment "${part}" in ${path}`);
+        }
+        return match[2] ? index + HARDENED_OFFSET : index;
+    });
+}
+
+/**
+ * Derive the node at a path from a seed
+ */
+function derivePath(seed, path = DEFAULT_PATH) {
+    let node = createMasterNode(seed);
+
+    for (const index of parsePath(path)) {
+        node = deriveChild(node, index);
+        if (!node) {
+            throw new Error(`Path ${path} derives an invalid key; use the next index`);
+        }
+    }
+
+    return node;
+}
+
+/**
+ * Default path for an address index within an account
+ */
+function getDerivationPath(index = 0, account = 0) {
+    return `m/44'/${BLIX_COIN_TYPE}'/${account}'/0/${index}`;
+}
+
+/**
+ * Derive a private key (hex) from a mnemonic
+ */
+function derivePrivateKey(mnemonic, path = DEFAULT_PATH, passphrase = '') {
+    return derivePath(mnemonicToSeed(mnemonic, passphrase), path).privateKey.toString('hex');
+}
+
+module.exports = {
+    HARDENED_OFFSET,
+    BLIX_COIN_TYPE,
+    DEFAULT_PATH,
+    generateMnemonic,
+    normalizeMnemonic,
+    validateMnemonic,
+    mnemonicToSeed,
+    createMasterNode,
+    deriveChild,
+    parsePath,
+    derivePath,
+    getDerivationPath,
+    derivePrivateKey
+};
@@ -6,23 +6,41 @@ module.exports = {
     // Network
     NETWORK_ID: 'BLIXCHAIN_MAINNET',
     VERSION: '1.0.0',
+    ENCODING_VERSION: 1,                 // Leading byte of every canonical encoding
+    GENESIS_TIMESTAMP: 1735912800000,    // Fixed so every node derives the same genesis
 
     // Mining
     MIN_POOL_SIZE: 2,                    // Minimum wallets to start mining
     MIN_BLOCK_TIME_MS: 300000,           // 5 minutes minimum
+    MAX_FUTURE_BLOCK_TIME_MS: 120000,    // Blocks may lead the local clock by at most 2 minutes
     TARGET_BLOCK_TIME_MS: 360000,        // 6 minutes target
-    DIFFICULTY_ADJUSTMENT_BLOCKS: 10,
+    DIFFICULTY_ADJUSTMENT_BLOCKS: 10,    // Retarget every N blocks, whitepaper §5.2
+    MAX_DIFFICULTY_ADJUSTMENT: 2,        // Block time factor per retarget stays within 1/2x..2x
+    DIFFICULTY_SUPPLY_GROWTH_PPM: 100,   // α = 0.0001 per DIFFICULTY_SUPPLY_UNIT issued
+    DIFFICULTY_SUPPLY_UNIT: 1000000,     // S₀ in BLIX
+    DIFFICULTY_TIME_GROWTH_PPM: 50,      // β = 0.00005 per DIFFICULTY_TIME_UNIT_MS of chain time
+    DIFFICULTY_TIME_UNIT_MS: 86400000,   // T₀ = 1 day
 
-    // Tokenomics
-    INITIAL_BLOCK_REWARD: 50,
+    // Pool shares
+    SHARE_DIFFICULTY_DIVISOR: 64,        // Share target is 64x easier than the block target
+    MIN_SHARE_DIFFICULTY: 256,           // Floor so shares don't flood the coordinator
+    PPLNS_WINDOW: 1000,                  // Rewards split over the last N shares
+    MAX_RECENT_JOBS: 4,                  // Jobs on the current tip whose work is still accepted
+
+    // Tokenomics (amounts are integer base units, 1 BLIX = 10^DECIMALS units)
+    INITIAL_BLOCK_REWARD: 5000000000,    // 50 BLIX
     HALVING_INTERVAL: 210000,
     DECIMALS: 8,
 
     // Fees
-    MIN_TRANSACTION_FEE: 0.0001,
+    MIN_TRANSACTION_FEE: 10000,          // 0.0001 BLIX, floor for every transaction
+    MIN_FEE_PER_KB: 10000,               // 0.0001 BLIX, size-based minimum, whitepaper §7.4
+    CONGESTION_LEVELS: 10,               // mempool fill steps (10 = full)
+    CONGESTION_FEE_STEP: 0.1,            // +10% minimum fee per congestion level
     FEE_TO_MINERS: 0.70,                 // 70%
     FEE_TO_BURN: 0.20,                   // 20%
     FEE_TO_TREASURY: 0.10,               // 10%
+    TREASURY_ADDRESS: 'BLX4249AE8AC89ADB2FA6B066459955C16F',   // legacy format, kept so existing chains stay valid
 
     // P2P & Storage
     SHARD_COUNT: 256,
@@ -32,6 +50,7 @@ module.exports = {
     // Addresses
     NETWORK_PREFIX: 0x42,                // 'B'
     ADDRESS_PREFIX: 'BLX',
+    ALLOW_LEGACY_ADDRESSES: true,        // accept pre-Base58Check 'BLX' + hex addresses
 
     // Limits
     MAX_TRANSACTION_SIZE: 100000,        // 100KB
@@ -0,0 +1,93 @@
+/**
+ * Blixchain Account State
+ *
+ * Tracks balance and next expected nonce for every address.
+ * State is derived entirely from the chain, so it is rebuilt on startup
+ * by replaying blocks and kept current by applying each new block.
+ */
+
+const { isCoinbase } = require('./coinbase');
+const { normalizeAddress } = require('./wallet');
+
+class AccountState {
+    constructor() {
+        this.accounts = new Map();  // normalized address -> { balance, nonce }
+    }
+
+    /**
+     * Get account (zero balance / nonce for unknown addresses)
+     */
+    getAccount(address) {
+        return this.accounts.get(normalizeAddress(address)) || { balance: 0, nonce: 0 };
+    }
+
+    /**
+     * Get or create a mutable account entry
+     */
+    ensureAccount(address) {
+        const key = normalizeAddress(address);
+        if (!this.accounts.has(key)) {
+            this.accounts.set(key, { balance: 0, nonce: 0 });
+        }
+        return this.accounts.get(key);
+    }
+
+    /**
+     * Apply a block's coinbase and transfers
+     */
+    applyBlock(block) {
+        for (const tx of block.transactions || []) {
+            if (isCoinbase(tx)) {
+                // Pool payouts, remainder to the header's miner; burned fees go nowhere
+                for (const payout of tx.payouts || []) {
+                    this.ensureAccount(payout.address).balance += payout.amount;
+                }
+                this.ensureAccount(block.miner).balance += tx.minerReward;
+                this.ensureAccount(tx.treasury).balance += tx.treasuryReward;
+                continue;
+            }
+
+            const sender = this.ensureAccount(tx.sender);
+            sender.balance -= tx.amount + tx.fee;
+            sender.nonce = tx.nonce + 1;
+
+            this.ensureAccount(tx.recipient).balance += tx.amount;
+        }
+    }
+
+    /**
+     * Rebuild state from a full chain
+     */
+    rebuild(chain) {
+        this.accounts.clear();
+        chain.forEach(block => this.applyBlock(block));
+    }
+
+    /**
+     * Check a transaction against confirmed state plus the sender's
+     * already-pending transactions
+     */
+    checkTransaction(tx, pendingTransactions = []) {
+        const account = this.getAccount(tx.sender);
+        const sender = normalizeAddress(tx.sender);
+        const pending = pendingTransactions.filter(p => normalizeAddress(p.sender) === sender);
+
+        const expectedNonce = account.nonce + pending.length;
+        if (tx.nonce < expectedNonce) {
+            return { valid: false, reason: `Nonce ${tx.nonce} already used (expected ${expectedNonce})` };
+        }
+        if (tx.nonce > expectedNonce) {
+            return { valid: false, reason: `Nonce ${tx.nonce} is too high (expected ${expectedNonce})` };
+        }
+
+        const pendingSpend = pending.reduce((sum, p) => sum + p.amount + p.fee, 0);
+        const available = account.balance - pendingSpend;
+        if (tx.amount + tx.fee > available) {
+            return { valid: false, reason: `Insufficient balance: ${available} available` };
+        }
+
+        return { valid: true };
+    }
+}
+
+module.exports = AccountState;
@@ -0,0 +1,229 @@
+/**
+ * Blixchain Transactions
+ *
+ * Signing message, id and stateless validation shared by the coordinator,
+ * the chain validator and wallets.
+ */
+
+const PROTOCOL = require('./protocol');
+const { sha256 } = require('./crypto');
+const { isValidAmount, parseAmount, applyRatio } = require('./amount');
+const { encodeTransactionBody, encodeTransaction } = require('./encoding');
+const {
+    importWallet,
+    isValidAddress,
+    sign,
+    verify,
+    decodeSignature,
+    publicKeyMatchesAddress
+} = require('./wallet');
+
+/**
+ * Create the message a sender signs: the canonical transfer body
+ */
+function createTransactionMessage(tx) {
+    return encodeTransactionBody(tx);
+}
+
+/**
+ * Calculate transaction id (hash of the signed fields)
+ */
+function calculateTransactionId(tx) {
+    return sha256(createTransactionMessage(tx));
+}
+
+/**
+ * Strip a submitted transaction down to its protocol fields, convert the
+ * signature to compact hex (as encoded) and assign its id. A malformed
+ * signature is kept as is for validation to reject.
+ */
+function normalizeTransaction(tx) {
+    const signature = decodeSignature(tx.signature);
+    const normalized = {
+        sender: tx.sender,
+        recipient: tx.recipient,
+        amount: tx.amount,
+        fee: tx.fee,
+        nonce: tx.nonce,
+        timestamp: tx.timestamp,
+        signature: signature ? signature.toString('hex') : tx.signature,
+        senderPublicKey: tx.senderPublicKey
+    };
+    normalized.id = calculateTransactionId(normalized);
+    return normalized;
+}
+
+/**
+ * Whether a transfer is exactly what normalizeTransaction produces: no
+ * extra fields and a compact hex signature. Blocks only carry this form,
+ * so relayers can't pad or rewrite JSON that no hash covers.
+ */
+function isNormalizedTransaction(tx) {
+    const normalized = normalizeTransaction(tx);
+    const keys = Object.keys(tx);
+
+    return keys.length === Object.keys(normalized).length &&
+        keys.every(key => tx[key] === normalized[key]);
+}
+
+/**
+ * Size of a signed transfer's canonical encoding in bytes, which fees and
+ * block space are measured on. Throws on a malformed key or signature.
+ */
+function getTransactionSize(tx) {
+    return encodeTransaction(normalizeTransaction(tx)).length;
+}
+
+/**
+ * Minimum fee in base units for a transaction of `size` bytes (whitepaper
+ * §7.4). MIN_FEE_PER_KB of the size, never below MIN_TRANSACTION_FEE,
+ * raised by CONGESTION_FEE_STEP per mempool congestion level (0 = empty).
+ */
+function calculateMinimumFee(size, congestionLevel = 0) {
+    const base = Math.max(PROTOCOL.MIN_TRANSACTION_FEE, Math.ceil(PROTOCOL.MIN_FEE_PER_KB * size / 1000));
+    return base + applyRatio(base, congestionLevel * PROTOCOL.CONGESTION_FEE_STEP);
+}
+
+/**
+ * Convert the decimal BLIX strings of a transaction submitted over the API
+ * to the base units its signature covers. A number is refused rather than
+ * guessed at: "1" means one BLIX, 1 could mean either.
+ *
+ * @returns {object} { valid: true, tx } or { valid: false, reason }
+ */
+function parseTransactionAmounts(tx) {
+    if (!tx || typeof tx !== 'object') {
+        return { valid: false, reason: 'Transaction must be an object' };
+    }
+
+    const parsed = { ...tx };
+    for (const field of ['amount', 'fee']) {
+        if (typeof tx[field] !== 'string') {
+            return { valid: false, reason: `${field} must be a decimal BLIX string such as "1.5"` };
+        }
+
+        try {
+            parsed[field] = parseAmount(tx[field]);
+        } catch (err) {
+            return { valid: false, reason: `${field}: ${err.message}` };
+        }
+    }
+
+    return { valid: true, tx: parsed };
+}
+
+/**
+ * Sign a transfer with the sender's private key
+ *
+ * @param {object} tx - { sender, recipient, amount, fee, nonce, timestamp }
+ * @returns {object} Normalized transaction with signature, public key and id
+ */
+function signTransaction(tx, privateKeyHex) {
+    const wallet = importWallet(privateKeyHex);
+    if (!publicKeyMatchesAddress(wallet.publicKey, tx.sender)) {
+        throw new Error('Private key does not belong to the sender address');
+    }
+
+    return normalizeTransaction({
+        ...tx,
+        signature: sign(createTransactionMessage(tx), privateKeyHex),
+        senderPublicKey: wallet.publicKey
+    });
+}
+
+/**
+ * Validate transaction structure and signature.
+ * Balance and nonce depend on chain state and are checked by AccountState.
+ *
+ * @param {object} tx - Transaction to check
+ * @param {object} options - { congestionLevel } enforces the dynamic minimum
+ *                           fee when admitting to the mempool. Blocks only need
+ *                           MIN_TRANSACTION_FEE, so their validity never
+ *                           depends on a node's mempool.
+ */
+function validateTransaction(tx, { congestionLevel = null } = {}) {
+    // Type validation
+    if (!tx || typeof tx !== 'object') {
+        return { valid: false, reason: 'Transaction must be an object' };
+    }
+
+    // Required fields check
+    if (!tx.sender || !tx.recipient || tx.amount === undefined) {
+        return { valid: false, reason: 'Missing required fields: sender, recipient, amount' };
+    }
+
+    // Address validation
+    if (!isValidAddress(tx.sender)) {
+        return { valid: false, reason: 'Invalid sender address format' };
+    }
+    if (!isValidAddress(tx.recipient)) {
+        return { valid: false, reason: 'Invalid recipient address format' };
+    }
+
+    // Amount validation
+    if (!isValidAmount(tx.amount) || tx.amount === 0) {
+        return { valid: false, reason: 'Amount must be a positive integer number of base units' };
+    }
+
+    // Fee validation
+    if (!isValidAmount(tx.fee) || tx.fee < PROTOCOL.MIN_TRANSACTION_FEE) {
+        return { valid: false, reason: `Fee must be an integer number of base units, at least ${PROTOCOL.MIN_TRANSACTION_FEE}` };
+    }
+
+    // Nonce validation (required for replay protection)
+    if (!Number.isSafeInteger(tx.nonce) || tx.nonce < 0) {
+        return { valid: false, reason: 'Nonce must be a non-negative integer' };
+    }
+
+    // Timestamp validation
+    if (!Number.isSafeInteger(tx.timestamp) || tx.timestamp <= 0) {
+        return { valid: false, reason: 'Timestamp must be a positive integer' };
+    }
+
+    // Signature validation
+    if (!tx.signature || (typeof tx.signature !== 'object' && typeof tx.signature !== 'string')) {
+        return { valid: false, reason: 'Transaction signature is required' };
+    }
+    if (!tx.senderPublicKey || typeof tx.senderPublicKey !== 'string') {
+        return { valid: false, reason: 'Sender public key is required' };
+    }
+
+    // Public key must belong to the sender address
+    if (!publicKeyMatchesAddress(tx.senderPublicKey, tx.sender)) {
+        return { valid: false, reason: 'Sender public key does not match sender address' };
+    }
+
+    // Verify cryptographic signature
+    if (!verify(createTransactionMessage(tx), tx.signature, tx.senderPublicKey)) {
+        return { valid: false, reason: 'Invalid transaction signature' };
+    }
+
+    // Size validation, on the canonical encoding (a verified key and
+    // signature always encode)
+    const size = getTransactionSize(tx);
+    if (size > PROTOCOL.MAX_TRANSACTION_SIZE) {
+        return { valid: false, reason: `Transaction exceeds ${PROTOCOL.MAX_TRANSACTION_SIZE} bytes` };
+    }
+
+    // Size and congestion based minimum fee
+    if (congestionLevel !== null) {
+        const minimumFee = calculateMinimumFee(size, congestionLevel);
+        if (tx.fee < minimumFee) {
+            return { valid: false, reason: `Fee must be at least ${minimumFee} base units at congestion level ${congestionLevel}` };
+        }
+    }
+
+    return { valid: true };
+}
+
+module.exports = {
+    createTransactionMessage,
+    calculateTransactionId,
+    normalizeTransaction,
+    isNormalizedTransaction,
+    getTransactionSize,
+    calculateMinimumFee,
+    parseTransactionAmounts,
+    signTransaction,
+    validateTransaction
+};
@@ -0,0 +1,295 @@
+/**
+ * Blixchain Block & Chain Validation
+ *
+ * Consensus rules shared by the coordinator (accepting new blocks) and
+ * tooling that replays a stored chain. Every check returns
+ * { valid: true } or { valid: false, reason }.
+ */
+
+const PROTOCOL = require('./protocol');
+const { hashMeetsTarget } = require('./crypto');
+const { calculateMerkleRoot, calculateBlockHash, encodeCoinbase, getBlockSize } = require('./encoding');
+const { isValidAddress, normalizeAddress } = require('./wallet');
+const { calculateCoinbaseAmounts, createCoinbase, isCoinbase } = require('./coinbase');
+const { calculateNextDifficulty } = require('./difficulty');
+const { calculateTransactionId, isNormalizedTransaction, validateTransaction } = require('./transaction');
+const AccountState = require('./state');
+
+/**
+ * Create the deterministic genesis block
+ */
+function createGenesisBlock() {
+    const genesis = {
+        index: 0,
+        timestamp: PROTOCOL.GENESIS_TIMESTAMP,
+        previousHash: '0'.repeat(64),
+        merkleRoot: '0'.repeat(64),
+        nonce: 0,
+        difficulty: 1,
+        miner: 'BLIX_GENESIS',
+        transactions: [],
+        hash: ''
+    };
+    genesis.hash = calculateBlockHash(genesis);
+    return genesis;
+}
+
+/**
+ * Cumulative proof-of-work of a list of blocks or headers.
+ * Expected hashes per block scale linearly with difficulty.
+ */
+function calculateChainWork(blocks) {
+    return blocks.reduce((work, block) => work + block.difficulty, 0);
+}
+
+/**
+ * Validate header fields, difficulty, proof-of-work and linkage to the parent
+ *
+ * @param {object} block - Candidate block or header
+ * @param {object} parent - Header the block extends
+ * @param {function} getAncestor - height -> header on the parent's branch,
+ *                                 for the difficulty retarget window
+ * @param {number} now - Local clock, which the timestamp may lead by at
+ *                       most MAX_FUTURE_BLOCK_TIME_MS
+ */
+function validateHeader(block, parent, getAncestor, now = Date.now()) {
+    if (!block || typeof block !== 'object') {
+        return { valid: false, reason: 'Block must be an object' };
+    }
+
+    if (block.index !== parent.index + 1) {
+        return { valid: false, reason: `Expected height ${parent.index + 1}, got ${block.index}` };
+    }
+
+    if (block.previousHash !== parent.hash) {
+        return { valid: false, reason: 'Previous hash does not match parent' };
+    }
+
+    if (!Number.isInteger(block.timestamp) || block.timestamp <= parent.timestamp) {
+        return { valid: false, reason: 'Timestamp must be after parent' };
+    }
+
+    if (block.timestamp - parent.timestamp < PROTOCOL.MIN_BLOCK_TIME_MS) {
+        return { valid: false, reason: `Block is less than ${PROTOCOL.MIN_BLOCK_TIME_MS}ms after parent` };
+    }
+
+    // Without this bound, the minimum interval could be met by mining ahead of real time
+    if (block.timestamp > now + PROTOCOL.MAX_FUTURE_BLOCK_TIME_MS) {
+        return { valid: false, reason: 'Timestamp is too far in the future' };
+    }
+
+    if (!Number.isInteger(block.difficulty) || block.difficulty < 1) {
+        return { valid: false, reason: 'Difficulty must be a positive integer' };
+    }
+
+    const expectedDifficulty = calculateNextDifficulty(parent, getAncestor);
+    if (block.difficulty !== expectedDifficulty) {
+        return { valid: false, reason: `Expected difficulty ${expectedDifficulty}, got ${block.difficulty}` };
+    }
+
+    if (!Number.isSafeInteger(block.nonce) || block.nonce < 0) {
+        return { valid: false, reason: 'Nonce must be a non-negative integer' };
+    }
+
+    if (!isValidAddress(block.miner)) {
+        return { valid: false, reason: 'Invalid miner address' };
+    }
+
+    if (calculateBlockHash(block) !== block.hash) {
+        return { valid: false, reason: 'Hash mismatch' };
+    }
+
+    if (!hashMeetsTarget(block.hash, block.difficulty)) {
+        return { valid: false, reason: 'Does not meet difficulty target' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Check that two objects have exactly the same keys
+ */
+function hasSameKeys(a, b) {
+    const keys = Object.keys(a).sort();
+    const expected = Object.keys(b).sort();
+    return keys.length === expected.length && keys.every((key, i) => key === expected[i]);
+}
+
+/**
+ * A coinbase matches the expected one if it has the same fields, the same
+ * canonical encoding and the id derived from it
+ */
+function coinbaseMatches(coinbase, expected) {
+    if (!hasSameKeys(coinbase, expected) || coinbase.id !== expected.id ||
+        !coinbase.payouts.every(payout => hasSameKeys(payout, { address: null, amount: null }))) {
+        return false;
+    }
+
+    try {
+        return encodeCoinbase(coinbase).equals(encodeCoinbase(expected));
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Validate a block's transactions against account state.
+ * State is not modified.
+ */
+function validateTransactions(block, state, options = {}) {
+    const transactions = block.transactions;
+
+    if (!Array.isArray(transactions) || transactions.length === 0) {
+        return { valid: false, reason: 'Block must contain a coinbase transaction' };
+    }
+
+    if (transactions.length > PROTOCOL.MAX_TRANSACTIONS_PER_BLOCK) {
+        return { valid: false, reason: `More than ${PROTOCOL.MAX_TRANSACTIONS_PER_BLOCK} transactions` };
+    }
+
+    let merkleRoot;
+    try {
+        merkleRoot = calculateMerkleRoot(transactions);
+    } catch (err) {
+        return { valid: false, reason: `Malformed transaction: ${err.message}` };
+    }
+
+    if (merkleRoot !== block.merkleRoot) {
+        return { valid: false, reason: 'Merkle root mismatch' };
+    }
+
+    // Every transaction encoded for the merkle root, so the size is defined
+    if (getBlockSize(block) > PROTOCOL.MAX_BLOCK_SIZE) {
+        return { valid: false, reason: `Block exceeds ${PROTOCOL.MAX_BLOCK_SIZE} bytes` };
+    }
+
+    const [coinbase, ...transfers] = transactions;
+    const seenIds = new Set();
+    const applied = [];
+
+    for (const tx of transfers) {
+        if (isCoinbase(tx)) {
+            return { valid: false, reason: 'Only the first transaction may be a coinbase' };
+        }
+
+        const result = validateTransaction(tx);
+        if (!result.valid) {
+            return { valid: false, reason: `Transaction ${tx.id}: ${result.reason}` };
+        }
+
+        if (tx.id !== calculateTransactionId(tx)) {
+            return { valid: false, reason: `Transaction ${tx.id}: id mismatch` };
+        }
+
+        if (!isNormalizedTransaction(tx)) {
+            return { valid: false, reason: `Transaction ${tx.id}: not in normalized form` };
+        }
+
+        if (seenIds.has(tx.id)) {
+            return { valid: false, reason: `Transaction ${tx.id}: duplicate in block` };
+        }
+        seenIds.add(tx.id);
+
+        // Earlier transfers in this block count like pending spends
+        const stateCheck = state.checkTransaction(tx, applied);
+        if (!stateCheck.valid) {
+            return { valid: false, reason: `Transaction ${tx.id}: ${stateCheck.reason}` };
+        }
+        applied.push(tx);
+    }
+
+    // Coinbase must pay exactly the scheduled reward and fee split
+    if (!isCoinbase(coinbase)) {
+        return { valid: false, reason: 'First transaction must be a coinbase' };
+    }
+
+    // Payout recipients are pool policy; only their form and total are consensus
+    const payouts = coinbase.payouts;
+    if (!Array.isArray(payouts) || payouts.length > PROTOCOL.PPLNS_WINDOW) {
+        return { valid: false, reason: 'Invalid coinbase payouts' };
+    }
+
+    const payoutAddresses = new Set();
+    let paidOut = 0;
+    for (const payout of payouts) {
+        if (!payout || !isValidAddress(payout.address) || payoutAddresses.has(normalizeAddress(payout.address)) ||
+            !Number.isSafeInteger(payout.amount) || payout.amount <= 0) {
+            return { valid: false, reason: 'Invalid coinbase payout' };
+        }
+        payoutAddresses.add(normalizeAddress(payout.address));
+        paidOut += payout.amount;
+    }
+
+    if (paidOut > calculateCoinbaseAmounts(block.index, transfers).toMiners) {
+        return { valid: false, reason: 'Coinbase payouts exceed the miner share' };
+    }
+
+    const expected = createCoinbase({
+        height: block.index,
+        transactions: transfers,
+        treasuryAddress: options.treasuryAddress,
+        payouts
+    });
+
+    if (!coinbaseMatches(coinbase, expected)) {
+        return { valid: false, reason: 'Invalid coinbase' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Validate a block on top of its parent.
+ *
+ * @param {object} block - Candidate block
+ * @param {object} parent - Current tip the block extends
+ * @param {AccountState} state - Account state as of the parent
+ * @param {object} options - { treasuryAddress, getAncestor, now } where getAncestor
+ *                           maps a height to the header on the parent's branch
+ */
+function validateBlock(block, parent, state, options = {}) {
+    const header = validateHeader(block, parent, options.getAncestor, options.now);
+    if (!header.valid) return header;
+
+    return validateTransactions(block, state, options);
+}
+
+/**
+ * Replay a chain from genesis, stopping at the first invalid block
+ *
+ * @returns {object} { valid, height } or { valid: false, height, hash, reason }
+ */
+function validateChain(chain, options = {}) {
+    if (!chain.length) {
+        return { valid: false, height: 0, reason: 'Chain is empty' };
+    }
+
+    const genesis = createGenesisBlock();
+    if (JSON.stringify(chain[0]) !== JSON.stringify(genesis)) {
+        return { valid: false, height: 0, hash: chain[0].hash, reason: 'Genesis block mismatch' };
+    }
+
+    const state = new AccountState();
+
+    for (let i = 1; i < chain.length; i++) {
+        const result = validateBlock(chain[i], chain[i - 1], state, {
+            ...options,
+            getAncestor: height => chain[height]
+        });
+        if (!result.valid) {
+            return { valid: false, height: i, hash: chain[i].hash, reason: result.reason };
+        }
+        state.applyBlock(chain[i]);
+    }
+
+    return { valid: true, height: chain.length - 1 };
+}
+
+module.exports = {
+    createGenesisBlock,
+    calculateChainWork,
+    validateHeader,
+    validateTransactions,
+    validateBlock,
+    validateChain
+};
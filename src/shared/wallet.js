@@ -6,10 +6,15 @@
  */
 
 const crypto = require('crypto');
+const secp256k1 = require('secp256k1');
+const hd = require('./hdwallet');
+const PROTOCOL = require('./protocol');
+const { hash160, base58CheckEncode, base58CheckDecode } = require('./crypto');
 
 // Constants
-const NETWORK_PREFIX = 0x42;  // 'B' for Blix
-const ADDRESS_PREFIX = 'BLX';
+const NETWORK_PREFIX = PROTOCOL.NETWORK_PREFIX;  // 'B' for Blix
+const ADDRESS_PREFIX = PROTOCOL.ADDRESS_PREFIX;
+const LEGACY_ADDRESS_PATTERN = /^BLX[0-9A-F]{32}$/i;
 
 /**
  * Generate a new wallet
@@ -36,105 +41,214 @@ function generateWallet() {
     };
 }
 
+/**
+ * Generate a wallet from a new mnemonic, so the key can be restored from
+ * the words alone
+ *
+ * @param {object} options - { strength: 128 | 256, path }
+ * @returns {object} Wallet with mnemonic, path, privateKey, publicKey, and address
+ */
+function generateMnemonicWallet({ strength = 128, path = hd.DEFAULT_PATH } = {}) {
+    const mnemonic = hd.generateMnemonic(strength);
+
+    return {
+        mnemonic,
+        ...importWallet(mnemonic, { path }),
+        imported: false,
+        createdAt: new Date().toISOString()
+    };
+}
+
 /**
  * Validate private key is within secp256k1 curve order
  */
 function isValidPrivateKey(privateKey) {
-    // secp256k1 curve order
-    const curveOrder = BigInt('0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141');
-    const keyValue = BigInt('0x' + privateKey.toString('hex'));
-
-    return keyValue > 0n && keyValue < curveOrder;
+    return privateKey.length === 32 && secp256k1.privateKeyVerify(privateKey);
 }
 
 /**
- * Derive public key from private key
- * Using simplified approach (in production, use secp256k1 library)
+ * Derive compressed public key (33 bytes) from private key
  */
 function derivePublicKey(privateKey) {
-    // Create ECDH with secp256k1 curve
-    const ecdh = crypto.createECDH('secp256k1');
-    ecdh.setPrivateKey(privateKey);
-
-    // Get compressed public key (33 bytes)
-    return ecdh.getPublicKey(null, 'compressed');
+    return Buffer.from(secp256k1.publicKeyCreate(privateKey, true));
 }
 
 /**
  * Create wallet address from public key
+ *
+ * 'BLX' + Base58Check(NETWORK_PREFIX || RIPEMD160(SHA256(publicKey)))
  */
 function createAddress(publicKey) {
-    // SHA-256 hash
-    const sha256Hash = crypto.createHash('sha256').update(publicKey).digest();
-
-    // RIPEMD-160 hash (simulated with SHA-256 truncated)
-    const ripemdHash = crypto.createHash('sha256').update(sha256Hash).digest().slice(0, 20);
+    const payload = Buffer.concat([Buffer.from([NETWORK_PREFIX]), hash160(publicKey)]);
+    return `${ADDRESS_PREFIX}${base58CheckEncode(payload)}`;
+}
 
-    // Add network prefix
-    const payload = Buffer.concat([Buffer.from([NETWORK_PREFIX]), ripemdHash]);
+/**
+ * Create the pre-Base58Check address for a public key: 'BLX' + 32 hex
+ * characters of a SHA-256 based hash, without a usable checksum. Only
+ * used to recognize funds held at addresses from older wallets.
+ */
+function createLegacyAddress(publicKey) {
+    const sha256Hash = crypto.createHash('sha256').update(publicKey).digest();
+    const truncatedHash = crypto.createHash('sha256').update(sha256Hash).digest().slice(0, 20);
 
-    // Calculate checksum (first 4 bytes of double SHA-256)
+    const payload = Buffer.concat([Buffer.from([NETWORK_PREFIX]), truncatedHash]);
     const checksum = crypto.createHash('sha256')
         .update(crypto.createHash('sha256').update(payload).digest())
         .digest()
         .slice(0, 4);
 
-    // Combine and encode
     const addressBytes = Buffer.concat([payload, checksum]);
-    const addressHash = addressBytes.toString('hex').slice(0, 32).toUpperCase();
+    return `${ADDRESS_PREFIX}${addressBytes.toString('hex').slice(0, 32).toUpperCase()}`;
+}
+
+/**
+ * Decode an address into its version byte and public key hash.
+ * Returns null for legacy or malformed addresses.
+ */
+function decodeAddress(address) {
+    if (typeof address !== 'string' || !address.startsWith(ADDRESS_PREFIX)) return null;
+
+    const payload = base58CheckDecode(address.slice(ADDRESS_PREFIX.length));
+    if (!payload || payload.length !== 21 || payload[0] !== NETWORK_PREFIX) return null;
+
+    return {
+        version: payload[0],
+        publicKeyHash: payload.subarray(1).toString('hex')
+    };
+}
+
+/**
+ * Check whether an address uses the legacy 'BLX' + hex format
+ */
+function isLegacyAddress(address) {
+    return typeof address === 'string' && LEGACY_ADDRESS_PATTERN.test(address);
+}
 
-    return `${ADDRESS_PREFIX}${addressHash}`;
+/**
+ * The form an address is keyed by. Legacy addresses are hex and accepted
+ * in any case, so they are upper-cased as createLegacyAddress writes them;
+ * Base58Check addresses are case-sensitive and returned as they are.
+ */
+function normalizeAddress(address) {
+    return isLegacyAddress(address) ? address.toUpperCase() : address;
 }
 
 /**
  * Sign a message with private key
+ *
+ * ECDSA over secp256k1 with RFC 6979 deterministic nonces. The library
+ * always produces low-S signatures, so the output is non-malleable.
  */
 function sign(message, privateKeyHex) {
     const privateKey = Buffer.from(privateKeyHex, 'hex');
     const messageHash = crypto.createHash('sha256').update(message).digest();
 
-    // Create signature using ECDSA
-    const sign = crypto.createSign('SHA256');
-    sign.update(messageHash);
-
-    // Use private key in DER format for signing
-    const ecdh = crypto.createECDH('secp256k1');
-    ecdh.setPrivateKey(privateKey);
-
-    // Create deterministic signature
-    const hmac = crypto.createHmac('sha256', privateKey);
-    hmac.update(messageHash);
-    const k = hmac.digest();
+    if (!isValidPrivateKey(privateKey)) {
+        throw new Error('Invalid private key');
+    }
 
-    // Simple signature (r, s) 
-    const r = crypto.createHash('sha256').update(Buffer.concat([k, messageHash])).digest();
-    const s = crypto.createHash('sha256').update(Buffer.concat([r, privateKey, messageHash])).digest();
+    const { signature, recid } = secp256k1.ecdsaSign(messageHash, privateKey);
 
     return {
-        r: r.toString('hex'),
-        s: s.toString('hex'),
-        messageHash: messageHash.toString('hex')
+        r: Buffer.from(signature.slice(0, 32)).toString('hex'),
+        s: Buffer.from(signature.slice(32, 64)).toString('hex'),
+        recoveryId: recid
     };
 }
 
+/**
+ * Decode a signature into 64-byte compact form
+ *
+ * Accepts { r, s } objects, compact hex (64 bytes) or DER hex.
+ * Returns null for anything malformed.
+ */
+function decodeSignature(signature) {
+    try {
+        if (signature && typeof signature === 'object') {
+            if (!/^[0-9a-f]{64}$/i.test(signature.r) || !/^[0-9a-f]{64}$/i.test(signature.s)) {
+                return null;
+            }
+            return Buffer.from(signature.r + signature.s, 'hex');
+        }
+
+        if (typeof signature === 'string' && /^[0-9a-f]+$/i.test(signature)) {
+            const bytes = Buffer.from(signature, 'hex');
+            if (bytes.length === 64) return bytes;
+            return Buffer.from(secp256k1.signatureImport(bytes));
+        }
+    } catch (err) {
+        // Fall through - invalid DER
+    }
+    return null;
+}
+
 /**
  * Verify a signature
+ *
+ * High-S signatures are rejected by secp256k1.ecdsaVerify.
  */
 function verify(message, signature, publicKeyHex) {
+    if (typeof publicKeyHex !== 'string' || !/^[0-9a-f]+$/i.test(publicKeyHex)) {
+        return false;
+    }
+
     const publicKey = Buffer.from(publicKeyHex, 'hex');
+    if (!secp256k1.publicKeyVerify(publicKey)) return false;
+
+    const compact = decodeSignature(signature);
+    if (!compact) return false;
+
     const messageHash = crypto.createHash('sha256').update(message).digest();
 
-    // Recalculate expected message hash
-    const expectedHash = messageHash.toString('hex');
+    try {
+        return secp256k1.ecdsaVerify(compact, messageHash, publicKey);
+    } catch (err) {
+        return false;
+    }
+}
 
-    // Simple verification - check if message hash matches
-    return signature.messageHash === expectedHash;
+/**
+ * Check that a public key hashes to the given address
+ */
+function publicKeyMatchesAddress(publicKeyHex, address) {
+    if (typeof publicKeyHex !== 'string' || !/^[0-9a-f]+$/i.test(publicKeyHex)) {
+        return false;
+    }
+
+    const publicKey = Buffer.from(publicKeyHex, 'hex');
+    if (!secp256k1.publicKeyVerify(publicKey)) return false;
+
+    // Addresses are always derived from the compressed key
+    const compressed = Buffer.from(secp256k1.publicKeyConvert(publicKey, true));
+    if (isLegacyAddress(address)) {
+        return PROTOCOL.ALLOW_LEGACY_ADDRESSES &&
+            createLegacyAddress(compressed) === normalizeAddress(address);
+    }
+    return createAddress(compressed) === address;
 }
 
 /**
- * Import wallet from private key
+ * Message a miner signs to prove it owns an address when joining a pool.
+ * Bound to the nonce the pool issued for this connection, so a captured
+ * signature can't be replayed on another connection.
  */
-function importWallet(privateKeyHex) {
+function createPoolJoinMessage(nonce, address) {
+    return `Blixchain pool join:${nonce}:${address}`;
+}
+
+/**
+ * Import wallet from a private key, or from a mnemonic and derivation path
+ *
+ * @param {string} secret - Private key hex or BIP39 mnemonic
+ * @param {object} options - { path, passphrase } when importing a mnemonic
+ */
+function importWallet(secret, { path = hd.DEFAULT_PATH, passphrase = '' } = {}) {
+    const isMnemonic = typeof secret === 'string' && /\s/.test(secret.trim());
+    const privateKeyHex = isMnemonic
+        ? hd.derivePrivateKey(secret, path, passphrase)
+        : secret;
+
     const privateKey = Buffer.from(privateKeyHex, 'hex');
 
     if (!isValidPrivateKey(privateKey)) {
@@ -144,50 +258,47 @@ function importWallet(privateKeyHex) {
     const publicKey = derivePublicKey(privateKey);
     const address = createAddress(publicKey);
 
-    return {
+    const wallet = {
         privateKey: privateKeyHex,
         publicKey: publicKey.toString('hex'),
         address: address,
         imported: true
     };
+
+    if (isMnemonic) wallet.path = path;
+    return wallet;
 }
 
 /**
- * Validate address format
+ * Validate address format and checksum
+ *
+ * Legacy 'BLX' + hex addresses have no checksum and are accepted only
+ * while PROTOCOL.ALLOW_LEGACY_ADDRESSES is set.
  */
 function isValidAddress(address) {
     if (!address || typeof address !== 'string') return false;
-    if (!address.startsWith(ADDRESS_PREFIX)) return false;
-    if (address.length !== ADDRESS_PREFIX.length + 32) return false;
-
-    // Check if rest is valid hex
-    const hexPart = address.slice(ADDRESS_PREFIX.length);
-    return /^[0-9A-F]+$/i.test(hexPart);
-}
-
-// CLI support
-if (require.main === module) {
-    const command = process.argv[2];
-
-    if (command === 'create') {
-        console.log('\n🔐 Generating new Blixchain wallet...\n');
-        const wallet = generateWallet();
-        console.log('✅ Wallet Generated Successfully!\n');
-        console.log(`   Address:     ${wallet.address}`);
-        console.log(`   Public Key:  ${wallet.publicKey.slice(0, 40)}...`);
-        console.log(`   Private Key: ${wallet.privateKey.slice(0, 16)}... (KEEP SECRET!)\n`);
-        console.log('⚠️  Store your private key securely. It cannot be recovered!\n');
-    } else {
-        console.log('Usage: node wallet.js create');
+
+    if (isLegacyAddress(address)) {
+        return PROTOCOL.ALLOW_LEGACY_ADDRESSES;
     }
+
+    return decodeAddress(address) !== null;
 }
 
 module.exports = {
     generateWallet,
+    generateMnemonicWallet,
     importWallet,
     sign,
     verify,
+    decodeSignature,
+    publicKeyMatchesAddress,
+    createPoolJoinMessage,
     isValidAddress,
+    isLegacyAddress,
+    normalizeAddress,
+    decodeAddress,
     derivePublicKey,
-    createAddress
+    createAddress,
+    createLegacyAddress
 };
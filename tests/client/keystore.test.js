@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const Keystore = require('../../src/client/keystore');
+const { encryptPrivateKey, decryptPrivateKey, promptPassword } = Keystore;
+const { generateWallet, createLegacyAddress } = require('../../src/shared/wallet');
+
+const dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'blix-keystore-'));
+const alice = generateWallet();
+
+afterAll(() => {
+    fs.rmSync(dataRoot, { recursive: true, force: true });
+});
+
+describe('private key encryption', () => {
+    test('round-trips through scrypt and AES-256-GCM', async () => {
+        const encrypted = await encryptPrivateKey(alice.privateKey, 'correct horse');
+
+        expect(encrypted).toMatchObject({ kdf: 'scrypt', cipher: 'aes-256-gcm' });
+        expect(JSON.stringify(encrypted)).not.toContain(alice.privateKey);
+        expect(await decryptPrivateKey(encrypted, 'correct horse')).toBe(alice.privateKey);
+    });
+
+    test('a wrong password or a tampered entry fails to decrypt', async () => {
+        const encrypted = await encryptPrivateKey(alice.privateKey, 'correct horse');
+        const flip = hex => (hex[0] === '0' ? '1' : '0') + hex.slice(1);
+
+        await expect(decryptPrivateKey(encrypted, 'battery staple')).rejects.toThrow('Wrong password');
+        await expect(decryptPrivateKey({ ...encrypted, ciphertext: flip(encrypted.ciphertext) }, 'correct horse'))
+            .rejects.toThrow('Wrong password');
+        await expect(decryptPrivateKey({ ...encrypted, tag: flip(encrypted.tag) }, 'correct horse'))
+            .rejects.toThrow('Wrong password');
+        await expect(decryptPrivateKey({ ...encrypted, cipher: 'aes-128-cbc' }, 'correct horse'))
+            .rejects.toThrow('Unsupported keystore encryption');
+    });
+});
+
+describe('Keystore', () => {
+    const filePath = path.join(dataRoot, 'wallets', 'keystore.json');
+
+    test('stores a wallet that unlocks after a reload', async () => {
+        const stored = await new Keystore(filePath).load().add(alice.privateKey, 'pw', { name: 'savings' });
+        expect(stored).toMatchObject({ name: 'savings', address: alice.address, legacyAddress: null });
+
+        expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+        expect(fs.readFileSync(filePath, 'utf8')).not.toContain(alice.privateKey);
+
+        const keystore = new Keystore(filePath).load();
+        for (const key of ['savings', alice.address]) {
+            expect(await keystore.unlock(key, 'pw')).toMatchObject({
+                name: 'savings',
+                address: alice.address,
+                privateKey: alice.privateKey
+            });
+        }
+    });
+
+    test('refuses a wrong password, a duplicate key and an unknown wallet', async () => {
+        const keystore = new Keystore(filePath).load();
+
+        await expect(keystore.unlock('savings', 'not pw')).rejects.toThrow('Wrong password');
+        await expect(keystore.add(alice.privateKey, 'pw')).rejects.toThrow('already in the keystore');
+        await expect(keystore.add(generateWallet().privateKey, 'pw', { name: 'savings' })).rejects.toThrow('not available');
+        await expect(keystore.unlock('checking', 'pw')).rejects.toThrow('No wallet "checking"');
+    });
+
+    test('moves a legacy address entry to its Base58Check address', async () => {
+        const legacyPath = path.join(dataRoot, 'legacy.json');
+        const bob = generateWallet();
+        const legacyAddress = createLegacyAddress(Buffer.from(bob.publicKey, 'hex'));
+
+        fs.writeFileSync(legacyPath, JSON.stringify({
+            version: 1,
+            wallets: [{
+                name: 'old',
+                address: legacyAddress,
+                publicKey: bob.publicKey,
+                createdAt: 0,
+                crypto: await encryptPrivateKey(bob.privateKey, 'pw')
+            }]
+        }));
+
+        const keystore = new Keystore(legacyPath).load();
+        expect(keystore.list()[0]).toMatchObject({ address: bob.address, legacyAddress });
+        expect((await keystore.unlock(legacyAddress, 'pw')).address).toBe(bob.address);
+        expect(JSON.parse(fs.readFileSync(legacyPath, 'utf8')).wallets[0].address).toBe(bob.address);
+    });
+});
+
+describe('promptPassword', () => {
+    const saved = process.env.BLIX_WALLET_PASSWORD;
+
+    afterEach(() => {
+        if (saved === undefined) delete process.env.BLIX_WALLET_PASSWORD;
+        else process.env.BLIX_WALLET_PASSWORD = saved;
+    });
+
+    test('shows the prompt but not what is typed on a terminal', async () => {
+        delete process.env.BLIX_WALLET_PASSWORD;
+        const input = new PassThrough();
+        const output = new PassThrough();
+        input.isTTY = true;
+
+        let shown = '';
+        output.on('data', chunk => { shown += chunk; });
+
+        const answer = promptPassword('Unlock: ', { input, output });
+        input.write('hunter2\r');
+
+        expect(await answer).toBe('hunter2');
+        expect(shown).toContain('Unlock: ');
+        expect(shown).not.toContain('hunter2');
+    });
+
+    test('uses BLIX_WALLET_PASSWORD without prompting', async () => {
+        process.env.BLIX_WALLET_PASSWORD = 'from env';
+        const output = new PassThrough();
+
+        expect(await promptPassword('Unlock: ', { input: new PassThrough(), output })).toBe('from env');
+        expect(output.read()).toBeNull();
+    });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BlixnodeServer = require('../../src/server/index');
+const LightClient = require('../../src/client/light-client');
+const { generateWallet } = require('../../src/shared/wallet');
+const { signTransaction } = require('../../src/shared/transaction');
+const { sha256 } = require('../../src/shared/crypto');
+const { mineBlock, extendChain } = require('../helpers/chain');
+
+const PORT = 39400;
+const NODE_URL = `http://localhost:${PORT}`;
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blix-spv-'));
+
+const alice = generateWallet();
+const bob = generateWallet();
+
+const transfers = [0, 1].map(nonce => signTransaction({
+    sender: alice.address,
+    recipient: bob.address,
+    amount: 100000000,
+    fee: 100000,
+    nonce,
+    timestamp: 1735912800000
+}, alice.privateKey));
+
+let node;
+
+async function get(route) {
+    const response = await fetch(`${NODE_URL}${route}`);
+    return { status: response.status, body: await response.json() };
+}
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    node = new BlixnodeServer(PORT, { dataDir });
+    await node.start();
+
+    // Block 1 funds alice; block 2 holds a coinbase and two transfers (odd leaf count)
+    const [funding] = extendChain(node.chain, 1, { miner: alice.address });
+    expect(await node.acceptBlock(funding)).toEqual({ valid: true });
+    expect(await node.acceptBlock(mineBlock(node.chain, { miner: bob.address, transactions: transfers }))).toEqual({ valid: true });
+});
+
+afterAll(async () => {
+    await node.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    console.log.mockRestore();
+});
+
+describe('GET /transaction/:id/proof', () => {
+    test('serves the transaction, its position and the sibling path', async () => {
+        const { status, body } = await get(`/transaction/${transfers[1].id}/proof`);
+
+        expect(status).toBe(200);
+        expect(body.data).toMatchObject({
+            transactionId: transfers[1].id,
+            transaction: transfers[1],
+            blockHeight: 2,
+            blockHash: node.chain[2].hash,
+            merkleRoot: node.chain[2].merkleRoot,
+            index: 2
+        });
+        expect(body.data.proof).toHaveLength(2);
+    });
+
+    test('rejects a malformed id and answers 404 outside the chain', async () => {
+        expect((await get('/transaction/XYZ/proof')).status).toBe(400);
+        expect((await get(`/transaction/${sha256('unknown')}/proof`)).body).toEqual({
+            success: false,
+            message: 'Transaction is not in a block'
+        });
+    });
+});
+
+describe('LightClient', () => {
+    const client = new LightClient({ nodeUrl: NODE_URL });
+
+    test('syncs headers and verifies transfers and coinbases', async () => {
+        expect(await client.sync()).toBe(2);
+
+        for (const tx of [...transfers, node.chain[2].transactions[0]]) {
+            expect(await client.verifyTransaction(tx.id)).toMatchObject({ verified: true, blockHeight: 2, confirmations: 1 });
+        }
+    });
+
+    test('rejects a proof or transaction the node altered', async () => {
+        const tamper = change => {
+            const tampered = new LightClient({ nodeUrl: NODE_URL });
+            tampered.headers = client.headers.slice();
+            tampered.checkedGenesis = true;
+            tampered.request = async route => {
+                const data = await client.request(route);
+                return route.endsWith('/proof') ? change(data) : data;
+            };
+            return tampered.verifyTransaction(transfers[0].id);
+        };
+
+        expect(await tamper(data => ({ ...data, proof: data.proof.map(step => ({ ...step, hash: sha256(step.hash) })) })))
+            .toEqual({ verified: false, reason: 'Merkle proof does not match the block header' });
+        expect(await tamper(data => ({ ...data, proof: data.proof.slice(1) })))
+            .toEqual({ verified: false, reason: 'Merkle proof does not match the block header' });
+        expect(await tamper(data => ({ ...data, transaction: transfers[1] })))
+            .toEqual({ verified: false, reason: 'Transaction does not match its id' });
+        expect(await tamper(data => ({ ...data, transaction: { ...data.transaction, amount: 1 } })))
+            .toEqual({ verified: false, reason: 'Invalid transaction signature' });
+        expect(await tamper(data => ({ ...data, blockHash: sha256('elsewhere') })))
+            .toEqual({ verified: false, reason: 'Block is not in the validated header chain' });
+    });
+
+    test('follows the node to a branch with more work', async () => {
+        const branch = extendChain(node.chain.slice(0, 2), 3, { miner: generateWallet().address });
+        expect(await node.switchToFork(1, branch)).toEqual({ valid: true });
+
+        expect(await client.sync()).toBe(3);
+        expect(client.headers.map(header => header.hash)).toEqual(node.chain.map(block => block.hash));
+
+        // The transfers went back to the mempool with their orphaned block
+        expect(await client.verifyTransaction(transfers[0].id)).toEqual({
+            verified: false,
+            reason: 'Transaction is not in a block'
+        });
+    });
+});
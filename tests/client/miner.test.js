@@ -0,0 +1,170 @@
+const WebSocket = require('ws');
+const PROTOCOL = require('../../src/shared/protocol');
+const { generateWallet } = require('../../src/shared/wallet');
+
+// Workers are stand-ins that record the jobs posted to them
+jest.mock('worker_threads', () => {
+    const EventEmitter = require('events');
+    class Worker extends EventEmitter {
+        constructor(script, options) {
+            super();
+            this.control = new Int32Array(options.workerData.control);
+            this.jobs = [];
+        }
+
+        postMessage(message) {
+            this.jobs.push(message);
+        }
+
+        terminate() {}
+    }
+    return { Worker };
+});
+
+const MiningClient = require('../../src/client/miner');
+
+const alice = generateWallet();
+const bob = generateWallet();
+
+let client;
+let sent;
+
+function challenge(jobId, cleanJobs) {
+    client.handleMessage({
+        type: 'challenge:new',
+        data: {
+            jobId,
+            cleanJobs,
+            blockTemplate: { index: 5, previousHash: 'ab'.repeat(32), transactions: [] },
+            difficulty: 5000,
+            shareDifficulty: 256
+        }
+    });
+    return client.generation;
+}
+
+// Report a result from the first worker and return what the client sent
+function result(type, generation, nonce = 7) {
+    client.workers[0].emit('message', { type, generation, nonce, hash: 'cd'.repeat(32) });
+    return sent.splice(0);
+}
+
+const submitted = (type, jobId, nonce = 7) => [{
+    type,
+    walletAddress: alice.address,
+    jobId,
+    nonce,
+    hash: 'cd'.repeat(32)
+}];
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    sent = [];
+    client = new MiningClient({ wallet: alice, threads: 2, onBlockFound: jest.fn() });
+    client.ws = { readyState: WebSocket.OPEN, send: data => sent.push(JSON.parse(data)), close() {} };
+});
+
+afterEach(() => {
+    client.disconnect();
+    console.log.mockRestore();
+});
+
+describe('challenge:new', () => {
+    test('hands every worker the job with our address and its own nonces', () => {
+        const generation = challenge('job1', true);
+
+        expect(client.workers).toHaveLength(2);
+        expect(client.mining).toBe(true);
+        client.workers.forEach((worker, i) => {
+            expect(worker.jobs).toEqual([{
+                type: 'job',
+                generation,
+                block: { index: 5, previousHash: 'ab'.repeat(32), transactions: [], miner: alice.address },
+                difficulty: 5000,
+                shareDifficulty: 256,
+                startNonce: i,
+                stride: 2
+            }]);
+            expect(Atomics.load(worker.control, 0)).toBe(generation);
+        });
+    });
+
+    test('a refreshed template restarts the same workers but keeps earlier work', () => {
+        const first = challenge('job1', true);
+        const [worker] = client.workers;
+        const second = challenge('job2', false);
+
+        expect(second).toBeGreaterThan(first);
+        expect(client.workers[0]).toBe(worker);
+        expect(worker.jobs.map(job => job.generation)).toEqual([first, second]);
+        expect(Atomics.load(worker.control, 0)).toBe(second);
+
+        expect(result('share', first)).toEqual(submitted('share:submit', 'job1'));
+        expect(result('share', second)).toEqual(submitted('share:submit', 'job2'));
+    });
+
+    test('work is dropped for jobs beyond the recent ones or from an earlier tip', () => {
+        const first = challenge('job0', true);
+        for (let i = 1; i <= PROTOCOL.MAX_RECENT_JOBS; i++) challenge(`job${i}`, false);
+
+        expect(result('share', first)).toEqual([]);
+        expect(result('share', first + 1)).toEqual(submitted('share:submit', 'job1'));
+
+        const last = client.generation;
+        challenge('next', true);
+        expect(result('share', last)).toEqual([]);
+        expect(result('found', last)).toEqual([]);
+    });
+});
+
+describe('solutions', () => {
+    test('submits one solution per job and halts the workers on the current one', () => {
+        const generation = challenge('job1', true);
+
+        expect(result('found', generation)).toEqual(submitted('solution:submit', 'job1'));
+        expect(client.mining).toBe(false);
+        expect(Atomics.load(client.control, 0)).toBe(generation + 1);
+
+        expect(result('found', generation, 8)).toEqual([]);
+    });
+
+    test('a solution for a refreshed job leaves the current job running', () => {
+        const first = challenge('job1', true);
+        const second = challenge('job2', false);
+
+        expect(result('found', first)).toEqual(submitted('solution:submit', 'job1'));
+        expect(client.mining).toBe(true);
+        expect(client.generation).toBe(second);
+        expect(result('share', second)).toEqual(submitted('share:submit', 'job2'));
+    });
+});
+
+describe('block:mined', () => {
+    const mined = miner => client.handleMessage({
+        type: 'block:mined',
+        data: { block: { index: 5 }, amounts: [{ minerReward: '50.00000000' }], miner }
+    });
+
+    test('stops mining until the next challenge', () => {
+        const generation = challenge('job1', true);
+        mined(bob.address);
+
+        expect(client.mining).toBe(false);
+        expect(client.currentChallenge).toBeNull();
+        expect(Atomics.load(client.control, 0)).toBeGreaterThan(generation);
+        expect(result('share', generation)).toEqual([]);
+        expect(client.onBlockFound).not.toHaveBeenCalled();
+
+        const next = challenge('job2', true);
+        expect(client.workers[0].jobs.map(job => job.generation)).toEqual([generation, next]);
+        expect(client.mining).toBe(true);
+    });
+
+    test('counts blocks found by this wallet', () => {
+        challenge('job1', true);
+        mined(alice.address);
+
+        expect(client.getStats()).toMatchObject({ blocksFound: 1, mining: false });
+        expect(client.onBlockFound).toHaveBeenCalledWith(expect.objectContaining({ miner: alice.address }));
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Builds valid blocks for tests. Timestamps advance by MIN_BLOCK_TIME_MS
+ * from genesis, so chains stay in the past and pass the future-time check.
+ */
+
+const PROTOCOL = require('../../src/shared/protocol');
+const { hashMeetsTarget } = require('../../src/shared/crypto');
+const { calculateMerkleRoot, calculateBlockHash } = require('../../src/shared/encoding');
+const { createCoinbase } = require('../../src/shared/coinbase');
+const { calculateNextDifficulty } = require('../../src/shared/difficulty');
+
+/**
+ * Mine a block on `chain` (an array from genesis to the parent)
+ *
+ * @param {object} options - { miner, transactions, payouts, treasuryAddress, timestamp }
+ */
+function mineBlock(chain, {
+    miner,
+    transactions = [],
+    payouts = [],
+    treasuryAddress = PROTOCOL.TREASURY_ADDRESS,
+    timestamp
+} = {}) {
+    const parent = chain[chain.length - 1];
+    const height = parent.index + 1;
+    const coinbase = createCoinbase({ height, transactions, treasuryAddress, payouts });
+
+    const block = {
+        index: height,
+        timestamp: timestamp === undefined ? parent.timestamp + PROTOCOL.MIN_BLOCK_TIME_MS : timestamp,
+        previousHash: parent.hash,
+        merkleRoot: calculateMerkleRoot([coinbase, ...transactions]),
+        nonce: 0,
+        difficulty: calculateNextDifficulty(parent, h => chain[h]),
+        miner,
+        transactions: [coinbase, ...transactions],
+        hash: ''
+    };
+
+    return solveBlock(block);
+}
+
+/**
+ * Recompute the merkle root and search nonces until the block meets its
+ * difficulty, e.g. after a test has altered its transactions
+ */
+function solveBlock(block) {
+    block.merkleRoot = calculateMerkleRoot(block.transactions);
+    block.nonce = 0;
+
+    while (!hashMeetsTarget(calculateBlockHash(block), block.difficulty)) {
+        block.nonce++;
+    }
+    block.hash = calculateBlockHash(block);
+    return block;
+}
+
+/**
+ * Extend `chain` by `count` empty blocks, returning the new blocks
+ */
+function extendChain(chain, count, options) {
+    const blocks = [];
+    for (let i = 0; i < count; i++) {
+        const block = mineBlock(chain.concat(blocks), options);
+        blocks.push(block);
+    }
+    return blocks;
+}
+
+module.exports = {
+    mineBlock,
+    solveBlock,
+    extendChain
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AddressIndex = require('../../src/server/address-index');
+const BlixnodeServer = require('../../src/server/index');
+const { generateWallet } = require('../../src/shared/wallet');
+const { signTransaction } = require('../../src/shared/transaction');
+const { createGenesisBlock } = require('../../src/shared/validator');
+const { mineBlock, extendChain } = require('../helpers/chain');
+
+const alice = generateWallet();
+const bob = generateWallet();
+
+function transfer(nonce, recipient = bob) {
+    return signTransaction({
+        sender: alice.address,
+        recipient: recipient.address,
+        amount: 100000000,
+        fee: 100000,
+        nonce,
+        timestamp: 1735912800000
+    }, alice.privateKey);
+}
+
+// Alice mines blocks 1-3, then bob mines 4 and 5 with her transfers
+const chain = [createGenesisBlock()];
+chain.push(...extendChain(chain, 3, { miner: alice.address }));
+chain.push(mineBlock(chain, { miner: bob.address, transactions: [transfer(0)] }));
+chain.push(mineBlock(chain, { miner: bob.address, transactions: [transfer(1), transfer(2, alice), transfer(3)] }));
+
+const refs = list => list.map(AddressIndex.formatCursor);
+
+describe('AddressIndex', () => {
+    const index = new AddressIndex();
+    index.rebuild(chain);
+
+    test('files each transaction under its direction', () => {
+        expect(index.count(alice.address)).toBe(7);
+        expect(index.count(alice.address, 'mining')).toBe(3);
+        expect(index.count(alice.address, 'out')).toBe(4);
+        expect(index.count(alice.address, 'in')).toBe(0);
+
+        expect(index.count(bob.address, 'in')).toBe(3);
+        expect(index.count(bob.address, 'mining')).toBe(2);
+        expect(index.count(generateWallet().address)).toBe(0);
+    });
+
+    test('a self-transfer is listed once, as sent', () => {
+        const { refs: out } = index.getPage(alice.address, { direction: 'out', limit: 10 });
+        expect(refs(out)).toEqual(['5:3', '5:2', '5:1', '4:1']);
+    });
+
+    test('pages are newest first and cursors walk every entry once', () => {
+        const seen = [];
+        let before = null;
+        let pages = 0;
+
+        do {
+            const page = index.getPage(alice.address, { before, limit: 3 });
+            seen.push(...refs(page.refs));
+            before = page.hasMore ? page.refs[page.refs.length - 1] : null;
+            pages++;
+        } while (before);
+
+        expect(pages).toBe(3);
+        expect(seen).toEqual(['5:3', '5:2', '5:1', '4:1', '3:0', '2:0', '1:0']);
+    });
+
+    test('a cursor inside a block continues below its position', () => {
+        const page = index.getPage(alice.address, { before: AddressIndex.parseCursor('5:2'), limit: 2 });
+        expect(refs(page.refs)).toEqual(['5:1', '4:1']);
+        expect(page.hasMore).toBe(true);
+    });
+
+    test('a cursor past the oldest entry gives an empty last page', () => {
+        const page = index.getPage(alice.address, { before: AddressIndex.parseCursor('1:0'), limit: 5 });
+        expect(page).toEqual({ refs: [], hasMore: false });
+    });
+
+    test('parses only height:position cursors', () => {
+        expect(AddressIndex.parseCursor('12:3')).toEqual({ height: 12, position: 3 });
+        for (const cursor of ['', '12', '12:', ':3', '-1:0', '1:2:3', 'a:b', '99999999999999999:0']) {
+            expect(AddressIndex.parseCursor(cursor)).toBeNull();
+        }
+    });
+
+    test('adding blocks one by one matches a rebuild', () => {
+        const incremental = new AddressIndex();
+        chain.forEach(block => incremental.add(block));
+        expect(incremental.addresses).toEqual(index.addresses);
+    });
+});
+
+describe('address history on a node', () => {
+    const dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'blix-index-'));
+    let node;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        node = new BlixnodeServer(39200, { dataDir: dataRoot });
+        await node.init();
+        for (const block of chain.slice(1)) {
+            expect(await node.acceptBlock(block)).toEqual({ valid: true });
+        }
+    });
+
+    afterAll(async () => {
+        await node.storage.close();
+        fs.rmSync(dataRoot, { recursive: true, force: true });
+        console.log.mockRestore();
+    });
+
+    test('pages through confirmed entries with nextCursor', () => {
+        const first = node.getAddressTransactions(bob.address, { limit: 3 });
+        expect(first.total).toBe(5);
+        expect(first.transactions.map(entry => [entry.blockHeight, entry.type])).toEqual([
+            [5, 'transfer'], [5, 'transfer'], [5, 'coinbase']
+        ]);
+        expect(first.nextCursor).toBe('5:0');
+
+        const second = node.getAddressTransactions(bob.address, { limit: 3, cursor: AddressIndex.parseCursor(first.nextCursor) });
+        expect(second.transactions.map(entry => [entry.blockHeight, entry.type])).toEqual([
+            [4, 'transfer'], [4, 'coinbase']
+        ]);
+        expect(second.nextCursor).toBeNull();
+    });
+
+    test('a reorganization re-files every address on the new branch', async () => {
+        const carol = generateWallet();
+        const branch = extendChain(chain.slice(0, 3), 4, { miner: carol.address });
+
+        expect(await node.switchToFork(2, branch)).toEqual({ valid: true });
+
+        expect(node.addressIndex.count(alice.address)).toBe(2);
+        expect(node.addressIndex.count(bob.address)).toBe(0);
+        expect(node.addressIndex.count(carol.address, 'mining')).toBe(4);
+
+        const history = node.getAddressTransactions(alice.address);
+        expect(history.transactions.map(entry => entry.blockHeight)).toEqual([2, 1]);
+        expect(history.pending.map(entry => entry.id).sort()).toEqual(
+            [transfer(0), transfer(1), transfer(2, alice), transfer(3)].map(tx => tx.id).sort()
+        );
+    });
+
+    test('pending transfers are bounded by the page limit', () => {
+        const all = node.getAddressTransactions(alice.address);
+        const page = node.getAddressTransactions(alice.address, { limit: 3 });
+
+        expect(page.pendingTotal).toBe(4);
+        expect(page.pending).toEqual(all.pending.slice(0, 3));
+        expect(page.transactions).toHaveLength(2);
+
+        const older = node.getAddressTransactions(alice.address, { limit: 1, cursor: AddressIndex.parseCursor('2:0') });
+        expect(older.pending).toEqual([]);
+    });
+});
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BlixnodeServer = require('../../src/server/index');
+const { generateWallet } = require('../../src/shared/wallet');
+const { signTransaction } = require('../../src/shared/transaction');
+const { formatAmount } = require('../../src/shared/amount');
+const { mineBlock, extendChain } = require('../helpers/chain');
+
+const PORT = 39600;
+const API = `http://localhost:${PORT}`;
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blix-amounts-'));
+
+const alice = generateWallet();
+const bob = generateWallet();
+
+const transfer = signTransaction({
+    sender: alice.address,
+    recipient: bob.address,
+    amount: 150000000,
+    fee: 100000,
+    nonce: 0,
+    timestamp: 1735912800000
+}, alice.privateKey);
+
+let node;
+
+async function request(route, body) {
+    const response = await fetch(`${API}${route}`, body === undefined ? {} : {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    node = new BlixnodeServer(PORT, { dataDir });
+    await node.start();
+
+    const [funding] = extendChain(node.chain, 1, { miner: alice.address });
+    expect(await node.acceptBlock(funding)).toEqual({ valid: true });
+});
+
+afterAll(async () => {
+    await node.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    console.log.mockRestore();
+});
+
+describe('POST /transaction/submit', () => {
+    test('refuses numeric amounts as ambiguous', async () => {
+        expect(await request('/transaction/submit', transfer)).toEqual({
+            status: 400,
+            body: { success: false, message: 'amount must be a decimal BLIX string such as "1.5"' }
+        });
+        expect((await request('/transaction/submit', { ...transfer, amount: '1.5' })).body.message)
+            .toBe('fee must be a decimal BLIX string such as "1.5"');
+        expect((await request('/transaction/submit', { ...transfer, amount: '1.500000001', fee: '0.001' })).body.message)
+            .toMatch(/^amount: .*more than 8 decimals/);
+        expect(node.mempool.size).toBe(0);
+    });
+
+    test('takes decimal strings that parse to the signed base units', async () => {
+        expect((await request('/transaction/submit', { ...transfer, amount: '1.6', fee: '0.001' })).body.message)
+            .toBe('Invalid transaction signature');
+
+        const { status, body } = await request('/transaction/submit', { ...transfer, amount: '1.5', fee: '0.001' });
+        expect(status).toBe(200);
+        expect(body.transactionId).toBe(transfer.id);
+    });
+});
+
+describe('responses', () => {
+    const transferAmounts = { amount: '1.50000000', fee: '0.00100000' };
+
+    test('pending transactions keep base units with amounts alongside', async () => {
+        const { body } = await request('/transaction/pending');
+        expect(body.data).toEqual([{ transaction: transfer, amounts: transferAmounts }]);
+
+        expect((await request(`/transaction/${transfer.id}`)).body.data).toMatchObject({
+            status: 'pending',
+            transaction: transfer,
+            amounts: transferAmounts
+        });
+    });
+
+    test('blocks come with the amounts of each transaction in order', async () => {
+        const block = mineBlock(node.chain, { miner: bob.address, transactions: [transfer] });
+        expect(await node.acceptBlock(block)).toEqual({ valid: true });
+
+        const [coinbase] = block.transactions;
+        const expected = {
+            block,
+            amounts: [{
+                reward: formatAmount(coinbase.reward),
+                fees: '0.00100000',
+                payouts: [],
+                minerReward: formatAmount(coinbase.minerReward),
+                treasuryReward: formatAmount(coinbase.treasuryReward),
+                burned: formatAmount(coinbase.burned)
+            }, transferAmounts]
+        };
+
+        for (const route of ['/block/2', '/block/latest', `/block/hash/${block.hash}`]) {
+            expect((await request(route)).body.data).toEqual(expected);
+        }
+        expect((await request('/transaction/pending')).body.data).toEqual([]);
+    });
+});
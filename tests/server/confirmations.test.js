@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const PROTOCOL = require('../../src/shared/protocol');
+const BlixnodeServer = require('../../src/server/index');
+const { generateWallet } = require('../../src/shared/wallet');
+const { signTransaction } = require('../../src/shared/transaction');
+const { mineBlock, extendChain } = require('../helpers/chain');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blix-confirm-'));
+
+const alice = generateWallet();
+const bob = generateWallet();
+
+const transfers = [0, 1, 2].map(nonce => signTransaction({
+    sender: alice.address,
+    recipient: bob.address,
+    amount: 100000000,
+    fee: 100000,
+    nonce,
+    timestamp: 1735912800000
+}, alice.privateKey));
+
+let node;
+
+// A connection stand-in that keeps what the node sends it
+function socket() {
+    const sent = [];
+    return { sent, readyState: WebSocket.OPEN, send: data => sent.push(JSON.parse(data)) };
+}
+
+function subscribe(ws, transactionIds) {
+    node.handleTransactionSubscribe(ws, { type: 'transaction:subscribe', transactionIds });
+    return ws.sent.splice(0);
+}
+
+async function mine(transactions = [], miner = bob.address) {
+    expect(await node.acceptBlock(mineBlock(node.chain, { miner, transactions }))).toEqual({ valid: true });
+}
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    node = new BlixnodeServer(39800, { dataDir });
+    await node.init();
+
+    const [funding] = extendChain(node.chain, 1, { miner: alice.address });
+    expect(await node.acceptBlock(funding)).toEqual({ valid: true });
+});
+
+afterAll(async () => {
+    await node.storage.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    console.log.mockRestore();
+});
+
+describe('getTransactionStatus', () => {
+    test('finds nothing for an unknown id', () => {
+        expect(node.getTransactionStatus('0'.repeat(64))).toBeNull();
+    });
+
+    test('follows a transaction from the mempool to finality', async () => {
+        expect((await node.submitTransaction(transfers[0])).success).toBe(true);
+        expect(node.getTransactionStatus(transfers[0].id)).toEqual({
+            status: 'pending',
+            transaction: transfers[0],
+            amounts: { amount: '1.00000000', fee: '0.00100000' }
+        });
+
+        await mine([transfers[0]]);
+        expect(node.getTransactionStatus(transfers[0].id)).toMatchObject({
+            status: 'confirmed',
+            transaction: transfers[0],
+            blockHeight: 2,
+            blockHash: node.chain[2].hash,
+            confirmations: 1,
+            confirmationsRequired: PROTOCOL.CONFIRMATIONS_REQUIRED,
+            final: false
+        });
+
+        for (let i = 1; i < PROTOCOL.CONFIRMATIONS_REQUIRED; i++) await mine();
+        expect(node.getTransactionStatus(transfers[0].id)).toMatchObject({
+            confirmations: PROTOCOL.CONFIRMATIONS_REQUIRED,
+            final: true
+        });
+    });
+
+    test('reports why a transaction left the mempool unmined', async () => {
+        expect((await node.submitTransaction(transfers[1])).success).toBe(true);
+
+        const { maxAgeMs } = node.mempool;
+        await node.dropPendingTransactions(node.mempool.expire(Date.now() + maxAgeMs + 1));
+
+        expect(node.getTransactionStatus(transfers[1].id)).toMatchObject({
+            status: 'dropped',
+            transaction: transfers[1],
+            amounts: { amount: '1.00000000', fee: '0.00100000' },
+            reason: `Expired after ${maxAgeMs}ms in the mempool`
+        });
+    });
+});
+
+describe('transaction:subscribe', () => {
+    test('refuses malformed ids and more than the per-connection limit', () => {
+        const ws = socket();
+        const error = message => [{ type: 'error', message }];
+
+        expect(subscribe(ws, [])).toEqual(error('transactionIds must be an array of transaction ids'));
+        expect(subscribe(ws, ['XYZ'])).toEqual(error('transactionIds must be an array of transaction ids'));
+
+        const ids = Array.from({ length: 101 }, (_, i) => i.toString(16).padStart(64, '0'));
+        expect(subscribe(ws, ids.slice(0, 100))).toHaveLength(1);
+        expect(subscribe(ws, ids.slice(100))).toEqual(error('At most 100 transactions can be watched per connection'));
+        expect(node.txSubscriptions.get(ws).size).toBe(100);
+    });
+
+    test('reports a transaction that is already final straight away', () => {
+        const ws = socket();
+
+        expect(subscribe(ws, [transfers[0].id])).toEqual([
+            { type: 'transaction:subscribed', data: { transactionIds: [transfers[0].id] } },
+            {
+                type: 'transaction:confirmed',
+                data: {
+                    transactionId: transfers[0].id,
+                    blockHeight: 2,
+                    blockHash: node.chain[2].hash,
+                    confirmations: node.chain.length - 2,
+                    confirmationsRequired: PROTOCOL.CONFIRMATIONS_REQUIRED,
+                    final: true
+                }
+            }
+        ]);
+        expect(node.txSubscriptions.get(ws).size).toBe(0);
+    });
+
+    test('notifies on inclusion, again on a reorg, and once more at finality', async () => {
+        const ws = socket();
+        const closed = { ...socket(), readyState: WebSocket.CLOSED };
+        const tx = transfers[2];
+
+        // The expired transfer left a nonce gap; mine it back in first
+        expect((await node.submitTransaction(transfers[1])).success).toBe(true);
+        await mine([transfers[1]]);
+        expect((await node.submitTransaction(tx)).success).toBe(true);
+
+        expect(subscribe(ws, [tx.id])).toHaveLength(1);
+        subscribe(closed, [tx.id]);
+
+        await mine([tx]);
+        const height = node.getTip().index;
+        expect(ws.sent.splice(0)).toEqual([{
+            type: 'transaction:confirmed',
+            data: expect.objectContaining({ blockHeight: height, blockHash: node.chain[height].hash, confirmations: 1, final: false })
+        }]);
+
+        // Further blocks before finality don't repeat the event
+        await mine();
+        expect(ws.sent).toEqual([]);
+
+        // A longer branch without the transaction puts it back in the mempool
+        const branch = extendChain(node.chain.slice(0, height), 3, { miner: alice.address });
+        expect(await node.switchToFork(height - 1, branch)).toEqual({ valid: true });
+        expect(node.getTransactionStatus(tx.id).status).toBe('pending');
+        expect(ws.sent).toEqual([]);
+
+        await mine([tx]);
+        const reorgHeight = node.getTip().index;
+        expect(ws.sent.splice(0)).toEqual([{
+            type: 'transaction:confirmed',
+            data: expect.objectContaining({ blockHeight: reorgHeight, blockHash: node.chain[reorgHeight].hash, confirmations: 1 })
+        }]);
+
+        for (let i = 1; i < PROTOCOL.CONFIRMATIONS_REQUIRED; i++) await mine();
+        expect(ws.sent.splice(0)).toEqual([{
+            type: 'transaction:confirmed',
+            data: expect.objectContaining({ blockHeight: reorgHeight, confirmations: PROTOCOL.CONFIRMATIONS_REQUIRED, final: true })
+        }]);
+        expect(node.txSubscriptions.get(ws).size).toBe(0);
+
+        // Closed connections are skipped
+        expect(closed.sent).toEqual([]);
+    });
+});
@@ -0,0 +1,136 @@
+const PROTOCOL = require('../../src/shared/protocol');
+const Mempool = require('../../src/server/mempool');
+const AccountState = require('../../src/shared/state');
+const { estimateFees, getInclusionRates, DEFAULT_ESTIMATE_SIZE } = require('../../src/server/fees');
+const { encodeTransaction, encodeBlockHeader, getBlockSize } = require('../../src/shared/encoding');
+const { createGenesisBlock } = require('../../src/shared/validator');
+const { generateWallet } = require('../../src/shared/wallet');
+const {
+    signTransaction,
+    getTransactionSize,
+    calculateMinimumFee,
+    validateTransaction
+} = require('../../src/shared/transaction');
+
+const alice = generateWallet();
+const bob = generateWallet();
+const genesis = createGenesisBlock();
+
+function transfer({ nonce = 0, fee = 100000, amount = 1000 } = {}) {
+    return signTransaction({
+        sender: alice.address,
+        recipient: bob.address,
+        amount,
+        fee,
+        nonce,
+        timestamp: 1735912800000
+    }, alice.privateKey);
+}
+
+// Blocks only need to encode here; `count` copies of one transfer
+const blockOf = (index, tx, count) => ({ ...genesis, index, transactions: Array(count).fill(tx) });
+
+// Mempool stand-in with a given congestion level and pending fee rates
+const pendingPool = (congestionLevel, feeRates = []) => ({
+    getCongestionLevel: () => congestionLevel,
+    getFeeRates: () => feeRates
+});
+
+describe('sizes', () => {
+    test('a transaction is as large as its canonical encoding', () => {
+        const tx = transfer();
+        const size = getTransactionSize(tx);
+
+        expect(size).toBe(encodeTransaction(tx).length);
+        expect(size).toBeLessThan(Buffer.byteLength(JSON.stringify(tx)));
+        expect(size).toBeLessThanOrEqual(DEFAULT_ESTIMATE_SIZE);
+
+        // Amounts are fixed width, so the fee doesn't change what it pays for
+        expect(getTransactionSize(transfer({ fee: 123456789012, amount: 1 }))).toBe(size);
+    });
+
+    test('a block is its header plus every transaction encoding', () => {
+        const tx = transfer();
+        const block = blockOf(1, tx, 3);
+
+        expect(getBlockSize(block)).toBe(encodeBlockHeader(block).length + 3 * getTransactionSize(tx));
+        expect(getBlockSize({ ...block, transactions: [] })).toBe(encodeBlockHeader(block).length);
+    });
+});
+
+describe('minimum fee', () => {
+    test('is the per-kB fee with a floor, raised 10% per congestion level', () => {
+        expect(calculateMinimumFee(208)).toBe(PROTOCOL.MIN_TRANSACTION_FEE);
+        expect(calculateMinimumFee(1500)).toBe(15000);
+        expect(calculateMinimumFee(1501)).toBe(15010);
+        expect(calculateMinimumFee(208, 3)).toBe(13000);
+        expect(calculateMinimumFee(208, PROTOCOL.CONGESTION_LEVELS)).toBe(20000);
+    });
+
+    test('is enforced on admission at the current congestion level only', () => {
+        const tx = transfer({ fee: 19999 });
+
+        expect(validateTransaction(tx)).toEqual({ valid: true });
+        expect(validateTransaction(tx, { congestionLevel: 9 })).toEqual({ valid: true });
+        expect(validateTransaction(tx, { congestionLevel: 10 })).toEqual({
+            valid: false,
+            reason: 'Fee must be at least 20000 base units at congestion level 10'
+        });
+        expect(validateTransaction(transfer({ fee: 20000 }), { congestionLevel: 10 })).toEqual({ valid: true });
+    });
+
+    test('follows how full the mempool is', () => {
+        const mempool = new Mempool({ maxSize: 10 });
+        const state = new AccountState();
+        state.ensureAccount(alice.address).balance = 10 ** 12;
+
+        for (let nonce = 0; nonce < 3; nonce++) {
+            expect(mempool.add(transfer({ nonce }), state).accepted).toBe(true);
+        }
+
+        expect(mempool.getCongestionLevel()).toBe(3);
+        expect(estimateFees([genesis], mempool).minimumFee).toBe('0.00013000');
+    });
+});
+
+describe('fee estimation', () => {
+    test('an idle network suggests the minimum for every target', () => {
+        const result = estimateFees([genesis], new Mempool());
+
+        expect(result).toMatchObject({
+            size: DEFAULT_ESTIMATE_SIZE,
+            congestionLevel: 0,
+            minimumFee: '0.00010000',
+            basedOnBlocks: 0
+        });
+        for (const estimate of Object.values(result.estimates)) {
+            expect(estimate.fee).toBe('0.00010000');
+        }
+    });
+
+    test('outbids the backlog that fills the blocks before each target', () => {
+        // 1500 pending, highest first: 1 block holds 499 transfers
+        const rates = Array.from({ length: 1500 }, (_, i) => 1000000 - i * 100);
+        const { estimates } = estimateFees([genesis], pendingPool(0, rates), 1000);
+
+        expect(estimates.fast.feeRate).toBe('0.00950200');
+        expect(estimates.fast.fee).toBe('0.00950200');
+        expect(estimates.normal.feeRate).toBe('0.00850400');
+        expect(estimates.slow.fee).toBe('0.00010000');
+    });
+
+    test('counts only full blocks towards inclusion rates', () => {
+        const fullCount = Math.ceil((PROTOCOL.MAX_TRANSACTIONS_PER_BLOCK - 1) * 0.9);
+        const cheap = transfer({ fee: 20800 });
+        const dear = transfer({ fee: 208000 });
+
+        const chain = [genesis, blockOf(1, cheap, fullCount), blockOf(2, dear, fullCount), blockOf(3, dear, fullCount - 1)];
+        expect(getInclusionRates(chain)).toEqual([0, 100000, 1000000]);
+
+        const { estimates, basedOnBlocks } = estimateFees(chain, pendingPool(0), 208);
+        expect(basedOnBlocks).toBe(3);
+        expect(estimates.fast.fee).toBe('0.00208000');
+        expect(estimates.normal.fee).toBe('0.00020800');
+        expect(estimates.slow.fee).toBe('0.00010000');
+    });
+});
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Mempool = require('../../src/server/mempool');
+const BlixnodeServer = require('../../src/server/index');
+const AccountState = require('../../src/shared/state');
+const { generateWallet, createLegacyAddress } = require('../../src/shared/wallet');
+const { signTransaction } = require('../../src/shared/transaction');
+const { extendChain } = require('../helpers/chain');
+
+const alice = generateWallet();
+const bob = generateWallet();
+const carol = generateWallet();
+
+function transfer(wallet, { nonce = 0, fee = 100000, amount = 1000, timestamp = 1700000000000 } = {}) {
+    return signTransaction({
+        sender: wallet.address,
+        recipient: bob.address,
+        amount,
+        fee,
+        nonce,
+        timestamp
+    }, wallet.privateKey);
+}
+
+function fundedState(...wallets) {
+    const state = new AccountState();
+    wallets.forEach(wallet => { state.ensureAccount(wallet.address).balance = 10 ** 12; });
+    return state;
+}
+
+describe('Mempool replace-by-fee', () => {
+    test('accepts a replacement paying exactly 10% more', () => {
+        const mempool = new Mempool();
+        const state = fundedState(alice);
+
+        expect(mempool.add(transfer(alice, { fee: 10250 }), state).accepted).toBe(true);
+
+        const result = mempool.add(transfer(alice, { fee: 11275, amount: 999 }), state);
+        expect(result.accepted).toBe(true);
+        expect(result.replaced.fee).toBe(10250);
+        expect(mempool.size).toBe(1);
+        expect(mempool.counters.replaced).toBe(1);
+    });
+
+    test('rejects a replacement one base unit short, with the minimum in BLIX', () => {
+        const mempool = new Mempool();
+        const state = fundedState(alice);
+
+        mempool.add(transfer(alice, { fee: 10250 }), state);
+        const result = mempool.add(transfer(alice, { fee: 11274, amount: 999 }), state);
+
+        expect(result.accepted).toBe(false);
+        expect(result.reason).toBe('Replacement fee must be at least 0.00011275 BLIX (10% above the pending transaction)');
+    });
+
+    test('minimum replacement fee is exact for every fee and rounds up', () => {
+        for (let fee = 1; fee < 200000; fee++) {
+            const expected = fee + Math.ceil(fee / 10);
+            if (Mempool.minReplacementFee(fee) !== expected) {
+                throw new Error(`minReplacementFee(${fee}) = ${Mempool.minReplacementFee(fee)}, expected ${expected}`);
+            }
+        }
+        expect(Mempool.minReplacementFee(10005)).toBe(11006);
+    });
+});
+
+describe('Mempool eviction', () => {
+    test('evicts the lowest fee rate chain tail for a better paying transaction', () => {
+        const mempool = new Mempool({ maxSize: 2 });
+        const state = fundedState(alice, carol);
+
+        mempool.add(transfer(alice, { nonce: 0, fee: 300000 }), state);
+        mempool.add(transfer(alice, { nonce: 1, fee: 100000 }), state);
+
+        const result = mempool.add(transfer(carol, { fee: 200000 }), state);
+        expect(result.accepted).toBe(true);
+        expect(result.evicted.map(tx => tx.nonce)).toEqual([1]);
+        expect(mempool.getSenderTransactions(alice.address).map(tx => tx.nonce)).toEqual([0]);
+    });
+
+    test('rejects a transaction that does not beat the lowest fee rate', () => {
+        const mempool = new Mempool({ maxSize: 1 });
+        const state = fundedState(alice, carol);
+
+        mempool.add(transfer(alice, { fee: 200000 }), state);
+        const result = mempool.add(transfer(carol, { fee: 100000 }), state);
+
+        expect(result.accepted).toBe(false);
+        expect(result.status).toBe(503);
+        expect(mempool.size).toBe(1);
+        expect(mempool.counters.evicted).toBe(0);
+    });
+});
+
+describe('Mempool expiry', () => {
+    test('expires old transactions and the later nonces that depend on them', () => {
+        const mempool = new Mempool({ maxAgeMs: 1000 });
+        const state = fundedState(alice, carol);
+
+        mempool.add(transfer(alice, { nonce: 0 }), state, 0);
+        mempool.add(transfer(alice, { nonce: 1 }), state, 5000);
+        mempool.add(transfer(carol, { nonce: 0 }), state, 5000);
+
+        const expired = mempool.expire(5500);
+        expect(expired.map(({ tx }) => tx.nonce)).toEqual([0, 1]);
+        expect(expired[1].reason).toBe('Depends on an expired transaction');
+        expect(mempool.getTransactions().map(tx => tx.sender)).toEqual([carol.address]);
+        expect(mempool.counters.expired).toBe(2);
+    });
+});
+
+describe('Mempool with a legacy sender', () => {
+    test('keys one nonce chain whatever case the address is written in', () => {
+        const legacy = createLegacyAddress(Buffer.from(alice.publicKey, 'hex'));
+        const spend = (sender, nonce, fee = 100000) => signTransaction({
+            sender,
+            recipient: bob.address,
+            amount: 1000,
+            fee,
+            nonce,
+            timestamp: 1700000000000
+        }, alice.privateKey);
+
+        const mempool = new Mempool();
+        const state = new AccountState();
+        state.ensureAccount(legacy).balance = 10 ** 12;
+
+        expect(mempool.add(spend(legacy.toLowerCase().replace('blx', 'BLX'), 0), state).accepted).toBe(true);
+        expect(mempool.add(spend(legacy, 1), state).accepted).toBe(true);
+        expect(mempool.getSenderTransactions(legacy).map(tx => tx.nonce)).toEqual([0, 1]);
+
+        // Same nonce in the other case is a replacement, not a second spend
+        const result = mempool.add(spend(legacy, 0, 110000), state);
+        expect(result.replaced.sender).not.toBe(legacy);
+        expect(mempool.bySender.size).toBe(1);
+        expect(mempool.size).toBe(2);
+    });
+});
+
+describe('Mempool across a restart', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blix-mempool-'));
+    const nodes = [];
+
+    async function startNode() {
+        const node = new BlixnodeServer(39300, { dataDir });
+        nodes.push(node);
+        await node.init();
+        return node;
+    }
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(async () => {
+        for (const node of nodes) {
+            if (node.storage.db.status === 'open') await node.storage.close();
+        }
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        console.log.mockRestore();
+    });
+
+    test('keeps a sender\'s later nonces after one was replaced by fee', async () => {
+        const node = await startNode();
+        for (const block of extendChain(node.chain, 1, { miner: alice.address })) {
+            expect(await node.acceptBlock(block)).toEqual({ valid: true });
+        }
+
+        const timestamp = Date.now();
+        expect((await node.submitTransaction(transfer(alice, { nonce: 0, timestamp }))).success).toBe(true);
+        expect((await node.submitTransaction(transfer(alice, { nonce: 1, timestamp }))).success).toBe(true);
+
+        // The replacement is stored with a later receivedAt than nonce 1
+        const replacement = transfer(alice, { nonce: 0, fee: 200000, timestamp });
+        expect((await node.submitTransaction(replacement)).success).toBe(true);
+        const ids = node.mempool.getTransactions().map(tx => tx.id).sort();
+        await node.storage.close();
+
+        const restarted = await startNode();
+        expect(restarted.mempool.getTransactions().map(tx => tx.id).sort()).toEqual(ids);
+        expect(restarted.droppedTransactions.size).toBe(0);
+
+        const stored = await restarted.storage.loadMempool();
+        expect(stored.map(({ tx }) => tx.id).sort()).toEqual(ids);
+    });
+});
@@ -0,0 +1,157 @@
+const WebSocket = require('ws');
+const ObserverChannel = require('../../src/server/observers');
+const { generateWallet, createLegacyAddress } = require('../../src/shared/wallet');
+
+const alice = generateWallet();
+const bob = generateWallet();
+const legacy = createLegacyAddress(Buffer.from(bob.publicKey, 'hex'));
+
+// A connection stand-in that keeps what the channel sends it
+function socket(readyState = WebSocket.OPEN) {
+    const sent = [];
+    return { sent, readyState, send: data => sent.push(JSON.parse(data)) };
+}
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+let channel;
+
+beforeEach(() => {
+    channel = new ObserverChannel();
+});
+
+describe('subscriptions', () => {
+    test('add up topics and addresses and confirm the total', () => {
+        const ws = socket();
+
+        channel.subscribe(ws, { topics: ['blocks'] });
+        channel.subscribe(ws, { topics: ['pool', 'blocks'], addresses: [alice.address] });
+
+        expect(ws.sent).toEqual([
+            { type: 'observe:subscribed', data: { topics: ['blocks'], addresses: [] } },
+            { type: 'observe:subscribed', data: { topics: ['blocks', 'pool'], addresses: [alice.address] } }
+        ]);
+        expect(channel.hasSubscribers('pool')).toBe(true);
+        expect(channel.hasSubscribers('transactions')).toBe(false);
+        expect(channel.isWatching(alice.address)).toBe(true);
+    });
+
+    test('refuse unknown topics, invalid addresses and empty requests', () => {
+        const ws = socket();
+        const error = message => ({ type: 'error', message });
+
+        channel.subscribe(ws, { topics: ['mempool'] });
+        channel.subscribe(ws, { topics: 'blocks' });
+        channel.subscribe(ws, { addresses: ['BLXnot-an-address'] });
+        channel.subscribe(ws, {});
+        channel.unsubscribe(ws, { topics: [] });
+
+        expect(ws.sent).toEqual([
+            error('topics must be an array of: blocks, transactions, pool'),
+            error('topics must be an array of: blocks, transactions, pool'),
+            error('addresses must be an array of wallet addresses'),
+            error('Subscribe to at least one topic or address'),
+            error('Subscribe to at least one topic or address')
+        ]);
+        expect(channel.subscriptions.size).toBe(0);
+    });
+
+    test('watch a legacy address by its normalized form', () => {
+        const ws = socket();
+        channel.subscribe(ws, { addresses: [`BLX${legacy.slice(3).toLowerCase()}`] });
+
+        expect(ws.sent[0].data.addresses).toEqual([legacy]);
+        expect(channel.isWatching(legacy)).toBe(true);
+    });
+
+    test('cap the addresses watched by one connection', () => {
+        const ws = socket();
+        const addresses = Array.from({ length: 100 }, () => generateWallet().address);
+
+        channel.subscribe(ws, { addresses });
+        channel.subscribe(ws, { addresses: addresses.slice(0, 10) });
+        channel.subscribe(ws, { addresses: [alice.address] });
+
+        expect(ws.sent.map(message => message.type)).toEqual(['observe:subscribed', 'observe:subscribed', 'error']);
+        expect(ws.sent[2].message).toBe('At most 100 addresses can be observed per connection');
+        expect(channel.isWatching(alice.address)).toBe(false);
+    });
+
+    test('unsubscribing everything forgets the connection', () => {
+        const ws = socket();
+        channel.subscribe(ws, { topics: ['blocks', 'pool'], addresses: [alice.address] });
+
+        channel.unsubscribe(ws, { topics: ['pool'] });
+        expect(ws.sent.pop()).toEqual({ type: 'observe:subscribed', data: { topics: ['blocks'], addresses: [alice.address] } });
+
+        channel.unsubscribe(ws, { topics: ['blocks'], addresses: [alice.address] });
+        expect(ws.sent.pop()).toEqual({ type: 'observe:subscribed', data: { topics: [], addresses: [] } });
+        expect(channel.subscriptions.has(ws)).toBe(false);
+
+        channel.subscribe(ws, { topics: ['blocks'] });
+        channel.remove(ws);
+        expect(channel.hasSubscribers('blocks')).toBe(false);
+    });
+});
+
+describe('publishing', () => {
+    test('sends each event to the open connections observing its topic', () => {
+        const blocks = socket();
+        const transactions = socket();
+        const closed = socket(WebSocket.CLOSED);
+
+        channel.subscribe(blocks, { topics: ['blocks'] });
+        channel.subscribe(transactions, { topics: ['transactions'] });
+        channel.subscribe(closed, { topics: ['blocks'] });
+        [blocks, transactions, closed].forEach(ws => ws.sent.splice(0));
+
+        channel.publish('block:mined', { height: 3 });
+        channel.publish('chain:reorganized', { forkHeight: 1 });
+        channel.publish('transaction:new', { id: 'ab' });
+        channel.publish('challenge:new', { jobId: 'x' });
+
+        expect(blocks.sent).toEqual([
+            { type: 'block:mined', topic: 'blocks', data: { height: 3 } },
+            { type: 'chain:reorganized', topic: 'blocks', data: { forkHeight: 1 } }
+        ]);
+        expect(transactions.sent).toEqual([{ type: 'transaction:new', topic: 'transactions', data: { id: 'ab' } }]);
+        expect(closed.sent).toEqual([]);
+    });
+
+    test('deferred events are sent once per tick, and only computed when observed', async () => {
+        const getData = jest.fn(() => ({ poolSize: 2 }));
+
+        channel.publishDeferred('pool:status', getData);
+        await nextTick();
+        expect(getData).not.toHaveBeenCalled();
+
+        const ws = socket();
+        channel.subscribe(ws, { topics: ['pool'] });
+        ws.sent.splice(0);
+
+        channel.publishDeferred('pool:status', getData);
+        channel.publishDeferred('pool:status', getData);
+        await nextTick();
+
+        expect(getData).toHaveBeenCalledTimes(1);
+        expect(ws.sent).toEqual([{ type: 'pool:status', topic: 'pool', data: { poolSize: 2 } }]);
+
+        channel.publishDeferred('pool:status', getData);
+        await nextTick();
+        expect(ws.sent).toHaveLength(2);
+    });
+
+    test('address activity goes to the connections watching that address', () => {
+        const watcher = socket();
+        const other = socket();
+        channel.subscribe(watcher, { topics: ['blocks'], addresses: [alice.address] });
+        channel.subscribe(other, { topics: ['blocks'], addresses: [bob.address] });
+        [watcher, other].forEach(ws => ws.sent.splice(0));
+
+        const entry = { id: 'ab'.repeat(32), type: 'transfer', status: 'pending', direction: 'in', counterparty: bob.address };
+        channel.publishAddressActivity(alice.address, entry);
+
+        expect(watcher.sent).toEqual([{ type: 'address:activity', topic: 'address', data: { address: alice.address, entry } }]);
+        expect(other.sent).toEqual([]);
+    });
+});
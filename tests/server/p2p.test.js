@@ -0,0 +1,214 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BlixnodeServer = require('../../src/server/index');
+const PeerNetwork = require('../../src/server/p2p');
+const { generateWallet } = require('../../src/shared/wallet');
+const { signTransaction } = require('../../src/shared/transaction');
+const { validateChain } = require('../../src/shared/validator');
+const { mineBlock, extendChain } = require('../helpers/chain');
+
+jest.setTimeout(60000);
+
+const BASE_PORT = 39100;
+const dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'blix-p2p-'));
+const nodes = [];
+
+async function startNode(name, port, peers = []) {
+    const node = new BlixnodeServer(port, { dataDir: path.join(dataRoot, name), peers });
+    nodes.push(node);
+    await node.start();
+    await waitFor(() => node.server.listening);
+    return node;
+}
+
+async function waitFor(condition, timeoutMs = 20000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+async function mineOn(node, count, wallet) {
+    for (const block of extendChain(node.chain, count, { miner: wallet.address })) {
+        const result = await node.acceptBlock(block);
+        expect(result).toEqual({ valid: true });
+    }
+}
+
+const hashes = node => node.chain.map(block => block.hash);
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(async () => {
+    for (const node of nodes) {
+        await node.stop();
+    }
+    fs.rmSync(dataRoot, { recursive: true, force: true });
+    console.log.mockRestore();
+});
+
+describe('peer network on localhost', () => {
+    const alice = generateWallet();
+    const bob = generateWallet();
+    let a;
+    let b;
+    let c;
+
+    test('a new node syncs the longer chain', async () => {
+        a = await startNode('a', BASE_PORT + 1);
+        await mineOn(a, 5, alice);
+
+        b = await startNode('b', BASE_PORT + 2, [`ws://localhost:${BASE_PORT + 1}`]);
+        await waitFor(() => b.getTip().hash === a.getTip().hash);
+
+        expect(b.chain.length).toBe(6);
+        expect(validateChain(b.chain).valid).toBe(true);
+    });
+
+    test('relays new blocks and transactions', async () => {
+        await mineOn(a, 1, alice);
+        await waitFor(() => b.getTip().hash === a.getTip().hash);
+
+        const tx = signTransaction({
+            sender: alice.address,
+            recipient: bob.address,
+            amount: 100000000,
+            fee: 100000,
+            nonce: 0,
+            timestamp: Date.now()
+        }, alice.privateKey);
+
+        const result = await a.submitTransaction(tx);
+        expect(result.success).toBe(true);
+        expect(a.getTransactionStatus(result.transactionId)).toMatchObject({
+            status: 'pending',
+            transaction: { amount: 100000000, fee: 100000 },
+            amounts: { amount: '1.00000000', fee: '0.00100000' }
+        });
+        await waitFor(() => b.mempool.has(result.transactionId));
+    });
+
+    test('every node switches to a branch with more work', async () => {
+        c = await startNode('c', BASE_PORT + 3);
+        await mineOn(c, 9, bob);
+        expect(c.totalWork).toBeGreaterThan(a.totalWork);
+
+        c.p2p.connect(`ws://localhost:${BASE_PORT + 1}/p2p`);
+        await waitFor(() => a.getTip().hash === c.getTip().hash && b.getTip().hash === c.getTip().hash);
+
+        expect(hashes(a)).toEqual(hashes(c));
+        expect(hashes(b)).toEqual(hashes(c));
+        expect(a.accountState.getAccount(alice.address).balance).toBe(0);
+
+        // The transfer from the orphaned branch can no longer be funded
+        expect(a.mempool.size).toBe(0);
+        expect(b.mempool.size).toBe(0);
+    });
+});
+
+describe('chain lock', () => {
+    test('a peer block cannot land in the middle of a multi-block extension', async () => {
+        const node = new BlixnodeServer(BASE_PORT + 9, { dataDir: path.join(dataRoot, 'd') });
+        await node.init();
+
+        const genesis = node.chain.slice(0, 1);
+        const branch = extendChain(genesis, 3, { miner: generateWallet().address });
+        const competing = mineBlock(genesis.concat(branch[0]), { miner: generateWallet().address });
+
+        // The extension awaits storage after each block; the peer block must wait
+        const results = await Promise.all([
+            node.switchToFork(0, branch),
+            node.acceptBlock(competing)
+        ]);
+
+        expect(results.map(result => result.valid)).toEqual([true, false]);
+        expect(hashes(node)).toEqual(genesis.concat(branch).map(block => block.hash));
+
+        const stored = await node.storage.loadChain();
+        expect(stored.map(block => block.hash)).toEqual(hashes(node));
+        expect(node.addressIndex.count(competing.miner)).toBe(0);
+
+        await node.storage.close();
+    });
+
+    test('a branch fetched before the chain moved is rejected', async () => {
+        const node = new BlixnodeServer(BASE_PORT + 9, { dataDir: path.join(dataRoot, 'e') });
+        await node.init();
+
+        const genesis = node.chain.slice(0, 1);
+        const [first, second] = extendChain(genesis, 2, { miner: generateWallet().address });
+        const stale = mineBlock(genesis.concat(first, second), { miner: generateWallet().address });
+
+        expect((await node.acceptBlock(first)).valid).toBe(true);
+        expect(await node.switchToFork(2, [stale])).toEqual({
+            valid: false,
+            reason: 'Chain changed while the branch was downloaded'
+        });
+        expect(node.getTip().hash).toBe(first.hash);
+
+        await node.storage.close();
+    });
+});
+
+describe('header sync', () => {
+    const miner = generateWallet();
+    let node;
+
+    // Answer peer requests from `blocks`, recording each request
+    function fakePeer(blocks, { headers = blocks.map(PeerNetwork.toHeader) } = {}) {
+        const requests = [];
+        node.p2p.request = async (ws, type, data) => {
+            requests.push({ type, ...data });
+            if (type === 'peer:getHeaders') {
+                const start = headers.findIndex(h => h.previousHash === data.locator[0]);
+                return { headers: start === -1 ? [] : headers.slice(start, start + data.limit) };
+            }
+            return { blocks: data.hashes.map(hash => blocks.find(block => block.hash === hash)) };
+        };
+        return requests;
+    }
+
+    const peer = { label: 'fake', totalWork: Infinity };
+
+    beforeAll(async () => {
+        node = new BlixnodeServer(BASE_PORT + 9, { dataDir: path.join(dataRoot, 'f') });
+        await node.init();
+    });
+
+    afterAll(() => node.storage.close());
+
+    test('stops at the first invalid header without fetching blocks', async () => {
+        const branch = extendChain(node.chain, 5, { miner: miner.address });
+        const headers = branch.map(PeerNetwork.toHeader);
+        headers[2] = { ...headers[2], nonce: headers[2].nonce + 1 };
+        const requests = fakePeer(branch, { headers });
+
+        await expect(node.p2p.syncFrom(null, peer)).rejects.toThrow('Invalid header at 3');
+        expect(requests.map(r => r.type)).toEqual(['peer:getHeaders']);
+        expect(node.chain.length).toBe(1);
+    });
+
+    test('rejects a batch larger than requested', async () => {
+        const branch = extendChain(node.chain, 1, { miner: miner.address });
+        node.p2p.request = async (ws, type, data) => ({
+            headers: new Array(data.limit + 1).fill(PeerNetwork.toHeader(branch[0]))
+        });
+
+        await expect(node.p2p.downloadHeaders(null)).rejects.toThrow('more headers than requested');
+    });
+
+    test('applies a long branch batch by batch', async () => {
+        const branch = extendChain(node.chain, 20, { miner: miner.address });
+        fakePeer(branch);
+        const switchToFork = jest.spyOn(node, 'switchToFork');
+
+        await expect(node.p2p.syncFrom(null, peer)).resolves.toBe(false);
+        expect(switchToFork.mock.calls.map(([height, blocks]) => [height, blocks.length])).toEqual([[0, 16], [16, 4]]);
+        expect(hashes(node).slice(1)).toEqual(branch.map(block => block.hash));
+        switchToFork.mockRestore();
+    });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const BlixnodeServer = require('../../src/server/index');
+const { generateWallet, sign, createPoolJoinMessage } = require('../../src/shared/wallet');
+
+const PORT = 39500;
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blix-pool-'));
+
+const alice = generateWallet();
+const bob = generateWallet();
+
+let node;
+const sockets = [];
+
+// Open a miner connection and read its pool:auth nonce; next() resolves
+// with the following reply, skipping pool:updated broadcasts
+async function connect() {
+    const ws = new WebSocket(`ws://localhost:${PORT}`);
+    sockets.push(ws);
+
+    const queue = [];
+    const waiting = [];
+    ws.on('message', data => {
+        const message = JSON.parse(data);
+        if (message.type === 'pool:updated') return;
+        const resolve = waiting.shift();
+        resolve ? resolve(message) : queue.push(message);
+    });
+
+    const next = () => (queue.length ? Promise.resolve(queue.shift()) : new Promise(resolve => waiting.push(resolve)));
+    const auth = await next();
+    expect(auth.type).toBe('pool:auth');
+
+    const join = fields => {
+        ws.send(JSON.stringify({ type: 'pool:join', ...fields }));
+        return next();
+    };
+
+    return { nonce: auth.data.nonce, join };
+}
+
+function joinFields(wallet, nonce, address = wallet.address) {
+    return {
+        walletAddress: address,
+        publicKey: wallet.publicKey,
+        signature: sign(createPoolJoinMessage(nonce, address), wallet.privateKey)
+    };
+}
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    node = new BlixnodeServer(PORT, { dataDir });
+    await node.start();
+});
+
+afterAll(async () => {
+    sockets.forEach(ws => ws.terminate());
+    await node.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    console.log.mockRestore();
+});
+
+describe('pool:join', () => {
+    test('rejects a signature over anything but this connection\'s nonce', async () => {
+        const miner = await connect();
+
+        expect(await miner.join(joinFields(alice, 'f'.repeat(64)))).toEqual({
+            type: 'error',
+            message: 'Invalid join signature'
+        });
+        expect(await miner.join({ ...joinFields(alice, miner.nonce), signature: 'not a signature' })).toEqual({
+            type: 'error',
+            message: 'Invalid join signature'
+        });
+        expect(node.connectedWallets.size).toBe(0);
+    });
+
+    test('rejects a public key that does not derive the claimed address', async () => {
+        const miner = await connect();
+
+        expect(await miner.join(joinFields(alice, miner.nonce, bob.address))).toEqual({
+            type: 'error',
+            message: 'Public key does not match wallet address'
+        });
+        expect(await miner.join({ ...joinFields(alice, miner.nonce), walletAddress: 'BLXnot-an-address' })).toEqual({
+            type: 'error',
+            message: 'Invalid wallet address'
+        });
+        expect(node.connectedWallets.has(bob.address)).toBe(false);
+    });
+
+    test('accepts a valid join once, and not a replay on another connection', async () => {
+        const miner = await connect();
+        const fields = joinFields(alice, miner.nonce);
+
+        expect(await miner.join(fields)).toEqual({
+            type: 'pool:joined',
+            data: { walletAddress: alice.address, poolSize: 1, canMine: false }
+        });
+        expect(node.connectedWallets.has(alice.address)).toBe(true);
+
+        expect(await miner.join(fields)).toEqual({
+            type: 'error',
+            message: 'Connection already joined'
+        });
+
+        const eavesdropper = await connect();
+        expect(await eavesdropper.join(fields)).toEqual({
+            type: 'error',
+            message: 'Invalid join signature'
+        });
+
+        // Even a fresh signature can't take over a wallet that is connected
+        expect(await eavesdropper.join(joinFields(alice, eavesdropper.nonce))).toEqual({
+            type: 'error',
+            message: 'Wallet already connected'
+        });
+        expect(node.connectedWallets.size).toBe(1);
+    });
+});
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PROTOCOL = require('../../src/shared/protocol');
+const SharePool = require('../../src/server/pool');
+const BlixnodeServer = require('../../src/server/index');
+const { hashMeetsTarget } = require('../../src/shared/crypto');
+const { calculateBlockHash } = require('../../src/shared/encoding');
+const { generateWallet } = require('../../src/shared/wallet');
+
+const alice = generateWallet();
+const bob = generateWallet();
+const carol = generateWallet();
+
+describe('SharePool', () => {
+    test('share difficulty is an easier target, floored but never above the block', () => {
+        expect(SharePool.shareDifficulty(100)).toBe(100);
+        expect(SharePool.shareDifficulty(1000)).toBe(PROTOCOL.MIN_SHARE_DIFFICULTY);
+        expect(SharePool.shareDifficulty(64000)).toBe(64000 / PROTOCOL.SHARE_DIFFICULTY_DIVISOR);
+    });
+
+    test('pays the window by share difficulty, rounding down', () => {
+        const pool = new SharePool(3);
+        expect(pool.calculatePayouts(1000)).toEqual([]);
+
+        pool.addShare(alice.address, 'a1', 100);
+        pool.addShare(bob.address, 'b1', 300);
+        pool.addShare(alice.address, 'a2', 100);
+
+        expect(pool.calculatePayouts(1000)).toEqual([
+            { address: alice.address, amount: 400 },
+            { address: bob.address, amount: 600 }
+        ]);
+
+        // The unit left over stays with the block finder
+        const payouts = pool.calculatePayouts(1001);
+        expect(payouts.map(payout => payout.amount)).toEqual([400, 600]);
+    });
+
+    test('only the last windowSize shares count, and zero payouts are left out', () => {
+        const pool = new SharePool(3);
+        pool.addShare(alice.address, 'a1', 100);
+        pool.addShare(bob.address, 'b1', 300);
+        pool.addShare(alice.address, 'a2', 100);
+        pool.addShare(carol.address, 'c1', 100);
+
+        expect(pool.getSummary()).toEqual({ windowSize: 3, sharesInWindow: 3, activeMiners: 3 });
+        expect(pool.calculatePayouts(500)).toEqual([
+            { address: bob.address, amount: 300 },
+            { address: alice.address, amount: 100 },
+            { address: carol.address, amount: 100 }
+        ]);
+        expect(pool.calculatePayouts(2)).toEqual([{ address: bob.address, amount: 1 }]);
+
+        expect(pool.getWalletStats(alice.address)).toMatchObject({ validShares: 2, sharesInWindow: 1, windowShare: 0.2 });
+        expect(pool.getWalletStats(bob.address)).toMatchObject({ validShares: 1, sharesInWindow: 1, windowShare: 0.6 });
+    });
+
+    test('remembers share hashes until the next round', () => {
+        const pool = new SharePool();
+        pool.addShare(alice.address, 'a1', 100);
+
+        expect(pool.isDuplicate('a1')).toBe(true);
+        expect(pool.isDuplicate('a2')).toBe(false);
+
+        pool.newRound();
+        expect(pool.isDuplicate('a1')).toBe(false);
+        expect(pool.calculatePayouts(100)).toEqual([{ address: alice.address, amount: 100 }]);
+    });
+
+    test('counts rejected and stale shares and credits block earnings', () => {
+        const pool = new SharePool();
+        pool.rejectShare(alice.address);
+        pool.staleShare(alice.address);
+        pool.staleShare(alice.address);
+
+        pool.recordBlock({ miner: alice.address }, {
+            minerReward: 1000,
+            payouts: [{ address: alice.address, amount: 300 }, { address: bob.address, amount: 700 }]
+        });
+
+        expect(pool.getWalletStats(alice.address)).toMatchObject({
+            validShares: 0,
+            rejectedShares: 1,
+            staleShares: 2,
+            blocksFound: 1,
+            earnings: 1300,
+            windowShare: 0
+        });
+        expect(pool.getWalletStats(bob.address)).toMatchObject({ blocksFound: 0, earnings: 700 });
+        expect(pool.getWalletStats(carol.address)).toEqual({ address: carol.address, ...SharePool.emptyStats(), sharesInWindow: 0, windowShare: 0 });
+    });
+});
+
+describe('share submission', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blix-shares-'));
+    let node;
+    let ws;
+
+    // A connection stand-in that keeps what the node sends it
+    const socket = () => {
+        const sent = [];
+        return { sent, send: data => sent.push(JSON.parse(data)) };
+    };
+
+    // First nonce from `from` whose hash does (or doesn't) meet the share target
+    function findShare(challenge, address, meets = true, from = 0) {
+        for (let nonce = from; nonce < from + 100000; nonce++) {
+            const hash = calculateBlockHash({ ...challenge.blockTemplate, nonce, miner: address });
+            if (hashMeetsTarget(hash, challenge.shareDifficulty) === meets) {
+                return { type: 'share:submit', walletAddress: address, jobId: challenge.jobId, nonce, hash };
+            }
+        }
+        throw new Error('No share found');
+    }
+
+    function submit(connection, message) {
+        node.handleShareSubmit(connection, message);
+        return connection.sent.pop();
+    }
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        node = new BlixnodeServer(39700, { dataDir });
+        await node.init();
+
+        ws = socket();
+        node.connectedWallets.set(alice.address, { ws, joinedAt: Date.now() });
+
+        // Genesis difficulty would make every hash a share
+        node.difficulty = 512;
+        node.issueJob(true);
+        expect(node.currentChallenge.shareDifficulty).toBe(PROTOCOL.MIN_SHARE_DIFFICULTY);
+    });
+
+    afterAll(async () => {
+        await node.storage.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        console.log.mockRestore();
+    });
+
+    test('accepts a share once per round', () => {
+        const challenge = node.currentChallenge;
+        const share = findShare(challenge, alice.address);
+
+        expect(submit(ws, share)).toEqual({ type: 'share:accepted', jobId: challenge.jobId, data: { validShares: 1 } });
+        expect(submit(ws, share)).toEqual({ type: 'share:rejected', jobId: challenge.jobId, reason: 'Duplicate share' });
+        expect(node.sharePool.calculatePayouts(1000)).toEqual([{ address: alice.address, amount: 1000 }]);
+    });
+
+    test('rejects work that does not hash to the claimed value or meet the target', () => {
+        const challenge = node.currentChallenge;
+        const share = findShare(challenge, alice.address, true, 100000);
+        const reject = reason => ({ type: 'share:rejected', jobId: challenge.jobId, reason });
+
+        expect(submit(ws, { ...share, nonce: share.nonce + 1 })).toEqual(reject('Hash mismatch'));
+        expect(submit(ws, { ...share, nonce: -1 })).toEqual(reject('Malformed solution'));
+        expect(submit(ws, findShare(challenge, alice.address, false))).toEqual(reject('Does not meet share target'));
+        expect(node.sharePool.getWalletStats(alice.address)).toMatchObject({ validShares: 1, rejectedShares: 4 });
+    });
+
+    test('counts work for a job that is gone as stale', () => {
+        const share = findShare(node.currentChallenge, alice.address, true, 200000);
+        node.recentJobs.clear();
+        node.issueJob(true);
+
+        expect(submit(ws, share)).toEqual({ type: 'share:stale', jobId: share.jobId, reason: `Stale job ${share.jobId}` });
+        expect(node.sharePool.getWalletStats(alice.address)).toMatchObject({ validShares: 1, staleShares: 1 });
+    });
+
+    test('only credits the wallet joined on the connection', () => {
+        const other = socket();
+        const share = findShare(node.currentChallenge, alice.address);
+
+        expect(submit(other, share).reason).toBe('Wallet not joined on this connection');
+        expect(submit(other, findShare(node.currentChallenge, bob.address)).reason).toBe('Wallet not joined on this connection');
+        expect(node.sharePool.getWalletStats(alice.address)).toMatchObject({ validShares: 1, rejectedShares: 4 });
+        expect(node.sharePool.stats.has(bob.address)).toBe(false);
+    });
+});
@@ -0,0 +1,93 @@
+const {
+    UNITS_PER_BLIX,
+    isValidAmount,
+    parseAmount,
+    formatAmount,
+    mulDiv,
+    applyRatio
+} = require('../../src/shared/amount');
+
+describe('parseAmount', () => {
+    test('reads up to 8 decimals as base units', () => {
+        expect(UNITS_PER_BLIX).toBe(100000000);
+        expect(parseAmount('1.5')).toBe(150000000);
+        expect(parseAmount('0.00000001')).toBe(1);
+        expect(parseAmount('12.34567890')).toBe(1234567890);
+        expect(parseAmount(' 7 ')).toBe(700000000);
+        expect(parseAmount('0')).toBe(0);
+    });
+
+    test('rejects a ninth decimal', () => {
+        expect(() => parseAmount('0.000000001')).toThrow('more than 8 decimals');
+        expect(() => parseAmount('1.000000000')).toThrow('more than 8 decimals');
+    });
+
+    test('accepts the largest safe amount and nothing above it', () => {
+        expect(parseAmount('90071992.54740991')).toBe(Number.MAX_SAFE_INTEGER);
+        expect(() => parseAmount('90071992.54740992')).toThrow('too large');
+    });
+
+    test('rejects anything but a plain decimal', () => {
+        for (const value of ['', '-1', '+1', '1.', '.5', '1e8', '0x10', '1,5', 'abc']) {
+            expect(() => parseAmount(value)).toThrow('Invalid amount');
+        }
+    });
+});
+
+describe('formatAmount', () => {
+    test('always shows 8 decimals', () => {
+        expect(formatAmount(0)).toBe('0.00000000');
+        expect(formatAmount(1)).toBe('0.00000001');
+        expect(formatAmount(150000000)).toBe('1.50000000');
+        expect(formatAmount(-250000000)).toBe('-2.50000000');
+        expect(formatAmount(Number.MAX_SAFE_INTEGER)).toBe('90071992.54740991');
+    });
+
+    test('round-trips through parseAmount', () => {
+        for (const units of [0, 1, 99999999, 100000000, 123456789012, Number.MAX_SAFE_INTEGER]) {
+            expect(parseAmount(formatAmount(units))).toBe(units);
+        }
+    });
+
+    test('rejects fractional or unsafe units', () => {
+        expect(() => formatAmount(1.5)).toThrow('integer number of base units');
+        expect(() => formatAmount(Number.MAX_SAFE_INTEGER + 1)).toThrow('integer number of base units');
+    });
+});
+
+describe('isValidAmount', () => {
+    test('accepts non-negative safe integers only', () => {
+        expect(isValidAmount(0)).toBe(true);
+        expect(isValidAmount(Number.MAX_SAFE_INTEGER)).toBe(true);
+        expect(isValidAmount(-1)).toBe(false);
+        expect(isValidAmount(0.5)).toBe(false);
+        expect(isValidAmount('1')).toBe(false);
+        expect(isValidAmount(Number.MAX_SAFE_INTEGER + 1)).toBe(false);
+    });
+});
+
+describe('mulDiv', () => {
+    test('rounds down', () => {
+        expect(mulDiv(10, 1, 3)).toBe(3);
+        expect(mulDiv(7, 7, 10)).toBe(4);
+    });
+
+    test('stays exact where the product exceeds 2^53', () => {
+        expect(mulDiv(Number.MAX_SAFE_INTEGER, 3, 3)).toBe(Number.MAX_SAFE_INTEGER);
+        expect(mulDiv(Number.MAX_SAFE_INTEGER, 2, 4)).toBe(Math.floor(Number.MAX_SAFE_INTEGER / 2));
+    });
+});
+
+describe('applyRatio', () => {
+    test('splits with 4 decimal places, rounding down', () => {
+        expect(applyRatio(1000000, 0.7)).toBe(700000);
+        expect(applyRatio(9, 0.2)).toBe(1);
+        expect(applyRatio(Number.MAX_SAFE_INTEGER, 0.1)).toBe(Math.floor(Number.MAX_SAFE_INTEGER / 10));
+    });
+
+    test('rounds up on request, only when there is a remainder', () => {
+        expect(applyRatio(9, 0.2, true)).toBe(2);
+        expect(applyRatio(10, 0.2, true)).toBe(2);
+        expect(applyRatio(0, 0.2, true)).toBe(0);
+    });
+});
@@ -0,0 +1,89 @@
+const {
+    sha256,
+    EMPTY_MERKLE_ROOT,
+    hashMerkleNode,
+    calculateMerkleRootFromLeaves,
+    createMerkleProof,
+    verifyMerkleProof
+} = require('../../src/shared/crypto');
+
+const leavesOf = count => Array.from({ length: count }, (_, i) => sha256(`leaf ${i}`));
+
+describe('merkle root', () => {
+    test('pairs an odd hash with itself at every level', () => {
+        const [a, b, c] = leavesOf(3);
+        const ab = hashMerkleNode(a, b);
+        const cc = hashMerkleNode(c, c);
+
+        expect(calculateMerkleRootFromLeaves([a])).toBe(a);
+        expect(calculateMerkleRootFromLeaves([a, b, c])).toBe(hashMerkleNode(ab, cc));
+        expect(calculateMerkleRootFromLeaves([])).toBe(EMPTY_MERKLE_ROOT);
+    });
+});
+
+describe('merkle proofs', () => {
+    test('every leaf proves into the root for odd and even leaf counts', () => {
+        for (let count = 1; count <= 9; count++) {
+            const leaves = leavesOf(count);
+            const root = calculateMerkleRootFromLeaves(leaves);
+
+            leaves.forEach((leaf, index) => {
+                const proof = createMerkleProof(leaves, index);
+                expect(proof).toHaveLength(Math.ceil(Math.log2(count)));
+                expect(verifyMerkleProof(leaf, proof, root)).toBe(true);
+            });
+        }
+    });
+
+    test('the last leaf of an odd level is its own sibling', () => {
+        const leaves = leavesOf(5);
+        const [first] = createMerkleProof(leaves, 4);
+        expect(first).toEqual({ hash: leaves[4], position: 'right' });
+    });
+
+    test('rejects a tampered sibling, a flipped side or a truncated proof', () => {
+        const leaves = leavesOf(6);
+        const root = calculateMerkleRootFromLeaves(leaves);
+        const proof = createMerkleProof(leaves, 3);
+
+        proof.forEach((step, level) => {
+            const tampered = proof.map((s, i) => (i === level ? { ...s, hash: sha256(s.hash) } : s));
+            expect(verifyMerkleProof(leaves[3], tampered, root)).toBe(false);
+
+            const flipped = proof.map((s, i) => (i === level ? { ...s, position: s.position === 'left' ? 'right' : 'left' } : s));
+            expect(verifyMerkleProof(leaves[3], flipped, root)).toBe(false);
+        });
+
+        expect(verifyMerkleProof(leaves[3], proof.slice(1), root)).toBe(false);
+        expect(verifyMerkleProof(leaves[3], [...proof, proof[0]], root)).toBe(false);
+    });
+
+    test('a proof only holds for the leaf and root it was made for', () => {
+        const leaves = leavesOf(7);
+        const root = calculateMerkleRootFromLeaves(leaves);
+        const proof = createMerkleProof(leaves, 2);
+
+        expect(verifyMerkleProof(leaves[3], proof, root)).toBe(false);
+        expect(verifyMerkleProof(leaves[2], createMerkleProof(leaves, 5), root)).toBe(false);
+        expect(verifyMerkleProof(leaves[2], proof, calculateMerkleRootFromLeaves(leavesOf(8)))).toBe(false);
+    });
+
+    test('rejects malformed input', () => {
+        const leaves = leavesOf(4);
+        const root = calculateMerkleRootFromLeaves(leaves);
+        const proof = createMerkleProof(leaves, 0);
+
+        expect(verifyMerkleProof(leaves[0].toUpperCase(), proof, root)).toBe(false);
+        expect(verifyMerkleProof(leaves[0], proof, 'root')).toBe(false);
+        expect(verifyMerkleProof(leaves[0], null, root)).toBe(false);
+        expect(verifyMerkleProof(leaves[0], [null, proof[1]], root)).toBe(false);
+        expect(verifyMerkleProof(leaves[0], [{ ...proof[0], position: 'up' }, proof[1]], root)).toBe(false);
+    });
+
+    test('refuses an index outside the leaves', () => {
+        const leaves = leavesOf(3);
+        for (const index of [-1, 3, 1.5, '1']) {
+            expect(() => createMerkleProof(leaves, index)).toThrow('out of range');
+        }
+    });
+});
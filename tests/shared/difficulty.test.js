@@ -0,0 +1,87 @@
+const PROTOCOL = require('../../src/shared/protocol');
+const { calculateNextDifficulty, simulateDifficulty } = require('../../src/shared/difficulty');
+
+const DAY_MS = 86400000;
+const EXPECTED_WINDOW_MS = PROTOCOL.TARGET_BLOCK_TIME_MS * PROTOCOL.DIFFICULTY_ADJUSTMENT_BLOCKS;
+
+// Difficulty of block `height`, whose parent is `days` past genesis and
+// whose retarget window took `windowMs`
+function difficultyAt({ height = 20, days = 0, windowMs = EXPECTED_WINDOW_MS, parentDifficulty = 1000 }) {
+    const parent = {
+        index: height - 1,
+        timestamp: PROTOCOL.GENESIS_TIMESTAMP + days * DAY_MS,
+        difficulty: parentDifficulty
+    };
+    return calculateNextDifficulty(parent, h => ({ index: h, timestamp: parent.timestamp - windowMs }));
+}
+
+describe('retarget schedule', () => {
+    test('blocks between retargets keep the parent difficulty', () => {
+        expect(difficultyAt({ height: 21, windowMs: 1 })).toBe(1000);
+        expect(difficultyAt({ height: 29, windowMs: 1 })).toBe(1000);
+    });
+
+    test('the first window is skipped', () => {
+        expect(difficultyAt({ height: PROTOCOL.DIFFICULTY_ADJUSTMENT_BLOCKS, windowMs: 1 })).toBe(1000);
+    });
+
+    test('a missing window start is an error', () => {
+        const parent = { index: 19, timestamp: PROTOCOL.GENESIS_TIMESTAMP, difficulty: 1 };
+        expect(() => calculateNextDifficulty(parent, () => undefined)).toThrow('Missing header 9');
+    });
+});
+
+describe('retarget', () => {
+    test('carries the previous difficulty forward by expected / actual time', () => {
+        expect(difficultyAt({})).toBe(1000);
+        expect(difficultyAt({ windowMs: EXPECTED_WINDOW_MS * 2 })).toBe(500);
+        expect(difficultyAt({ windowMs: EXPECTED_WINDOW_MS / 2 })).toBe(2001);
+    });
+
+    test('clamps γ to MAX_DIFFICULTY_ADJUSTMENT either way', () => {
+        expect(difficultyAt({ windowMs: 1 })).toBe(2001);
+        expect(difficultyAt({ windowMs: EXPECTED_WINDOW_MS * 100 })).toBe(500);
+    });
+
+    test('compounds from the parent rather than restarting from a base', () => {
+        expect(difficultyAt({ parentDifficulty: 5000, windowMs: EXPECTED_WINDOW_MS * 2 })).toBe(2500);
+        expect(difficultyAt({ parentDifficulty: 1000000, days: 100 })).toBe(1000002);
+    });
+
+    test('rounds up after a fast window, so a difficulty of 1 can rise', () => {
+        expect(difficultyAt({ parentDifficulty: 1, windowMs: EXPECTED_WINDOW_MS / 2 })).toBe(3);
+        expect(difficultyAt({ parentDifficulty: 1 })).toBe(1);
+        expect(difficultyAt({ parentDifficulty: 1, windowMs: EXPECTED_WINDOW_MS + 1 })).toBe(1);
+    });
+});
+
+describe('simulation', () => {
+    const average = blocks => blocks.reduce((sum, r) => sum + r.blockTimeMs, 0) / blocks.length;
+
+    test('difficulty follows hashrate to the target block time', () => {
+        const results = simulateDifficulty([
+            { hashrate: 1000, blocks: 1000 },
+            { hashrate: 10000, blocks: 600 },
+            { hashrate: 1000, blocks: 600 }
+        ]);
+        const at = height => results[height - 1];
+
+        // Rising by at most 1.2x per retarget while blocks hit the 300s floor
+        expect(at(100).difficulty).toBeGreaterThan(10);
+        expect(at(500).difficulty).toBeGreaterThan(at(100).difficulty * 1000);
+
+        expect(at(1000).difficulty).toBe(360000);
+        expect(average(results.slice(990, 1000))).toBe(PROTOCOL.TARGET_BLOCK_TIME_MS);
+
+        expect(at(1600).difficulty).toBeGreaterThanOrEqual(3600000);
+        expect(average(results.slice(1590, 1600))).toBeCloseTo(PROTOCOL.TARGET_BLOCK_TIME_MS, -1);
+
+        expect(at(2200).difficulty).toBe(360000);
+    });
+
+    test('blocks never come faster than the minimum block time', () => {
+        const results = simulateDifficulty([{ hashrate: 1000000, blocks: 50 }]);
+        results.forEach(r => expect(r.blockTimeMs).toBeGreaterThanOrEqual(PROTOCOL.MIN_BLOCK_TIME_MS));
+        expect(results[49].difficulty).toBeGreaterThan(results[19].difficulty);
+    });
+});
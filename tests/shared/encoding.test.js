@@ -0,0 +1,141 @@
+const secp256k1 = require('secp256k1');
+const { importWallet } = require('../../src/shared/wallet');
+const { createCoinbase } = require('../../src/shared/coinbase');
+const { signTransaction, normalizeTransaction } = require('../../src/shared/transaction');
+const { createGenesisBlock } = require('../../src/shared/validator');
+const {
+    encodeTransactionBody,
+    encodeTransaction,
+    decodeTransaction,
+    encodeCoinbase,
+    decodeCoinbase,
+    encodeBlockHeader,
+    decodeBlockHeader,
+    hashMerkleLeaf,
+    calculateMerkleRoot,
+    calculateBlockHash
+} = require('../../src/shared/encoding');
+
+// Test vectors from docs/ENCODING.md
+const sender = importWallet('01'.repeat(32));
+const recipient = importWallet('02'.repeat(32));
+
+const transfer = signTransaction({
+    sender: sender.address,
+    recipient: recipient.address,
+    amount: 150000000,
+    fee: 10000,
+    nonce: 0,
+    timestamp: 1735912800000
+}, sender.privateKey);
+
+const coinbase = createCoinbase({
+    height: 1,
+    transactions: [transfer],
+    treasuryAddress: sender.address,
+    payouts: [{ address: recipient.address, amount: 2500000000 }]
+});
+
+describe('test vectors', () => {
+    test('addresses', () => {
+        expect(sender.address).toBe('BLXTkQEbDc2wPsjbeq3qGkwtroaroqxkWgrXQ');
+        expect(recipient.address).toBe('BLXTvoMuFQni3tFDf7b1FHSmaDEEtQxoFhF4n');
+    });
+
+    test('transfer', () => {
+        expect(encodeTransactionBody(transfer).toString('hex')).toBe(
+            '0101' +
+            '25424c58546b5145624463327750736a6265713371476b7774726f61726f71786b5767725851' +
+            '25424c5854766f4d7546516e6933744644663762314648536d614445457451786f466846346e' +
+            '0000000008f0d180' + '0000000000002710' + '0000000000000000' + '000001942c773f00'
+        );
+        expect(transfer.id).toBe('41c316cd9b11b4afd2584a71deb578ee1898d8793ae3767e90c497b2da3780ad');
+        expect(transfer.senderPublicKey).toBe('031b84c5567b126440995d3ed5aaba0565d71e1834604819ff9c17f5e9d5dd078f');
+        expect(transfer.signature).toBe(
+            'a42ef2c50d828efb6e0473e1fa0a1caffa1a42f50f67872225bd1d48aaef9de9' +
+            '619db12817b015997f7da664b2832ad510d47b4b0e15c0334dd20f4193d0bfbe'
+        );
+        expect(hashMerkleLeaf(transfer)).toBe('48f98eb3c059554c4eb2716c70d5745fcf6076dd5f4df0dcdb205f395f79869b');
+    });
+
+    test('coinbase', () => {
+        expect(encodeCoinbase(coinbase).toString('hex')).toBe(
+            '0100' + '0000000000000001' + '000000012a05f200' + '0000000000002710' +
+            '0001' + '25424c5854766f4d7546516e6933744644663762314648536d614445457451786f466846346e' + '000000009502f900' +
+            '0000000095031458' +
+            '25424c58546b5145624463327750736a6265713371476b7774726f61726f71786b5767725851' +
+            '00000000000003e8' + '00000000000007d0'
+        );
+        expect(coinbase.id).toBe('95c2896a5c89fe7649afbd042f953cee3bbef67e26018a7f79a0aacfa8cd30bb');
+        expect(calculateMerkleRoot([coinbase, transfer])).toBe('9e9a80754249f06d1977852035389dbc67e78fbf2d4159a21a380f6f0f56c8d3');
+    });
+
+    test('genesis header', () => {
+        const genesis = createGenesisBlock();
+
+        expect(encodeBlockHeader(genesis).toString('hex')).toBe(
+            '01' + '0000000000000000' + '000001942c773f00' +
+            '0'.repeat(64) + '0'.repeat(64) +
+            '0000000000000001' + '0c424c49585f47454e45534953' + '0000000000000000'
+        );
+        expect(genesis.hash).toBe('f5c3ef3271b4b71a5109560724d9a3be0e7d44f3ee325b8511c92a936f7c03d2');
+    });
+});
+
+describe('round trips', () => {
+    test('transfer', () => {
+        const decoded = decodeTransaction(encodeTransaction(transfer));
+
+        expect(normalizeTransaction(decoded)).toEqual(transfer);
+        expect(encodeTransaction(decoded)).toEqual(encodeTransaction(transfer));
+    });
+
+    test('coinbase', () => {
+        const { id, ...fields } = coinbase;
+        expect(decodeCoinbase(encodeCoinbase(coinbase))).toEqual(fields);
+    });
+
+    test('block header', () => {
+        const header = {
+            index: 42,
+            timestamp: 1735913100000,
+            previousHash: 'ab'.repeat(32),
+            merkleRoot: calculateMerkleRoot([coinbase, transfer]),
+            difficulty: 12345,
+            miner: recipient.address,
+            nonce: Number.MAX_SAFE_INTEGER
+        };
+        const decoded = decodeBlockHeader(encodeBlockHeader(header));
+
+        expect(decoded).toEqual(header);
+        expect(calculateBlockHash(decoded)).toBe(calculateBlockHash(header));
+    });
+
+    test('rejects trailing data, truncation and unknown versions', () => {
+        const encoded = encodeTransaction(transfer);
+
+        expect(() => decodeTransaction(Buffer.concat([encoded, Buffer.from([0])]))).toThrow('Trailing data');
+        expect(() => decodeTransaction(encoded.subarray(0, encoded.length - 1))).toThrow('Unexpected end of data');
+        expect(() => decodeTransaction(Buffer.concat([Buffer.from([9]), encoded.subarray(1)]))).toThrow('Unsupported encoding version 9');
+        expect(() => decodeCoinbase(encoded)).toThrow('Expected transaction type');
+    });
+});
+
+describe('signature forms', () => {
+    const compact = Buffer.from(transfer.signature, 'hex');
+    const forms = {
+        'r, s object': { r: transfer.signature.slice(0, 64), s: transfer.signature.slice(64) },
+        'compact hex': transfer.signature,
+        'DER hex': Buffer.from(secp256k1.signatureExport(compact)).toString('hex')
+    };
+
+    test.each(Object.entries(forms))('%s encodes to the same bytes', (name, signature) => {
+        expect(encodeTransaction({ ...transfer, signature })).toEqual(encodeTransaction(transfer));
+        expect(hashMerkleLeaf({ ...transfer, signature })).toBe(hashMerkleLeaf(transfer));
+    });
+
+    test('malformed signatures do not encode', () => {
+        expect(() => encodeTransaction({ ...transfer, signature: 'abcd' })).toThrow('Invalid signature');
+        expect(() => encodeTransaction({ ...transfer, signature: { r: 'zz', s: 'zz' } })).toThrow('Invalid signature');
+    });
+});
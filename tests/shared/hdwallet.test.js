@@ -0,0 +1,90 @@
+const hd = require('../../src/shared/hdwallet');
+const { importWallet } = require('../../src/shared/wallet');
+
+const hex = buf => buf.toString('hex');
+
+describe('BIP32 test vector 1', () => {
+    const seed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+
+    test('master node', () => {
+        const master = hd.createMasterNode(seed);
+        expect(hex(master.privateKey)).toBe('e8f32e723decf4051aefac8e2c93c9c5b214313817cdb01a1494b917c8436b35');
+        expect(hex(master.chainCode)).toBe('873dff81c02f525623fd1fe5167eac3a55a049de3d314bb42ee227ffed37d508');
+    });
+
+    test("m/0'", () => {
+        const node = hd.derivePath(seed, "m/0'");
+        expect(hex(node.privateKey)).toBe('edb2e14f9ee77d26dd93b4ecede8d16ed408ce149b6cd80b0715a2d911a0afea');
+        expect(hex(node.chainCode)).toBe('47fdacbd0f1097043b78c63c20c34ef4ed9a111d980047ad16282c7ae6236141');
+        expect(node.depth).toBe(1);
+    });
+
+    test("m/0'/1", () => {
+        const node = hd.derivePath(seed, "m/0'/1");
+        expect(hex(node.privateKey)).toBe('3c6cb8d0f6a264c91ea8b5030fadaa8e538b020f0a387421a12de9319dc93368');
+        expect(hex(node.chainCode)).toBe('2a7857631386ba23dacac34180dd1983734e444fdbf774041578e9b6adb37c19');
+        expect(node.depth).toBe(2);
+    });
+
+    test("m/0H/1/2h matches m/0'/1/2'", () => {
+        expect(hex(hd.derivePath(seed, 'm/0H/1/2h').privateKey))
+            .toBe('cbce0d719ecf7431d88e6a89fa1483e02e35092af60c042b1df2ff59fa424dca');
+        expect(hd.derivePath(seed, "m/0'/1/2'")).toEqual(hd.derivePath(seed, 'm/0H/1/2h'));
+    });
+});
+
+describe('BIP39', () => {
+    test('mnemonic to seed with passphrase', () => {
+        const mnemonic = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+        expect(hex(hd.mnemonicToSeed(mnemonic, 'TREZOR'))).toBe(
+            'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04'
+        );
+    });
+
+    test('normalizes pasted phrases and checks the checksum', () => {
+        const mnemonic = 'legal winner thank year wave sausage worth useful legal winner thank yellow';
+
+        expect(hd.validateMnemonic(`  ${mnemonic.toUpperCase().replace(/ /g, '\n ')} `)).toBe(true);
+        expect(hd.validateMnemonic(mnemonic.replace(/yellow$/, 'legal'))).toBe(false);
+        expect(() => hd.mnemonicToSeed('not a mnemonic')).toThrow('Invalid mnemonic');
+    });
+});
+
+describe('wallet paths', () => {
+    const mnemonic = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+    test("addresses live under m/44'/16984'/0'/0/N", () => {
+        expect(hd.BLIX_COIN_TYPE).toBe(16984);
+        expect(hd.DEFAULT_PATH).toBe("m/44'/16984'/0'/0/0");
+        expect(hd.getDerivationPath(7)).toBe("m/44'/16984'/0'/0/7");
+        expect(hd.getDerivationPath(2, 1)).toBe("m/44'/16984'/1'/0/2");
+    });
+
+    test('pins the keys and addresses of the first indexes', () => {
+        expect(importWallet(mnemonic, { path: hd.getDerivationPath(0) })).toMatchObject({
+            privateKey: '3d187657203ac9b9b79290564c9807a692b07a1e845eefcbcc0d0fc3729cb6fa',
+            address: 'BLXTnRUQ18vak1VA4eWhbvjHBbb4Z3QVBmDEs'
+        });
+        expect(importWallet(mnemonic, { path: hd.getDerivationPath(1) })).toMatchObject({
+            privateKey: 'bd030b5d34afc46e05690fa550751988260b1572fb6c02dbdf8fd756dd35beb6',
+            address: 'BLXTwugBACw2X7H6k89gfHXebEYogENxRBnpx'
+        });
+    });
+
+    test('derives a distinct, repeatable key per index', () => {
+        const seed = hd.mnemonicToSeed(mnemonic);
+        const keys = [0, 1, 2].map(index => hd.derivePrivateKey(mnemonic, hd.getDerivationPath(index)));
+
+        expect(new Set(keys).size).toBe(3);
+        expect(keys[1]).toBe(hex(hd.derivePath(seed, "m/44'/16984'/0'/0/1").privateKey));
+        expect(importWallet(mnemonic).privateKey).toBe(keys[0]);
+        expect(importWallet(mnemonic, { path: hd.getDerivationPath(2) }).privateKey).toBe(keys[2]);
+    });
+
+    test('rejects malformed paths', () => {
+        expect(() => hd.parsePath("44'/0")).toThrow('must start with "m"');
+        expect(() => hd.parsePath("m/44'/x")).toThrow('Invalid derivation path segment');
+        expect(() => hd.parsePath('m/2147483648')).toThrow('Invalid derivation path segment');
+    });
+});
@@ -0,0 +1,68 @@
+const PROTOCOL = require('../../src/shared/protocol');
+const { generateWallet } = require('../../src/shared/wallet');
+const { hashMerkleLeaf } = require('../../src/shared/encoding');
+const {
+    signTransaction,
+    normalizeTransaction,
+    isNormalizedTransaction,
+    getTransactionSize,
+    validateTransaction
+} = require('../../src/shared/transaction');
+const secp256k1 = require('secp256k1');
+
+const sender = generateWallet();
+const recipient = generateWallet();
+
+const tx = signTransaction({
+    sender: sender.address,
+    recipient: recipient.address,
+    amount: 150000000,
+    fee: 100000,
+    nonce: 0,
+    timestamp: 1735912800000
+}, sender.privateKey);
+
+describe('normalizeTransaction', () => {
+    test('stores the signature as compact hex', () => {
+        expect(tx.signature).toMatch(/^[0-9a-f]{128}$/);
+        expect(isNormalizedTransaction(tx)).toBe(true);
+        expect(validateTransaction(tx).valid).toBe(true);
+    });
+
+    test('converts { r, s } and DER signatures to the same compact hex', () => {
+        const compact = Buffer.from(tx.signature, 'hex');
+        const forms = [
+            { r: tx.signature.slice(0, 64), s: tx.signature.slice(64), recoveryId: 1 },
+            Buffer.from(secp256k1.signatureExport(compact)).toString('hex')
+        ];
+
+        for (const signature of forms) {
+            const normalized = normalizeTransaction({ ...tx, signature });
+            expect(normalized).toEqual(tx);
+        }
+    });
+
+    test('drops padding that no hash covers', () => {
+        const padded = {
+            ...tx,
+            memo: 'x'.repeat(5000),
+            signature: { r: tx.signature.slice(0, 64), s: tx.signature.slice(64), memo: 'y'.repeat(5000) }
+        };
+
+        // The leaf can't tell the padded form apart, so it must never be stored
+        expect(hashMerkleLeaf(padded)).toBe(hashMerkleLeaf(tx));
+        expect(isNormalizedTransaction(padded)).toBe(false);
+
+        const normalized = normalizeTransaction(padded);
+        expect(normalized).toEqual(tx);
+        expect(getTransactionSize(padded)).toBe(getTransactionSize(tx));
+        expect(getTransactionSize(tx)).toBeLessThan(PROTOCOL.MAX_TRANSACTION_SIZE);
+    });
+
+    test('keeps a malformed signature for validation to reject', () => {
+        const normalized = normalizeTransaction({ ...tx, signature: { r: 'zz', s: 'zz' } });
+
+        expect(normalized.signature).toEqual({ r: 'zz', s: 'zz' });
+        expect(validateTransaction(normalized)).toEqual({ valid: false, reason: 'Invalid transaction signature' });
+    });
+});
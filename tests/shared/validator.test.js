@@ -0,0 +1,189 @@
+const PROTOCOL = require('../../src/shared/protocol');
+const AccountState = require('../../src/shared/state');
+const { generateWallet } = require('../../src/shared/wallet');
+const { signTransaction } = require('../../src/shared/transaction');
+const { createCoinbase, calculateCoinbaseId } = require('../../src/shared/coinbase');
+const { createGenesisBlock, validateHeader, validateBlock, validateChain } = require('../../src/shared/validator');
+const { mineBlock, solveBlock } = require('../helpers/chain');
+const secp256k1 = require('secp256k1');
+
+const alice = generateWallet();
+const bob = generateWallet();
+const carol = generateWallet();
+
+// Genesis plus one block paying the full reward to alice
+const chain = [createGenesisBlock()];
+chain.push(mineBlock(chain, { miner: alice.address }));
+const REWARD = chain[1].transactions[0].minerReward;
+
+function transfer(fields, wallet = alice) {
+    return signTransaction({
+        sender: alice.address,
+        recipient: bob.address,
+        amount: 100000000,
+        fee: 100000,
+        nonce: 0,
+        timestamp: chain[1].timestamp,
+        ...fields
+    }, wallet.privateKey);
+}
+
+function check(block, options = {}) {
+    const state = new AccountState();
+    state.rebuild(chain);
+    return validateBlock(block, chain[chain.length - 1], state, {
+        getAncestor: height => chain[height],
+        ...options
+    });
+}
+
+const mine = options => mineBlock(chain, { miner: carol.address, ...options });
+
+describe('transfers', () => {
+    test('a signed transfer within the balance is valid', () => {
+        expect(check(mine({ transactions: [transfer()] }))).toEqual({ valid: true });
+    });
+
+    test('rejects a transfer signed by a key other than the sender\'s', () => {
+        const tx = transfer({ sender: bob.address }, bob);
+        tx.sender = alice.address;
+
+        expect(check(mine({ transactions: [tx] })).reason).toBe(`Transaction ${tx.id}: Sender public key does not match sender address`);
+    });
+
+    test('rejects a signature over different fields', () => {
+        const signed = transfer();
+        const tx = transfer({ amount: 200000000 });
+        tx.signature = signed.signature;
+
+        expect(check(mine({ transactions: [tx] })).reason).toBe(`Transaction ${tx.id}: Invalid transaction signature`);
+    });
+
+    test('rejects a signature that is not in normalized form', () => {
+        const tx = transfer();
+        tx.signature = Buffer.from(secp256k1.signatureExport(Buffer.from(tx.signature, 'hex'))).toString('hex');
+
+        expect(check(mine({ transactions: [tx] })).reason).toBe(`Transaction ${tx.id}: not in normalized form`);
+    });
+
+    test('nonces must follow the account, counting earlier transfers in the block', () => {
+        const skipped = transfer({ nonce: 1 });
+        expect(check(mine({ transactions: [skipped] })).reason).toBe(`Transaction ${skipped.id}: Nonce 1 is too high (expected 0)`);
+
+        const first = transfer();
+        const replayed = transfer({ amount: 50000000 });
+        expect(check(mine({ transactions: [first, replayed] })).reason).toBe(`Transaction ${replayed.id}: Nonce 0 already used (expected 1)`);
+
+        expect(check(mine({ transactions: [first, transfer({ nonce: 1 })] }))).toEqual({ valid: true });
+    });
+
+    test('amount plus fee must be covered, counting earlier transfers in the block', () => {
+        const all = transfer({ amount: REWARD - 100000 });
+        expect(check(mine({ transactions: [all] }))).toEqual({ valid: true });
+
+        const over = transfer({ amount: REWARD - 99999 });
+        expect(check(mine({ transactions: [over] })).reason).toBe(`Transaction ${over.id}: Insufficient balance: ${REWARD} available`);
+
+        const first = transfer({ amount: REWARD / 2 });
+        const second = transfer({ amount: REWARD / 2 - 199999, nonce: 1 });
+        expect(check(mine({ transactions: [first, second] })).reason)
+            .toBe(`Transaction ${second.id}: Insufficient balance: ${REWARD / 2 - 100000} available`);
+    });
+});
+
+describe('coinbase', () => {
+    const tx = transfer({ fee: 1000000 });
+
+    // Replace a mined block's coinbase and re-seal the block
+    function withCoinbase(changes) {
+        const block = mine({ transactions: [tx] });
+        const coinbase = { ...block.transactions[0], ...changes };
+        delete coinbase.id;
+        coinbase.id = calculateCoinbaseId(coinbase);
+        block.transactions[0] = coinbase;
+        return solveBlock(block);
+    }
+
+    test('splits fees between miners, treasury and burn', () => {
+        const block = mine({ transactions: [tx] });
+        const coinbase = block.transactions[0];
+
+        expect(coinbase).toMatchObject({ fees: 1000000, treasuryReward: 100000, burned: 200000 });
+        expect(coinbase.minerReward).toBe(coinbase.reward + 700000);
+        expect(check(block)).toEqual({ valid: true });
+    });
+
+    test('pool payouts may take the miner share, leaving the rest to the miner', () => {
+        const payouts = [{ address: alice.address, amount: 300000 }, { address: bob.address, amount: 400000 }];
+        const block = mine({ transactions: [tx], payouts });
+
+        expect(block.transactions[0].minerReward).toBe(block.transactions[0].reward);
+        expect(check(block)).toEqual({ valid: true });
+    });
+
+    test('rejects a coinbase that moves fees from burn to the treasury', () => {
+        expect(check(withCoinbase({ treasuryReward: 300000, burned: 0 })).reason).toBe('Invalid coinbase');
+    });
+
+    test('rejects a coinbase that mints more than the reward', () => {
+        const reward = chain[1].transactions[0].reward;
+        expect(check(withCoinbase({ minerReward: reward + 700001 })).reason).toBe('Invalid coinbase');
+    });
+
+    test('rejects payouts beyond the miner share', () => {
+        const reward = chain[1].transactions[0].reward;
+        const block = withCoinbase({ payouts: [{ address: bob.address, amount: reward + 700001 }], minerReward: 0 });
+
+        expect(check(block).reason).toBe('Coinbase payouts exceed the miner share');
+    });
+
+    test('the treasury share must go to the configured treasury', () => {
+        const block = mine({ transactions: [tx], treasuryAddress: bob.address });
+
+        expect(check(block).reason).toBe('Invalid coinbase');
+        expect(check(block, { treasuryAddress: bob.address })).toEqual({ valid: true });
+    });
+
+    test('a coinbase can only come first', () => {
+        const block = mine({ transactions: [tx] });
+        block.transactions.push(createCoinbase({ height: block.index }));
+
+        expect(check(solveBlock(block)).reason).toBe('Only the first transaction may be a coinbase');
+    });
+});
+
+describe('block timestamps', () => {
+    const parent = chain[1];
+    const header = block => validateHeader(block, parent, height => chain[height], block.timestamp);
+
+    test('a block may follow its parent after exactly the minimum block time', () => {
+        expect(header(mine({ timestamp: parent.timestamp + PROTOCOL.MIN_BLOCK_TIME_MS }))).toEqual({ valid: true });
+    });
+
+    test('rejects a block before the minimum block time has passed', () => {
+        expect(header(mine({ timestamp: parent.timestamp + PROTOCOL.MIN_BLOCK_TIME_MS - 1 })).reason)
+            .toBe(`Block is less than ${PROTOCOL.MIN_BLOCK_TIME_MS}ms after parent`);
+        expect(header(mine({ timestamp: parent.timestamp })).reason).toBe('Timestamp must be after parent');
+    });
+
+    test('a block may lead the local clock by at most the future drift', () => {
+        const block = mine();
+        const now = block.timestamp - PROTOCOL.MAX_FUTURE_BLOCK_TIME_MS;
+
+        expect(validateHeader(block, parent, height => chain[height], now)).toEqual({ valid: true });
+        expect(validateHeader(block, parent, height => chain[height], now - 1).reason).toBe('Timestamp is too far in the future');
+        expect(check(block, { now: now - 1 }).reason).toBe('Timestamp is too far in the future');
+    });
+});
+
+describe('validateChain', () => {
+    test('replays state so a later block can spend earlier rewards', () => {
+        const next = mine({ transactions: [transfer()] });
+        expect(validateChain(chain.concat(next))).toEqual({ valid: true, height: 2 });
+    });
+
+    test('reports the first invalid block', () => {
+        const next = mine({ transactions: [transfer({ nonce: 3 })] });
+        expect(validateChain(chain.concat(next))).toMatchObject({ valid: false, height: 2, hash: next.hash });
+    });
+});
@@ -0,0 +1,103 @@
+const PROTOCOL = require('../../src/shared/protocol');
+const AccountState = require('../../src/shared/state');
+const { base58CheckEncode } = require('../../src/shared/crypto');
+const { signTransaction, validateTransaction } = require('../../src/shared/transaction');
+const {
+    generateWallet,
+    isValidAddress,
+    isLegacyAddress,
+    normalizeAddress,
+    decodeAddress,
+    publicKeyMatchesAddress,
+    createLegacyAddress
+} = require('../../src/shared/wallet');
+
+const alice = generateWallet();
+const bob = generateWallet();
+const legacy = createLegacyAddress(Buffer.from(alice.publicKey, 'hex'));
+const lowerLegacy = `BLX${legacy.slice(3).toLowerCase()}`;
+
+// Swap one Base58 character for another, keeping the length
+const mistype = (address, at) => address.slice(0, at) + (address[at] === '2' ? '3' : '2') + address.slice(at + 1);
+
+describe('Base58Check addresses', () => {
+    test('every single-character typo fails the checksum', () => {
+        expect(isValidAddress(alice.address)).toBe(true);
+        for (let at = PROTOCOL.ADDRESS_PREFIX.length; at < alice.address.length; at++) {
+            expect(isValidAddress(mistype(alice.address, at))).toBe(false);
+        }
+    });
+
+    test('rejects a changed case, a truncation or another network', () => {
+        const swapped = alice.address.replace(/[a-km-z]/, c => c.toUpperCase());
+
+        expect(swapped).not.toBe(alice.address);
+        expect(isValidAddress(swapped)).toBe(false);
+        expect(isValidAddress(alice.address.slice(0, -1))).toBe(false);
+
+        const payload = Buffer.concat([Buffer.from([PROTOCOL.NETWORK_PREFIX + 1]), Buffer.alloc(20)]);
+        expect(isValidAddress(`${PROTOCOL.ADDRESS_PREFIX}${base58CheckEncode(payload)}`)).toBe(false);
+    });
+
+    test('are never rewritten by normalization', () => {
+        expect(normalizeAddress(alice.address)).toBe(alice.address);
+        expect(normalizeAddress('not an address')).toBe('not an address');
+    });
+});
+
+describe('legacy addresses', () => {
+    const allowed = PROTOCOL.ALLOW_LEGACY_ADDRESSES;
+
+    afterEach(() => {
+        PROTOCOL.ALLOW_LEGACY_ADDRESSES = allowed;
+    });
+
+    test('are accepted in either case and matched to their key', () => {
+        for (const address of [legacy, lowerLegacy]) {
+            expect(isLegacyAddress(address)).toBe(true);
+            expect(isValidAddress(address)).toBe(true);
+            expect(decodeAddress(address)).toBeNull();
+            expect(publicKeyMatchesAddress(alice.publicKey, address)).toBe(true);
+            expect(publicKeyMatchesAddress(bob.publicKey, address)).toBe(false);
+        }
+    });
+
+    test('normalize to the upper case form createLegacyAddress writes', () => {
+        expect(legacy.slice(3)).toMatch(/^[0-9A-F]{32}$/);
+        expect(normalizeAddress(lowerLegacy)).toBe(legacy);
+        expect(normalizeAddress(`blx${legacy.slice(3)}`)).toBe(legacy);
+    });
+
+    test('are refused once the protocol disallows them', () => {
+        PROTOCOL.ALLOW_LEGACY_ADDRESSES = false;
+        expect(isValidAddress(legacy)).toBe(false);
+        expect(publicKeyMatchesAddress(alice.publicKey, legacy)).toBe(false);
+    });
+
+    test('share one account whatever case a transaction uses', () => {
+        const state = new AccountState();
+        state.ensureAccount(legacy).balance = 10 ** 9;
+
+        const spend = (sender, nonce) => signTransaction({
+            sender,
+            recipient: bob.address,
+            amount: 10 ** 8,
+            fee: 100000,
+            nonce,
+            timestamp: 1735912800000
+        }, alice.privateKey);
+
+        const first = spend(lowerLegacy, 0);
+        expect(validateTransaction(first)).toEqual({ valid: true });
+        expect(state.getAccount(lowerLegacy).balance).toBe(10 ** 9);
+        expect(state.checkTransaction(first)).toEqual({ valid: true });
+
+        // A pending spend in one case counts against the other
+        expect(state.checkTransaction(spend(legacy, 0), [first]).reason).toBe('Nonce 0 already used (expected 1)');
+        expect(state.checkTransaction(spend(legacy, 1), [first])).toEqual({ valid: true });
+
+        state.applyBlock({ miner: bob.address, transactions: [first] });
+        expect(state.getAccount(legacy)).toEqual({ balance: 10 ** 9 - 10 ** 8 - 100000, nonce: 1 });
+        expect(state.accounts.has(lowerLegacy)).toBe(false);
+    });
+});